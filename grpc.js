@@ -0,0 +1,64 @@
+import grpc from 'k6/net/grpc';
+import {check, sleep} from 'k6';
+import {Trend} from 'k6/metrics';
+import {createAuth} from './helpers/auth.js';
+import {BASE_URL, GRPC_ADDR, mergeThresholds} from './helpers/config.js';
+import {scenarioOptions} from './helpers/scenarios.js';
+
+// gRPC calls against the mock server's ProductService (proto/shop.proto): one unary call,
+// one server stream and one bidirectional echo stream per iteration.
+
+const STREAM_LIMIT = Number(__ENV.GRPC_STREAM_LIMIT || 20);
+const PRODUCT_COUNT = Number(__ENV.GRPC_PRODUCT_COUNT || 100);
+
+const echoRoundTrip = new Trend('grpc_echo_round_trip', true);
+
+const client = new grpc.Client();
+client.load(['proto'], 'shop.proto');
+
+const auth = createAuth(BASE_URL);
+
+const baseOptions = scenarioOptions();
+export const options = Object.assign({}, baseOptions, {
+    thresholds: mergeThresholds(baseOptions.thresholds, {
+        grpc_req_duration: ['p(95)<300'],
+        checks: ['rate>0.99'],
+    }),
+});
+
+export default function () {
+    if (__ITER === 0) {
+        client.connect(GRPC_ADDR, {plaintext: true});
+    }
+    const params = {metadata: auth.metadata()};
+
+    const res = client.invoke('shop.ProductService/GetProduct', {id: 1 + Math.floor(Math.random() * PRODUCT_COUNT)}, params);
+    check(res, {
+        'GetProduct status OK': r => r && r.status === grpc.StatusOK,
+        'GetProduct returned a product': r => r && r.message && r.message.id > 0,
+    });
+
+    let received = 0;
+    const list = new grpc.Stream(client, 'shop.ProductService/ListProducts', params);
+    list.on('data', () => {
+        received++;
+    });
+    list.on('end', () => {
+        check(received, {
+            'ListProducts streamed all products': n => n === STREAM_LIMIT,
+        });
+    });
+    list.write({limit: STREAM_LIMIT, intervalMs: 0});
+    list.end();
+
+    const echo = new grpc.Stream(client, 'shop.ProductService/Echo', params);
+    echo.on('data', message => {
+        echoRoundTrip.add(Date.now() - Number(message.sentAt));
+    });
+    for (let i = 0; i < 5; i++) {
+        echo.write({text: `message ${i}`, sentAt: Date.now()});
+    }
+    echo.end();
+
+    sleep(1);
+}
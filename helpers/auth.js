@@ -0,0 +1,97 @@
+import http from 'k6/http';
+import {Counter, Trend} from 'k6/metrics';
+
+// Auth helpers for the mock server's schemes (see mock/auth.js).
+// AUTH_MODE selects the scheme: token (default), api-key or oauth.
+
+const tokenAcquisition = new Trend('auth_token_acquisition', true);
+const tokenRequests = new Counter('auth_token_requests');
+const tokenRefreshes = new Counter('auth_token_refreshes');
+const tokenFailures = new Counter('auth_token_failures');
+
+export const DEFAULT_CREDENTIALS = {
+    token: 'your-secret-token-123',
+    apiKey: 'api-key-789',
+    apiKeyHeader: 'X-API-Key',
+    clientId: __ENV.OAUTH_CLIENT_ID || 'k6-client',
+    clientSecret: __ENV.OAUTH_CLIENT_SECRET || 'k6-client-secret',
+};
+
+function requestToken(baseUrl, credentials, body) {
+    const res = http.post(`${baseUrl}/oauth/token`, Object.assign({
+        client_id: credentials.clientId,
+        client_secret: credentials.clientSecret,
+    }, body), {tags: {name: 'oauth_token'}});
+
+    tokenRequests.add(1, {grant_type: body.grant_type});
+    tokenAcquisition.add(res.timings.duration, {grant_type: body.grant_type});
+
+    if (res.status !== 200) {
+        tokenFailures.add(1, {grant_type: body.grant_type, status: String(res.status)});
+        return null;
+    }
+    const token = res.json();
+    return {
+        accessToken: token.access_token,
+        refreshToken: token.refresh_token,
+        expiresAt: Date.now() + token.expires_in * 1000,
+    };
+}
+
+// Keeps one OAuth2 access token per VU, refreshing it shortly before it expires
+export function createTokenSource(baseUrl, credentials = DEFAULT_CREDENTIALS, refreshMarginSeconds = 5) {
+    let current = null;
+
+    const acquire = () => {
+        if (current && current.refreshToken) {
+            const refreshed = requestToken(baseUrl, credentials, {
+                grant_type: 'refresh_token',
+                refresh_token: current.refreshToken,
+            });
+            if (refreshed) {
+                tokenRefreshes.add(1);
+                return refreshed;
+            }
+        }
+        return requestToken(baseUrl, credentials, {grant_type: 'client_credentials'});
+    };
+
+    return {
+        token() {
+            if (!current || current.expiresAt - refreshMarginSeconds * 1000 <= Date.now()) {
+                current = acquire();
+            }
+            return current ? current.accessToken : null;
+        },
+        // Call after a 401 so the next request starts with a fresh token
+        invalidate() {
+            if (current) current.expiresAt = 0;
+        },
+    };
+}
+
+export function createAuth(baseUrl, mode = __ENV.AUTH_MODE || 'token', credentials = DEFAULT_CREDENTIALS) {
+    const tokenSource = mode === 'oauth' ? createTokenSource(baseUrl, credentials) : null;
+
+    return {
+        mode,
+        headers() {
+            if (mode === 'api-key') {
+                return {[credentials.apiKeyHeader]: credentials.apiKey};
+            }
+            const token = tokenSource ? tokenSource.token() : credentials.token;
+            return token ? {'Authorization': `Bearer ${token}`} : {};
+        },
+        // gRPC metadata keys must be lower case
+        metadata() {
+            const headers = this.headers();
+            return Object.fromEntries(Object.keys(headers).map(key => [key.toLowerCase(), headers[key]]));
+        },
+        handleResponse(res) {
+            if (res.status === 401 && tokenSource) {
+                tokenSource.invalidate();
+            }
+            return res;
+        },
+    };
+}
@@ -0,0 +1,29 @@
+// Shared settings for the k6 scripts. Everything can be overridden with -e / environment variables.
+
+export const BASE_URL = __ENV.BASE_URL || 'http://localhost:3000';
+
+export const WS_URL = __ENV.WS_URL || BASE_URL.replace(/^http/, 'ws');
+
+export const GRPC_ADDR = __ENV.GRPC_ADDR || 'localhost:50051';
+
+export const SCENARIO = __ENV.SCENARIO || 'load';
+
+export const thresholds = {
+    http_req_duration: ['p(95)<500'], // 95% of requests should be below 500ms
+    'http_req_duration{staticAsset:yes}': ['p(95)<100'], // 95% of static asset requests should be below 100ms
+};
+
+export function url(path) {
+    return `${BASE_URL}${path}`;
+}
+
+// Merges threshold maps; later maps add expressions to the same metric instead of replacing them
+export function mergeThresholds(...maps) {
+    const merged = {};
+    maps.forEach(map => {
+        Object.keys(map || {}).forEach(metric => {
+            merged[metric] = (merged[metric] || []).concat(map[metric]);
+        });
+    });
+    return merged;
+}
@@ -0,0 +1,47 @@
+// Minimal CSV parsing for test data loaded with open(), e.g.
+//   new SharedArray('users', () => parseCsv(open('./data/users.csv')))
+// The first row holds the column names; fields may be double-quoted.
+
+function parseLine(line) {
+    const fields = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (quoted) {
+            if (char === '"' && line[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            fields.push(field);
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    fields.push(field);
+    return fields;
+}
+
+export function parseCsv(text) {
+    const lines = text.split(/\r?\n/).filter(line => line.trim() !== '');
+    if (lines.length === 0) return [];
+
+    const columns = parseLine(lines[0]).map(column => column.trim());
+    return lines.slice(1).map(line => {
+        const fields = parseLine(line);
+        const row = {};
+        columns.forEach((column, i) => {
+            row[column] = fields[i] !== undefined ? fields[i] : '';
+        });
+        return row;
+    });
+}
@@ -0,0 +1,122 @@
+import {SCENARIO, mergeThresholds, thresholds} from './config.js';
+
+// Reusable k6 scenarios, selected with SCENARIO=<name>. Each entry holds the k6
+// scenario definition plus thresholds that only apply to that kind of test.
+
+const env = (name, fallback) => __ENV[name] || fallback;
+const envNumber = (name, fallback) => Number(__ENV[name] || fallback);
+
+export const scenarios = {
+    // Minimal traffic to verify the script and the system under test work at all
+    smoke: {
+        scenario: {
+            executor: 'constant-vus',
+            vus: envNumber('VUS', 1),
+            duration: env('DURATION', '30s'),
+        },
+        thresholds: {
+            checks: ['rate==1'],
+        },
+    },
+
+    // Expected production load: ramp up, hold, ramp down
+    load: {
+        scenario: {
+            executor: 'ramping-vus',
+            startVUs: 0,
+            stages: [
+                {duration: '30s', target: envNumber('VUS', 20)}, // Ramp up
+                {duration: env('DURATION', '1m'), target: envNumber('VUS', 20)}, // Stay at peak
+                {duration: '30s', target: 0}, // Ramp down
+            ],
+            gracefulRampDown: '10s',
+        },
+    },
+
+    // Step well beyond normal load to see how the system degrades
+    stress: {
+        scenario: {
+            executor: 'ramping-vus',
+            startVUs: 0,
+            stages: [
+                {duration: '1m', target: 20},
+                {duration: '2m', target: 50},
+                {duration: '2m', target: envNumber('VUS', 100)},
+                {duration: '2m', target: envNumber('VUS', 100)},
+                {duration: '1m', target: 0},
+            ],
+            gracefulRampDown: '30s',
+        },
+        thresholds: {
+            http_req_failed: ['rate<0.05'],
+        },
+    },
+
+    // Sudden burst of arrivals, then back to baseline to check recovery
+    spike: {
+        scenario: {
+            executor: 'ramping-arrival-rate',
+            startRate: 5,
+            timeUnit: '1s',
+            preAllocatedVUs: 20,
+            maxVUs: envNumber('MAX_VUS', 200),
+            stages: [
+                {duration: '30s', target: 5},
+                {duration: '10s', target: envNumber('RATE', 100)},
+                {duration: '1m', target: envNumber('RATE', 100)},
+                {duration: '10s', target: 5},
+                {duration: '1m', target: 5},
+            ],
+        },
+        thresholds: {
+            http_req_failed: ['rate<0.1'],
+        },
+    },
+
+    // Steady arrival rate over a long period to surface leaks and drift
+    soak: {
+        scenario: {
+            executor: 'constant-arrival-rate',
+            rate: envNumber('RATE', 10),
+            timeUnit: '1s',
+            duration: env('DURATION', '1h'),
+            preAllocatedVUs: 20,
+            maxVUs: envNumber('MAX_VUS', 100),
+        },
+        thresholds: {
+            http_req_failed: ['rate<0.01'],
+        },
+    },
+
+    // Keep raising the arrival rate until the system breaks, then stop the test
+    breakpoint: {
+        scenario: {
+            executor: 'ramping-arrival-rate',
+            startRate: 1,
+            timeUnit: '1s',
+            preAllocatedVUs: 50,
+            maxVUs: envNumber('MAX_VUS', 1000),
+            stages: [
+                {duration: env('DURATION', '10m'), target: envNumber('RATE', 500)},
+            ],
+        },
+        thresholds: {
+            http_req_failed: [{threshold: 'rate<0.05', abortOnFail: true, delayAbortEval: '10s'}],
+            http_req_duration: [{threshold: 'p(95)<2000', abortOnFail: true, delayAbortEval: '10s'}],
+        },
+    },
+};
+
+// k6 options for the scenario picked by SCENARIO (default: load)
+export function scenarioOptions(name = SCENARIO) {
+    const selected = scenarios[name];
+    if (!selected) {
+        throw new Error(`Unknown SCENARIO "${name}". Available: ${Object.keys(scenarios).join(', ')}`);
+    }
+    return {
+        scenarios: {
+            [name]: selected.scenario,
+        },
+        thresholds: mergeThresholds(thresholds, selected.thresholds),
+    };
+}
@@ -0,0 +1,18 @@
+import {Counter} from 'k6/metrics';
+
+// Counts the responses the mock server sends as backpressure (see mock/rate-limit.js): 429 from a
+// rate limit, and 503 with Retry-After from the concurrency cap. Injected 503 faults carry no
+// Retry-After and are left out. k6 does not record response headers, so without this counter the
+// report can only take 429s as throttled.
+
+const throttledRequests = new Counter('throttled_requests');
+
+export function isThrottled(res) {
+    return res.status === 429 || (res.status === 503 && res.headers['Retry-After'] !== undefined);
+}
+
+// Returns the response, so calls can be wrapped: trackThrottling(http.get(...))
+export function trackThrottling(res) {
+    if (isThrottled(res)) throttledRequests.add(1, {status: String(res.status)});
+    return res;
+}
@@ -0,0 +1,121 @@
+import http from 'k6/http';
+import {check, group, sleep} from 'k6';
+import {SharedArray} from 'k6/data';
+import exec from 'k6/execution';
+import {Rate, Trend} from 'k6/metrics';
+import {DEFAULT_CREDENTIALS} from './helpers/auth.js';
+import {mergeThresholds, url} from './helpers/config.js';
+import {parseCsv} from './helpers/data.js';
+import {scenarioOptions} from './helpers/scenarios.js';
+import {trackThrottling} from './helpers/throttling.js';
+
+// Stateful order journey against the json-server CRUD API:
+// log in -> browse products -> create order -> update order -> delete order
+
+const users = new SharedArray('users', () => parseCsv(open('./data/users.csv')));
+const orderTemplates = new SharedArray('order templates', () => JSON.parse(open('./data/order-templates.json')));
+
+const journeyDuration = new Trend('journey_duration', true);
+const journeySuccess = new Rate('journey_success');
+const stepSuccess = new Rate('journey_step_success');
+
+const baseOptions = scenarioOptions();
+export const options = Object.assign({}, baseOptions, {
+    thresholds: mergeThresholds(baseOptions.thresholds, {
+        journey_success: ['rate>0.95'],
+        'group_duration{group:::login}': ['p(95)<1000'],
+        'group_duration{group:::create order}': ['p(95)<1500'],
+    }),
+});
+
+const jsonParams = token => ({
+    headers: {
+        'Authorization': `Bearer ${token}`,
+        'Content-Type': 'application/json',
+    },
+});
+
+// Records the step outcome per group and aborts the journey on failure
+function step(name, fn) {
+    return group(name, () => {
+        const ok = fn();
+        stepSuccess.add(ok, {step: name});
+        return ok;
+    });
+}
+
+export default function () {
+    // Spread VUs over the test users so sessions do not all share one account
+    const user = users[exec.vu.idInTest % users.length];
+    const template = orderTemplates[exec.scenario.iterationInTest % orderTemplates.length];
+    const started = Date.now();
+    let token;
+    let product;
+    let order;
+
+    const completed = step('login', () => {
+        const res = trackThrottling(http.post(url('/oauth/token'), {
+            grant_type: 'password',
+            username: user.email,
+            password: user.password,
+            client_id: DEFAULT_CREDENTIALS.clientId,
+            client_secret: DEFAULT_CREDENTIALS.clientSecret,
+        }, {tags: {name: 'POST /oauth/token'}}));
+        const ok = check(res, {
+            'login status 200': r => r.status === 200,
+            'login returned token': r => Boolean(r.json('access_token')),
+        });
+        if (ok) token = res.json('access_token');
+        return ok;
+    }) && step('browse products', () => {
+        const list = trackThrottling(http.get(url('/products'), Object.assign(jsonParams(token), {tags: {name: 'GET /products'}})));
+        const listed = check(list, {
+            'products listed': r => r.status === 200 && r.json().length > 0,
+        });
+        if (!listed) return false;
+
+        const products = list.json();
+        const picked = products[Math.floor(Math.random() * products.length)];
+        const detail = trackThrottling(http.get(url(`/products/${picked.id}`), Object.assign(jsonParams(token), {tags: {name: 'GET /products/:id'}})));
+        const ok = check(detail, {
+            'product detail 200': r => r.status === 200,
+        });
+        if (ok) product = detail.json();
+        return ok;
+    }) && step('create order', () => {
+        const res = trackThrottling(http.post(url('/orders'), JSON.stringify({
+            userId: Number(user.userId),
+            productId: product.id,
+            quantity: template.quantity,
+            total: Math.round(product.price * template.quantity * 100) / 100,
+            note: template.note,
+            status: 'created',
+        }), Object.assign(jsonParams(token), {tags: {name: 'POST /orders'}})));
+        const ok = check(res, {
+            'order created 201': r => r.status === 201,
+            'order has id': r => r.json('id') !== undefined,
+        });
+        if (ok) order = res.json();
+        return ok;
+    }) && step('update order', () => {
+        const res = trackThrottling(http.patch(url(`/orders/${order.id}`), JSON.stringify({
+            quantity: template.updatedQuantity,
+            total: Math.round(product.price * template.updatedQuantity * 100) / 100,
+            status: 'updated',
+        }), Object.assign(jsonParams(token), {tags: {name: 'PATCH /orders/:id'}})));
+        return check(res, {
+            'order updated 200': r => r.status === 200,
+            'order quantity updated': r => r.json('quantity') === template.updatedQuantity,
+        });
+    }) && step('delete order', () => {
+        const res = trackThrottling(http.del(url(`/orders/${order.id}`), null, Object.assign(jsonParams(token), {tags: {name: 'DELETE /orders/:id'}})));
+        return check(res, {
+            'order deleted 200': r => r.status === 200,
+        });
+    });
+
+    journeySuccess.add(Boolean(completed), {journey: 'order'});
+    journeyDuration.add(Date.now() - started, {journey: 'order'});
+
+    sleep(1);
+}
@@ -0,0 +1,27 @@
+const fs = require('fs');
+const {dependencies} = require('../package.json');
+
+// Pinned to the version in package.json so CDN and inlined reports render the same
+const PLOTLY_PACKAGE = 'plotly.js-dist-min';
+const PLOTLY_VERSION = dependencies[PLOTLY_PACKAGE];
+
+function plotlyScriptTag({inline = false} = {}) {
+    if (!inline) {
+        return `<script src="https://cdn.plot.ly/plotly-${PLOTLY_VERSION}.min.js" charset="utf-8"></script>`;
+    }
+
+    let bundlePath;
+    try {
+        bundlePath = require.resolve(PLOTLY_PACKAGE);
+    } catch (e) {
+        throw new Error(`Cannot inline charts: ${PLOTLY_PACKAGE} is not installed (run npm install)`);
+    }
+    // A literal "</script" inside the bundle would end the inline script element early
+    const source = fs.readFileSync(bundlePath, 'utf8').replace(/<\/script/gi, '<\\/script');
+    return `<script>/* ${PLOTLY_PACKAGE}@${PLOTLY_VERSION} */\n${source}</script>`;
+}
+
+module.exports = {
+    PLOTLY_VERSION,
+    plotlyScriptTag
+};
@@ -0,0 +1,236 @@
+const {parseArgs} = require('util');
+const {DEFAULT_LIVE_PORT} = require('./live');
+const {parseDuration} = require('./duration');
+
+const EXIT_CODES = {
+    OK: 0,
+    ERROR: 1,
+    USAGE: 2,
+    INPUT: 3,
+    REGRESSION: 4,
+    THRESHOLDS: 5
+};
+
+const DEFAULT_INPUT = 'k6-output.json';
+const DEFAULT_OUTPUT = 'load-test-report.html';
+const DEFAULT_TITLE = 'Load Test Report';
+const DEFAULT_REFRESH = '5s';
+// LTTB keeps the first and last points and picks one per bucket in between
+const MIN_MAX_POINTS = 3;
+
+const HELP = `Usage: node report-generator.js [options] [input...]
+
+Generates an HTML report from k6 JSON output (k6 run --out json=<file>).
+
+Arguments:
+  input                          k6 output file(s) to read (default: ${DEFAULT_INPUT}). The format is detected:
+                                 JSON (--out json), CSV (--out csv) or an end-of-test summary
+                                 (--summary-export or handleSummary JSON; final aggregates only, no charts).
+                                 Several inputs, e.g. one per load generator, are merged into one run with a
+                                 per-input breakdown
+
+Options:
+  -o, --output <file>            HTML report to write (default: ${DEFAULT_OUTPUT})
+  -t, --title <title>            Report title (default: "${DEFAULT_TITLE}")
+      --json <file>              Also write a machine-readable JSON summary
+      --junit <file>             Also write thresholds and checks as JUnit XML
+      --offline                  Inline the pinned charting library so the report works without network
+      --max-points <n>           Downsample each embedded chart series to at most <n> points
+                                 (default: 5000, minimum: ${MIN_MAX_POINTS})
+      --bucket <duration>        Time bucket for charts over time: RPS, error rate, percentiles (default: 5s).
+                                 Long runs use wider buckets automatically to stay under 1000 per chart
+      --align-clocks             Shift each input so they all start at the earliest input's first point, for
+                                 load generators started together whose clocks disagree
+      --skip-start <duration>    Drop data from the first <duration> of the run (warm-up)
+      --skip-end <duration>      Drop data from the last <duration> of the run (ramp-down)
+      --stages <file>            Stage plan for per-stage stats: \`k6 inspect <script>\` output (or any JSON with
+                                 k6 options) with top-level or scenario \`stages\`; the scenario named by
+                                 --scenario is used when several have stages. Without it, ramp-up, steady and
+                                 ramp-down stages are inferred from the vus series
+      --thresholds <file>        Evaluate the script's thresholds: \`k6 inspect <script>\` output (or any JSON with
+                                 k6 options). k6's JSON output only declares thresholds on whole metrics, so
+                                 those on sub-metrics such as http_req_duration{staticAsset:yes} need this
+  -m, --metric <pattern>         Only include matching metrics; repeatable, supports * wildcards
+      --tag <name=value>         Only include points whose <name> tag equals <value>; repeatable.
+                                 Points that do not carry the tag at all (e.g. vus) are kept.
+      --server-log <file>        Overlay server processing time from the mock server's request log
+                                 (SERVER_LOG, default server-log.ndjson) against http_req_duration
+      --history <dir>            Store this run's summary and report in <dir> and regenerate the
+                                 trend dashboard <dir>/index.html
+      --scenario <name>          Scenario name to tag the run with in the history (default: $SCENARIO
+                                 or "default"); drift is judged against earlier runs of the same scenario
+      --live                     Follow the k6 JSON output while k6 is still writing it and serve a dashboard
+                                 that updates during the run; Ctrl+C (or SIGTERM) once k6 has finished
+                                 writes the final report as usual
+      --port <n>                 Port for the --live dashboard (default: ${DEFAULT_LIVE_PORT})
+      --refresh <duration>       How often the --live dashboard updates (default: ${DEFAULT_REFRESH})
+  -b, --baseline <file>          Compare against a baseline k6 output file
+      --tolerance <percent>      Allowed latency/throughput regression, and the margin around the
+                                 recent range before a history run is flagged as drifting (default: 10)
+      --error-rate-tolerance <pp>
+                                 Allowed error rate increase in percentage points (default: 1)
+  -h, --help                     Show this help
+
+Durations accept ms, s, m and h units, e.g. 500ms, 30s, 1m30s. A bare number is seconds.
+
+Exit codes:
+  ${EXIT_CODES.OK}  report generated
+  ${EXIT_CODES.ERROR}  unexpected error
+  ${EXIT_CODES.USAGE}  invalid command-line arguments
+  ${EXIT_CODES.INPUT}  input file missing, unreadable or empty
+  ${EXIT_CODES.REGRESSION}  report generated, but regressions beyond tolerance were found
+  ${EXIT_CODES.THRESHOLDS}  report generated, but thresholds failed (takes precedence over ${EXIT_CODES.REGRESSION})
+`;
+
+class UsageError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'UsageError';
+    }
+}
+
+class InputError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'InputError';
+    }
+}
+
+// A malformed duration on the command line is a usage error
+function parseDurationOption(value) {
+    try {
+        return parseDuration(value);
+    } catch (e) {
+        throw new UsageError(e.message);
+    }
+}
+
+function parseNumber(value, name) {
+    const number = Number(value);
+    if (value === undefined) return undefined;
+    if (!Number.isFinite(number) || number < 0) {
+        throw new UsageError(`${name} must be a non-negative number`);
+    }
+    return number;
+}
+
+function parseBucket(value) {
+    const ms = parseDurationOption(value);
+    if (!(ms > 0)) {
+        throw new UsageError('--bucket must be longer than 0');
+    }
+    return ms / 1000;
+}
+
+function parseMaxPoints(value) {
+    if (value === undefined) return undefined;
+    const max = Number(value);
+    if (!Number.isInteger(max) || max < MIN_MAX_POINTS) {
+        throw new UsageError(`--max-points must be an integer of at least ${MIN_MAX_POINTS}`);
+    }
+    return max;
+}
+
+function parsePort(value) {
+    if (value === undefined) return DEFAULT_LIVE_PORT;
+    const port = Number(value);
+    if (!Number.isInteger(port) || port < 0 || port > 65535) {
+        throw new UsageError('--port must be an integer between 0 and 65535');
+    }
+    return port;
+}
+
+function parseRefresh(value) {
+    const ms = parseDurationOption(value);
+    if (!(ms > 0)) {
+        throw new UsageError('--refresh must be longer than 0');
+    }
+    return ms;
+}
+
+function parseTagFilters(values = []) {
+    const tags = {};
+    values.forEach(value => {
+        const separator = value.indexOf('=');
+        if (separator <= 0) {
+            throw new UsageError(`Invalid tag filter "${value}", expected name=value`);
+        }
+        tags[value.slice(0, separator)] = value.slice(separator + 1);
+    });
+    return tags;
+}
+
+function parseCliArgs(argv) {
+    let parsed;
+    try {
+        parsed = parseArgs({
+            args: argv,
+            allowPositionals: true,
+            options: {
+                output: {type: 'string', short: 'o'},
+                title: {type: 'string', short: 't'},
+                json: {type: 'string'},
+                junit: {type: 'string'},
+                offline: {type: 'boolean'},
+                'max-points': {type: 'string'},
+                bucket: {type: 'string'},
+                'align-clocks': {type: 'boolean'},
+                'skip-start': {type: 'string'},
+                'skip-end': {type: 'string'},
+                metric: {type: 'string', short: 'm', multiple: true},
+                tag: {type: 'string', multiple: true},
+                'server-log': {type: 'string'},
+                stages: {type: 'string'},
+                thresholds: {type: 'string'},
+                live: {type: 'boolean'},
+                port: {type: 'string'},
+                refresh: {type: 'string'},
+                history: {type: 'string'},
+                scenario: {type: 'string'},
+                baseline: {type: 'string', short: 'b'},
+                tolerance: {type: 'string'},
+                'error-rate-tolerance': {type: 'string'},
+                help: {type: 'boolean', short: 'h'}
+            }
+        });
+    } catch (e) {
+        throw new UsageError(e.message);
+    }
+
+    const {values, positionals} = parsed;
+    return {
+        help: Boolean(values.help),
+        inputs: positionals.length > 0 ? positionals : [DEFAULT_INPUT],
+        output: values.output || DEFAULT_OUTPUT,
+        title: values.title || DEFAULT_TITLE,
+        json: values.json,
+        junit: values.junit,
+        offline: Boolean(values.offline),
+        maxPoints: parseMaxPoints(values['max-points']),
+        bucketSeconds: values.bucket !== undefined ? parseBucket(values.bucket) : undefined,
+        alignClocks: Boolean(values['align-clocks']),
+        skipStart: values['skip-start'] !== undefined ? parseDurationOption(values['skip-start']) : 0,
+        skipEnd: values['skip-end'] !== undefined ? parseDurationOption(values['skip-end']) : 0,
+        metrics: values.metric ? values.metric.flatMap(m => m.split(',')).filter(Boolean) : null,
+        tags: parseTagFilters(values.tag),
+        serverLog: values['server-log'],
+        stages: values.stages,
+        thresholds: values.thresholds,
+        live: Boolean(values.live),
+        port: parsePort(values.port),
+        refreshMs: parseRefresh(values.refresh || DEFAULT_REFRESH),
+        history: values.history,
+        scenario: values.scenario || process.env.SCENARIO || 'default',
+        baseline: values.baseline,
+        tolerance: parseNumber(values.tolerance, '--tolerance'),
+        errorRateTolerance: parseNumber(values['error-rate-tolerance'], '--error-rate-tolerance')
+    };
+}
+
+module.exports = {
+    EXIT_CODES,
+    HELP,
+    UsageError,
+    InputError,
+    parseCliArgs
+};
@@ -0,0 +1,147 @@
+// Comparison of a run against a baseline run, both as returned by processK6Output
+
+const DEFAULT_TOLERANCE = 10; // percent
+const DEFAULT_ERROR_RATE_TOLERANCE = 1; // percentage points
+
+const TIME_STATS = ['avg', 'med', 'p90', 'p95', 'p99'];
+const ENDPOINT_STATS = ['med', 'p95', 'p99'];
+
+// Time metrics that fail the comparison; the other timings (sending, blocked, ...) are shown
+// for information only, their sub-millisecond values swing by more than any sane tolerance
+const GATED_TIME_METRICS = ['http_req_duration'];
+
+// Latency increases smaller than this never count as a regression, whatever the relative change
+const MIN_TIME_DELTA_MS = 1;
+
+function throughput(data) {
+    const reqs = data.metrics.http_reqs;
+    if (!reqs || !reqs.stats || !data.testDuration) return undefined;
+    return reqs.stats.sum / (data.testDuration / 1000);
+}
+
+function failureRate(data) {
+    return data.requests && data.requests.total > 0 ? data.requests.failureRate : undefined;
+}
+
+function relativeDelta(current, baseline) {
+    if (current === undefined || baseline === undefined) return null;
+    if (baseline === 0) return current === 0 ? 0 : null;
+    return (current - baseline) / baseline;
+}
+
+// Latency and throughput use a relative tolerance; rates use percentage points.
+// Informational rows report their change but never count as a regression.
+function compareValue(row, options) {
+    const {current, baseline, kind} = row;
+    const delta = relativeDelta(current, baseline);
+    let regression = false;
+
+    if (current !== undefined && baseline !== undefined) {
+        if (kind === 'rate') {
+            regression = (current - baseline) * 100 > options.errorRateTolerance;
+        } else if (kind === 'throughput') {
+            regression = delta !== null && -delta * 100 > options.tolerance;
+        } else {
+            regression = current - baseline >= MIN_TIME_DELTA_MS &&
+                (delta === null || delta * 100 > options.tolerance);
+        }
+    }
+    if (row.informational) regression = false;
+
+    return Object.assign({}, row, {delta, regression});
+}
+
+function compareRuns(current, baseline, options = {}) {
+    const settings = {
+        tolerance: options.tolerance !== undefined ? options.tolerance : DEFAULT_TOLERANCE,
+        errorRateTolerance: options.errorRateTolerance !== undefined ?
+            options.errorRateTolerance :
+            DEFAULT_ERROR_RATE_TOLERANCE
+    };
+
+    const summary = [
+        compareValue({
+            label: 'Throughput (req/s)',
+            kind: 'throughput',
+            current: throughput(current),
+            baseline: throughput(baseline)
+        }, settings),
+        compareValue({
+            label: 'Failure rate',
+            kind: 'rate',
+            current: failureRate(current),
+            baseline: failureRate(baseline)
+        }, settings)
+    ];
+
+    const metricNames = Object.keys(current.metrics)
+        .filter(name => current.metrics[name].unit === 'time' || (baseline.metrics[name] && baseline.metrics[name].unit === 'time'));
+    const metrics = metricNames.map(name => {
+        const currentStats = (current.metrics[name] || {}).stats || {};
+        const baselineStats = (baseline.metrics[name] || {}).stats || {};
+        const informational = !GATED_TIME_METRICS.includes(name);
+        return {
+            name,
+            informational,
+            rows: TIME_STATS.map(stat => compareValue({
+                label: stat,
+                kind: 'time',
+                current: currentStats[stat],
+                baseline: baselineStats[stat],
+                informational
+            }, settings))
+        };
+    });
+
+    const baselineEndpoints = new Map((baseline.endpoints || []).map(e => [e.key, e]));
+    const endpointKeys = [...new Set([
+        ...(current.endpoints || []).map(e => e.key),
+        ...baselineEndpoints.keys()
+    ])].sort();
+    const currentEndpoints = new Map((current.endpoints || []).map(e => [e.key, e]));
+    const endpoints = endpointKeys.map(key => {
+        const a = currentEndpoints.get(key);
+        const b = baselineEndpoints.get(key);
+        const stat = (endpoint, name) => endpoint && endpoint.stats.count > 0 ? endpoint.stats[name] : undefined;
+        return {
+            key,
+            rows: [
+                ...ENDPOINT_STATS.map(name => compareValue({
+                    label: name,
+                    kind: 'time',
+                    current: stat(a, name),
+                    baseline: stat(b, name)
+                }, settings)),
+                compareValue({
+                    label: 'error rate',
+                    kind: 'rate',
+                    current: a ? a.errorRate : undefined,
+                    baseline: b ? b.errorRate : undefined
+                }, settings)
+            ]
+        };
+    });
+
+    const regressions = [];
+    summary.forEach(row => row.regression && regressions.push(row.label));
+    metrics.forEach(m => m.rows.forEach(row => row.regression && regressions.push(`${m.name} ${row.label}`)));
+    endpoints.forEach(e => e.rows.forEach(row => row.regression && regressions.push(`${e.key} ${row.label}`)));
+
+    return {
+        tolerance: settings.tolerance,
+        errorRateTolerance: settings.errorRateTolerance,
+        summary,
+        metrics,
+        endpoints,
+        regressions,
+        passed: regressions.length === 0
+    };
+}
+
+module.exports = {
+    compareRuns,
+    GATED_TIME_METRICS,
+    MIN_TIME_DELTA_MS,
+    DEFAULT_TOLERANCE,
+    DEFAULT_ERROR_RATE_TOLERANCE
+};
@@ -0,0 +1,199 @@
+const {plotlyScriptTag} = require('./assets');
+const {escapeHtml, scriptJson} = require('./html');
+const {TREND_METRICS} = require('./history');
+
+// Index page over the run history (see history.js): one table row per run linking to its
+// report, and per-scenario trend charts of p95, error rate and throughput
+
+const FORMATTERS = {
+    p95: value => `${value.toFixed(2)} ms`,
+    errorRate: value => `${(value * 100).toFixed(2)}%`,
+    throughput: value => `${value.toFixed(2)}/s`
+};
+
+function formatTrend(metric, value) {
+    return value === null || value === undefined ? '-' : FORMATTERS[metric](value);
+}
+
+function describeDrift(metric, drift) {
+    const arrow = drift.direction === 'up' ? '▲' : '▼';
+    const range = `${formatTrend(metric, drift.min)} – ${formatTrend(metric, drift.max)}`;
+    return `${arrow} outside recent range ${range}`;
+}
+
+function renderRunRow(run) {
+    const cells = Object.keys(TREND_METRICS).map(metric => {
+        const drift = run.drift[metric];
+        const value = formatTrend(metric, run.values[metric]);
+        if (!drift) return `<td>${value}</td>`;
+        return `<td class="${drift.worse ? 'drift-worse' : 'drift-better'}" title="${escapeHtml(describeDrift(metric, drift))}">
+                        ${value} ${drift.direction === 'up' ? '▲' : '▼'}</td>`;
+    }).join('');
+    return `
+                <tr>
+                    <td><a href="${run.report}">${escapeHtml(run.start ? new Date(run.start).toLocaleString() : run.id)}</a></td>
+                    <td>${escapeHtml(run.scenario)}</td>
+                    <td>${run.commit ? `<code>${escapeHtml(run.commit)}</code>` : '-'}</td>
+                    ${cells}
+                    <td class="${run.thresholdsPassed ? 'status-pass' : 'status-fail'}">${run.thresholdsPassed ? 'PASS' : 'FAIL'}</td>
+                </tr>`;
+}
+
+function trendTraces(runs, metric) {
+    const byScenario = {};
+    runs.forEach(run => {
+        (byScenario[run.scenario] || (byScenario[run.scenario] = [])).push(run);
+    });
+    return Object.keys(byScenario).sort().flatMap(scenario => {
+        const points = byScenario[scenario].filter(run => run.values[metric] !== null);
+        const drifted = points.filter(run => run.drift[metric] && run.drift[metric].worse);
+        const label = run => `${run.commit || run.id}`;
+        return [
+            {
+                x: points.map(run => run.start || run.generatedAt),
+                y: points.map(run => run.values[metric]),
+                text: points.map(label),
+                name: scenario,
+                type: 'scatter',
+                mode: 'lines+markers'
+            },
+            {
+                x: drifted.map(run => run.start || run.generatedAt),
+                y: drifted.map(run => run.values[metric]),
+                text: drifted.map(label),
+                name: `${scenario} drift`,
+                type: 'scatter',
+                mode: 'markers',
+                marker: {color: '#e74c3c', size: 12, symbol: 'circle-open', line: {width: 2}},
+                showlegend: drifted.length > 0
+            }
+        ];
+    });
+}
+
+function generateDashboard(runs, options = {}) {
+    const title = options.title || 'Load Test History';
+    const latest = runs.slice().reverse();
+    const drifting = runs.length > 0 ? Object.keys(runs[runs.length - 1].drift)
+        .filter(metric => runs[runs.length - 1].drift[metric].worse) : [];
+    const charts = Object.keys(TREND_METRICS).map(metric => ({
+        id: `trend-${metric}`,
+        title: TREND_METRICS[metric].label,
+        traces: trendTraces(runs, metric),
+        yaxis: metric === 'errorRate' ? {title: 'Error rate', tickformat: '.1%'} :
+            {title: metric === 'p95' ? 'p95 (ms)' : 'Requests/s', rangemode: 'tozero'}
+    }));
+
+    return `
+<!DOCTYPE html>
+<html>
+<head>
+    <title>${escapeHtml(title)}</title>
+    ${plotlyScriptTag({inline: options.offline})}
+    <style>
+        body {
+            font-family: Arial, sans-serif;
+            margin: 0;
+            padding: 20px;
+            background: #f5f5f5;
+        }
+        .container {
+            max-width: 1200px;
+            margin: 0 auto;
+            background: white;
+            padding: 20px;
+            border-radius: 8px;
+            box-shadow: 0 0 10px rgba(0,0,0,0.1);
+        }
+        .summary {
+            margin: 20px 0;
+            padding: 15px;
+            background: #e9ecef;
+            border-radius: 4px;
+        }
+        .summary.drifting {
+            background: #fdecea;
+            color: #c0392b;
+        }
+        table {
+            width: 100%;
+            border-collapse: collapse;
+            margin-top: 10px;
+        }
+        th, td {
+            padding: 8px;
+            text-align: left;
+            border-bottom: 1px solid #dee2e6;
+        }
+        th {
+            background-color: #f8f9fa;
+        }
+        .drift-worse {
+            background: #fdecea;
+            color: #c0392b;
+            font-weight: bold;
+        }
+        .drift-better {
+            color: #27ae60;
+        }
+        .status-pass {
+            color: #27ae60;
+            font-weight: bold;
+        }
+        .status-fail {
+            color: #c0392b;
+            font-weight: bold;
+        }
+        .chart-container {
+            margin: 20px 0;
+            height: 400px;
+        }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <h1>${escapeHtml(title)}</h1>
+        <div class="summary ${drifting.length > 0 ? 'drifting' : ''}">
+            <p><strong>Runs:</strong> ${runs.length}</p>
+            ${runs.length > 0 ? `<p><strong>Latest run:</strong> ${drifting.length > 0 ?
+                `${drifting.map(metric => TREND_METRICS[metric].label).join(', ')} outside the recent range` :
+                'within the recent range'}</p>` : ''}
+            <p>Flagged values fall outside the min–max of the previous ${options.window} runs of the same scenario
+               (±${options.tolerance}%). ▲/▼ show the direction; red marks a change for the worse.</p>
+        </div>
+
+        ${charts.map(chart => `
+        <h2>${escapeHtml(chart.title)}</h2>
+        <div id="${chart.id}" class="chart-container"></div>`).join('')}
+
+        <h2>Runs</h2>
+        <table>
+            <thead>
+                <tr>
+                    <th>Run</th>
+                    <th>Scenario</th>
+                    <th>Commit</th>
+                    ${Object.keys(TREND_METRICS).map(metric => `<th>${TREND_METRICS[metric].label}</th>`).join('')}
+                    <th>Thresholds</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${latest.map(renderRunRow).join('')}
+            </tbody>
+        </table>
+    </div>
+    <script>
+        ${charts.map(chart => `Plotly.newPlot('${chart.id}', ${scriptJson(chart.traces)}, {
+            xaxis: {title: 'Run start', type: 'date'},
+            yaxis: ${scriptJson(chart.yaxis)},
+            hovermode: 'closest'
+        });`).join('\n        ')}
+    </script>
+</body>
+</html>
+    `;
+}
+
+module.exports = {
+    generateDashboard
+};
@@ -0,0 +1,26 @@
+// Durations as k6 writes them (500ms, 30s, 1m30s), from the command line and from k6 options
+
+const DURATION_UNITS = {ms: 1, s: 1000, m: 60000, h: 3600000};
+
+// '1m30s' -> 90000 (milliseconds)
+function parseDuration(value) {
+    if (/^\d+(\.\d+)?$/.test(value)) {
+        return Number(value) * 1000;
+    }
+    const pattern = /(\d+(?:\.\d+)?)(ms|s|m|h)/g;
+    let total = 0;
+    let consumed = '';
+    let match;
+    while ((match = pattern.exec(value)) !== null) {
+        total += Number(match[1]) * DURATION_UNITS[match[2]];
+        consumed += match[0];
+    }
+    if (!consumed || consumed !== value) {
+        throw new Error(`Invalid duration: ${value}`);
+    }
+    return total;
+}
+
+module.exports = {
+    parseDuration
+};
@@ -0,0 +1,127 @@
+const fs = require('fs');
+const path = require('path');
+const {execFileSync} = require('child_process');
+
+// Run history kept on disk:
+//   <dir>/runs/<id>/summary.json   JSON summary (see summary.js) with scenario and commit
+//   <dir>/runs/<id>/report.html    the run's HTML report
+//   <dir>/index.html               trend dashboard over all runs (see dashboard.js)
+
+const DEFAULT_DRIFT_WINDOW = 5;
+const MIN_DRIFT_HISTORY = 3;
+
+// Trend metrics per run; higher is worse except for throughput
+const TREND_METRICS = {
+    p95: {label: 'p95 response time', higherIsWorse: true},
+    errorRate: {label: 'Error rate', higherIsWorse: true},
+    throughput: {label: 'Throughput', higherIsWorse: false}
+};
+
+// Short hash of HEAD, or null outside a git checkout
+function currentCommit(cwd = process.cwd()) {
+    if (process.env.GIT_COMMIT) return process.env.GIT_COMMIT;
+    try {
+        return execFileSync('git', ['rev-parse', '--short', 'HEAD'], {cwd, stdio: ['ignore', 'pipe', 'ignore']})
+            .toString()
+            .trim() || null;
+    } catch (e) {
+        return null;
+    }
+}
+
+function runId(date, existing) {
+    const base = date.toISOString().replace(/\.\d+Z$/, 'Z').replace(/:/g, '-');
+    let id = base;
+    for (let n = 2; existing.has(id); n++) id = `${base}-${n}`;
+    return id;
+}
+
+function runsDir(dir) {
+    return path.join(dir, 'runs');
+}
+
+// Stores one run; returns {id, dir}
+function recordRun(dir, {summary, html}) {
+    const root = runsDir(dir);
+    fs.mkdirSync(root, {recursive: true});
+    const id = runId(new Date(summary.generatedAt || Date.now()), new Set(fs.readdirSync(root)));
+    const runDir = path.join(root, id);
+    fs.mkdirSync(runDir);
+    fs.writeFileSync(path.join(runDir, 'summary.json'), JSON.stringify(summary, null, 2) + '\n');
+    fs.writeFileSync(path.join(runDir, 'report.html'), html);
+    return {id, dir: runDir};
+}
+
+function trendValues(summary) {
+    const duration = summary.metrics && summary.metrics.http_req_duration;
+    const requests = summary.requests;
+    const seconds = summary.run && summary.run.durationMs ? summary.run.durationMs / 1000 : 0;
+    return {
+        p95: duration ? duration.stats.p95 : null,
+        errorRate: requests && requests.total > 0 ? requests.failureRate : null,
+        throughput: requests && seconds > 0 ? requests.total / seconds : null
+    };
+}
+
+// All stored runs, oldest first. Runs whose summary cannot be read are skipped with a warning.
+function loadRuns(dir) {
+    const root = runsDir(dir);
+    if (!fs.existsSync(root)) return [];
+    return fs.readdirSync(root)
+        .map(id => {
+            try {
+                const summary = JSON.parse(fs.readFileSync(path.join(root, id, 'summary.json'), 'utf8'));
+                return {
+                    id,
+                    report: `runs/${encodeURIComponent(id)}/report.html`,
+                    generatedAt: summary.generatedAt,
+                    start: summary.run && summary.run.start,
+                    scenario: summary.scenario || 'default',
+                    commit: summary.commit || null,
+                    title: summary.title,
+                    thresholdsPassed: (summary.thresholds || []).every(t => t.ok),
+                    values: trendValues(summary)
+                };
+            } catch (e) {
+                console.warn(`Skipping history entry ${id}: ${e.message}`);
+                return null;
+            }
+        })
+        .filter(Boolean)
+        .sort((a, b) => String(a.generatedAt).localeCompare(String(b.generatedAt)) || a.id.localeCompare(b.id));
+}
+
+// Flags each run's metrics that fall outside the min..max of the previous `window` runs of the
+// same scenario, widened by `tolerance` percent. Needs at least MIN_DRIFT_HISTORY earlier runs.
+function detectDrift(runs, {window = DEFAULT_DRIFT_WINDOW, tolerance = 10} = {}) {
+    const byScenario = {};
+    return runs.map(run => {
+        const previous = byScenario[run.scenario] || (byScenario[run.scenario] = []);
+        const recent = previous.slice(-window);
+        const drift = {};
+        Object.keys(TREND_METRICS).forEach(metric => {
+            const value = run.values[metric];
+            const history = recent.map(r => r.values[metric]).filter(v => v !== null && v !== undefined);
+            if (value === null || value === undefined || history.length < MIN_DRIFT_HISTORY) return;
+            const min = Math.min(...history);
+            const max = Math.max(...history);
+            const margin = tolerance / 100;
+            if (value > max * (1 + margin)) {
+                drift[metric] = {direction: 'up', min, max, worse: TREND_METRICS[metric].higherIsWorse};
+            } else if (value < min * (1 - margin)) {
+                drift[metric] = {direction: 'down', min, max, worse: !TREND_METRICS[metric].higherIsWorse};
+            }
+        });
+        previous.push(run);
+        return Object.assign({}, run, {drift});
+    });
+}
+
+module.exports = {
+    DEFAULT_DRIFT_WINDOW,
+    TREND_METRICS,
+    currentCommit,
+    recordRun,
+    loadRuns,
+    detectDrift
+};
@@ -0,0 +1,20 @@
+// Escaping shared by the report, the history dashboard and the live page
+
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// JSON for a value embedded in an inline <script>: '<' is escaped so a string holding
+// "</script>" or "<!--" cannot end the script element early
+function scriptJson(value) {
+    return JSON.stringify(value).replace(/</g, '\\u003c');
+}
+
+module.exports = {
+    escapeHtml,
+    scriptJson
+};
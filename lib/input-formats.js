@@ -0,0 +1,279 @@
+const fs = require('fs');
+const {readLines} = require('./line-reader');
+const {parseThresholdExpression, parseMetricKey} = require('./thresholds');
+
+// Adapters for the k6 artifacts the report can be built from:
+//   json     k6 run --out json=<file>         NDJSON Metric and Point lines (the native format)
+//   csv      k6 run --out csv=<file>          one row per point, no metric definitions or thresholds
+//   summary  k6 run --summary-export=<file>   end-of-test aggregates only, no time series;
+//            or a handleSummary() JSON dump   (same shape, with type/contains and `values`)
+// CSV rows are turned into the same Metric/Point entries the NDJSON lines parse to.
+
+const INPUT_FORMATS = ['json', 'csv', 'summary'];
+
+// Types of the metrics k6 emits itself, for inputs that carry no Metric definitions
+const K6_BUILTIN_METRICS = {
+    vus: {type: 'gauge', contains: 'default'},
+    vus_max: {type: 'gauge', contains: 'default'},
+    iterations: {type: 'counter', contains: 'default'},
+    iteration_duration: {type: 'trend', contains: 'time'},
+    dropped_iterations: {type: 'counter', contains: 'default'},
+    data_received: {type: 'counter', contains: 'data'},
+    data_sent: {type: 'counter', contains: 'data'},
+    checks: {type: 'rate', contains: 'default'},
+    group_duration: {type: 'trend', contains: 'time'},
+    http_reqs: {type: 'counter', contains: 'default'},
+    http_req_failed: {type: 'rate', contains: 'default'},
+    http_req_duration: {type: 'trend', contains: 'time'},
+    http_req_blocked: {type: 'trend', contains: 'time'},
+    http_req_connecting: {type: 'trend', contains: 'time'},
+    http_req_tls_handshaking: {type: 'trend', contains: 'time'},
+    http_req_sending: {type: 'trend', contains: 'time'},
+    http_req_waiting: {type: 'trend', contains: 'time'},
+    http_req_receiving: {type: 'trend', contains: 'time'},
+    ws_sessions: {type: 'counter', contains: 'default'},
+    ws_msgs_sent: {type: 'counter', contains: 'default'},
+    ws_msgs_received: {type: 'counter', contains: 'default'},
+    ws_connecting: {type: 'trend', contains: 'time'},
+    ws_session_duration: {type: 'trend', contains: 'time'},
+    ws_ping: {type: 'trend', contains: 'time'},
+    grpc_req_duration: {type: 'trend', contains: 'time'},
+    grpc_streams: {type: 'counter', contains: 'default'},
+    grpc_streams_msgs_sent: {type: 'counter', contains: 'default'},
+    grpc_streams_msgs_received: {type: 'counter', contains: 'default'}
+};
+
+const DETECT_BYTES = 64 * 1024;
+
+// Sniffs the first non-empty line; null when the file is none of INPUT_FORMATS.
+// Empty files count as json so they are reported as having no data points.
+function detectInputFormat(filePath) {
+    const fd = fs.openSync(filePath, 'r');
+    let head;
+    try {
+        const buffer = Buffer.alloc(DETECT_BYTES);
+        head = buffer.toString('utf8', 0, fs.readSync(fd, buffer, 0, DETECT_BYTES, 0));
+    } finally {
+        fs.closeSync(fd);
+    }
+    const firstLine = (head.replace(/^\uFEFF/, '').split(/\r?\n/).find(line => line.trim()) || '').trim();
+
+    if (firstLine === '') return 'json';
+    if (/^metric_name,timestamp,metric_value(,|$)/.test(firstLine)) return 'csv';
+    if (!firstLine.startsWith('{')) return null;
+    try {
+        const entry = JSON.parse(firstLine);
+        if (entry.type === 'Metric' || entry.type === 'Point') return 'json';
+        return entry.metrics ? 'summary' : null;
+    } catch (e) {
+        // A pretty-printed JSON document rather than one entry per line
+        return 'summary';
+    }
+}
+
+// One CSV record; k6 quotes fields containing commas, quotes or newlines
+function parseCsvLine(line) {
+    const fields = [];
+    let field = '';
+    let quoted = false;
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (quoted) {
+            if (char === '"' && line[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            fields.push(field);
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    fields.push(field);
+    return fields;
+}
+
+// k6 writes unix seconds by default; --out csv=...?timeFormat= allows milli/micro/nanoseconds or RFC 3339
+function csvTime(value) {
+    if (!/^\d+$/.test(value)) return new Date(Date.parse(value));
+    const number = Number(value);
+    if (number < 1e11) return new Date(number * 1000);
+    if (number < 1e14) return new Date(number);
+    if (number < 1e17) return new Date(number / 1e3);
+    return new Date(number / 1e6);
+}
+
+// Columns that are not tags; every other non-empty column is
+const CSV_FIELDS = new Set(['metric_name', 'timestamp', 'metric_value', 'extra_tags', 'metadata']);
+
+// Calls onEntry with NDJSON-shaped Metric (built-in metrics only) and Point entries
+async function readCsvEntries(filePath, onEntry) {
+    let columns = null;
+    const seen = new Set();
+
+    await readLines(filePath, line => {
+        if (!line.trim()) return;
+        const fields = parseCsvLine(line);
+        if (!columns) {
+            columns = fields;
+            return;
+        }
+
+        const row = {};
+        columns.forEach((column, i) => {
+            row[column] = fields[i] === undefined ? '' : fields[i];
+        });
+        const metric = row.metric_name;
+        const value = Number(row.metric_value);
+        const time = csvTime(row.timestamp);
+        if (!metric || row.metric_value === '' || !Number.isFinite(value) || Number.isNaN(time.getTime())) return;
+
+        if (!seen.has(metric)) {
+            seen.add(metric);
+            if (K6_BUILTIN_METRICS[metric]) {
+                onEntry({type: 'Metric', metric, data: Object.assign({name: metric}, K6_BUILTIN_METRICS[metric])});
+            }
+        }
+
+        const tags = {};
+        columns.forEach(column => {
+            if (!CSV_FIELDS.has(column) && row[column] !== '') tags[column] = row[column];
+        });
+        // extra_tags: name1=value1&name2=value2
+        (row.extra_tags || '').split('&').filter(Boolean).forEach(pair => {
+            const separator = pair.indexOf('=');
+            if (separator > 0) tags[pair.slice(0, separator)] = pair.slice(separator + 1);
+        });
+
+        onEntry({type: 'Point', metric, data: {time: time.toISOString(), value, tags}});
+    });
+}
+
+// Streams a json or csv input: json passes raw lines, csv passes parsed entries
+function readInput(filePath, format, onLine) {
+    return format === 'csv' ? readCsvEntries(filePath, onLine) : readLines(filePath, onLine);
+}
+
+const listOf = value => Array.isArray(value) ? value : Object.values(value || {});
+
+// --summary-export files have no type; infer it from the keys k6 writes per type
+function summaryMetricType(name, metric, values) {
+    if (metric.type) return metric.type;
+    if (K6_BUILTIN_METRICS[parseMetricKey(name).metric]) return K6_BUILTIN_METRICS[parseMetricKey(name).metric].type;
+    if ('passes' in values) return 'rate';
+    if ('count' in values) return 'counter';
+    if ('avg' in values || 'med' in values) return 'trend';
+    return 'gauge';
+}
+
+// Summary values in the shape of MetricAggregate.stats(); what k6 did not export stays undefined
+// and the trend sample count is null (k6 does not export it)
+function summaryStats(type, values) {
+    switch (type) {
+        case 'counter':
+            return {count: null, sum: values.count, perSecond: values.rate};
+        case 'rate': {
+            const passes = values.passes || 0;
+            const fails = values.fails || 0;
+            return {count: passes + fails, sum: passes, rate: values.rate !== undefined ? values.rate : values.value};
+        }
+        case 'gauge':
+            return {count: null, last: values.value, min: values.min, max: values.max};
+        default: {
+            const stats = {count: null, min: values.min, max: values.max, avg: values.avg, med: values.med};
+            Object.keys(values).forEach(key => {
+                const percentile = /^p\((\d+(?:\.\d+)?)\)$/.exec(key);
+                if (percentile) stats[`p${percentile[1]}`] = values[key];
+            });
+            return stats;
+        }
+    }
+}
+
+// k6's own verdicts: handleSummary() has {ok}, --summary-export has true for a crossed threshold
+function summaryThresholds(key, metric, values) {
+    const {metric: name, tags} = parseMetricKey(key);
+    return Object.entries(metric.thresholds || {}).map(([source, verdict]) => {
+        const result = {
+            key,
+            metric: name,
+            tags,
+            source,
+            abortOnFail: false,
+            ok: typeof verdict === 'object' && verdict !== null ? Boolean(verdict.ok) : !verdict
+        };
+        try {
+            const {aggregation} = parseThresholdExpression(source);
+            const field = aggregation === 'rate' && values.rate === undefined ? 'value' : aggregation;
+            result.actual = values[field];
+        } catch (e) {
+            result.error = e.message;
+        }
+        return result;
+    });
+}
+
+function summaryChecks(group, checks = []) {
+    listOf(group && group.checks).forEach(check => {
+        checks.push({name: check.name, group: group.path || '', passes: check.passes, fails: check.fails});
+    });
+    listOf(group && group.groups).forEach(child => summaryChecks(child, checks));
+    return checks;
+}
+
+// Run length from handleSummary() state, or from a counter's total and per-second rate
+function summaryDuration(summary, metrics) {
+    if (summary.state && summary.state.testRunDurationMs) return summary.state.testRunDurationMs;
+    const counter = ['iterations', 'http_reqs'].map(name => metrics[name]).find(m => m && m.stats.perSecond > 0);
+    return counter ? counter.stats.sum / counter.stats.perSecond * 1000 : 0;
+}
+
+// Reads a --summary-export or handleSummary() JSON file into
+// {metrics: {name: {type, contains, stats}}, submetrics, thresholds, checks, durationMs}
+function readSummaryExport(filePath) {
+    const summary = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    if (!summary || typeof summary.metrics !== 'object') {
+        throw new Error(`${filePath} is not a k6 end-of-test summary (no "metrics" object)`);
+    }
+
+    const metrics = {};
+    const submetrics = {};
+    const thresholds = [];
+    Object.entries(summary.metrics).forEach(([key, metric]) => {
+        const values = metric.values || metric;
+        const type = summaryMetricType(key, metric, values);
+        const builtin = K6_BUILTIN_METRICS[parseMetricKey(key).metric];
+        const entry = {
+            type,
+            contains: metric.contains || (builtin ? builtin.contains : undefined),
+            stats: summaryStats(type, values)
+        };
+        (key.includes('{') ? submetrics : metrics)[key] = entry;
+        thresholds.push(...summaryThresholds(key, metric, values));
+    });
+
+    return {
+        metrics,
+        submetrics,
+        thresholds,
+        checks: summaryChecks(summary.root_group),
+        durationMs: summaryDuration(summary, metrics)
+    };
+}
+
+module.exports = {
+    INPUT_FORMATS,
+    K6_BUILTIN_METRICS,
+    detectInputFormat,
+    parseCsvLine,
+    readCsvEntries,
+    readInput,
+    readSummaryExport
+};
@@ -0,0 +1,255 @@
+const {vusPerBucket} = require('./stages');
+
+// Findings drawn from a run's time series (as returned by processK6Output): latency spikes,
+// error bursts, the VU level where throughput stops scaling, latency drift while the load is
+// steady and periods of growing http_req_blocked. Each finding covers [from, to) in unix seconds
+// so the report can mark it on the charts.
+
+// Buckets with fewer requests than this are too noisy to judge
+const MIN_BUCKET_REQUESTS = 5;
+
+// p95 at least this many times the median p95 of the surrounding buckets
+const SPIKE_FACTOR = 2;
+const SPIKE_WINDOW_BUCKETS = 6; // on either side
+
+// Error rate of at least ERROR_BURST_MIN_RATE and ERROR_BURST_FACTOR times the typical bucket,
+// with at least MIN_BURST_FAILURES failed requests in the bucket
+const ERROR_BURST_MIN_RATE = 0.1;
+const ERROR_BURST_FACTOR = 3;
+const MIN_BURST_FAILURES = 5;
+
+// The knee is the lowest VU level reaching KNEE_RPS_SHARE of the peak throughput, reported when
+// the run went on to at least KNEE_VU_GROWTH times those VUs and throughput had grown
+// by KNEE_RPS_GAIN from the lowest level
+const KNEE_RPS_SHARE = 0.95;
+const KNEE_VU_GROWTH = 1.25;
+const KNEE_RPS_GAIN = 1.1;
+const MIN_KNEE_LEVELS = 4;
+
+// Flag a fitted p95 increase of this share over a steady stage (see stages.js) of at least
+// MIN_DRIFT_BUCKETS buckets, if the trend is consistent
+const MIN_DRIFT_BUCKETS = 6;
+const DRIFT_MIN_CHANGE = 0.2;
+const DRIFT_MIN_CORRELATION = 0.6;
+
+// Blocked (queueing) time above BLOCKED_MIN_MS and BLOCKED_FACTOR times the quietest quarter
+// of the run, which is its baseline even when blocking lasts most of the run
+const BLOCKED_BASELINE_QUANTILE = 0.25;
+const BLOCKED_FACTOR = 3;
+const BLOCKED_MIN_MS = 5;
+const MIN_BLOCKED_BUCKETS = 2;
+
+// Linear interpolation between the closest ranks
+function quantile(values, q) {
+    if (values.length === 0) return null;
+    const sorted = values.slice().sort((a, b) => a - b);
+    const rank = (sorted.length - 1) * q;
+    const lower = Math.floor(rank);
+    const upper = Math.ceil(rank);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+}
+
+function median(values) {
+    return quantile(values, 0.5);
+}
+
+function formatMs(value) {
+    return value < 1000 ? `${value.toFixed(0)} ms` : `${(value / 1000).toFixed(2)} s`;
+}
+
+function formatPercent(value) {
+    return `${(value * 100).toFixed(1)}%`;
+}
+
+// Runs of consecutive flagged indexes as [first, last] pairs
+function flaggedRuns(flags) {
+    const runs = [];
+    flags.forEach((flagged, i) => {
+        if (!flagged) return;
+        const last = runs[runs.length - 1];
+        if (last && last[1] === i - 1) last[1] = i;
+        else runs.push([i, i]);
+    });
+    return runs;
+}
+
+function latencySpikes(buckets, bucketSeconds) {
+    const flags = buckets.map((bucket, i) => {
+        if (bucket.p95 === null || bucket.count < MIN_BUCKET_REQUESTS) return false;
+        const around = buckets
+            .slice(Math.max(0, i - SPIKE_WINDOW_BUCKETS), i + SPIKE_WINDOW_BUCKETS + 1)
+            .filter(other => other !== bucket && other.p95 !== null && other.count >= MIN_BUCKET_REQUESTS)
+            .map(other => other.p95);
+        const typical = median(around);
+        return typical !== null && bucket.p95 >= typical * SPIKE_FACTOR;
+    });
+
+    return flaggedRuns(flags).map(([first, last]) => {
+        const spike = buckets.slice(first, last + 1);
+        const peak = Math.max(...spike.map(bucket => bucket.p95));
+        const typical = median(buckets
+            .slice(Math.max(0, first - SPIKE_WINDOW_BUCKETS), last + SPIKE_WINDOW_BUCKETS + 1)
+            .filter(bucket => !spike.includes(bucket) && bucket.p95 !== null)
+            .map(bucket => bucket.p95));
+        return {
+            type: 'latency-spike',
+            from: buckets[first].timestamp,
+            to: buckets[last].timestamp + bucketSeconds,
+            title: 'Latency spike',
+            message: `p95 reached ${formatMs(peak)}` +
+                (typical !== null ? `, ${(peak / typical).toFixed(1)}x the ${formatMs(typical)} around it` : ''),
+            values: {peak, typical}
+        };
+    });
+}
+
+function errorBursts(buckets, bucketSeconds) {
+    const judged = buckets.filter(bucket => bucket.requests >= MIN_BUCKET_REQUESTS);
+    const typical = median(judged.map(bucket => bucket.errorRate)) || 0;
+    const limit = Math.max(ERROR_BURST_MIN_RATE, typical * ERROR_BURST_FACTOR);
+    const flags = buckets.map(bucket => bucket.requests >= MIN_BUCKET_REQUESTS &&
+        bucket.failed >= MIN_BURST_FAILURES && bucket.errorRate >= limit);
+
+    return flaggedRuns(flags).map(([first, last]) => {
+        const burst = buckets.slice(first, last + 1);
+        const requests = burst.reduce((total, bucket) => total + bucket.requests, 0);
+        const failed = burst.reduce((total, bucket) => total + bucket.failed, 0);
+        return {
+            type: 'error-burst',
+            from: buckets[first].timestamp,
+            to: buckets[last].timestamp + bucketSeconds,
+            title: 'Error burst',
+            message: `${failed.toLocaleString()} of ${requests.toLocaleString()} requests failed ` +
+                `(${formatPercent(failed / requests)}, typically ${formatPercent(typical)})`,
+            values: {failed, requests, errorRate: failed / requests, typical}
+        };
+    });
+}
+
+// Throughput per VU level (averaged over the buckets at that level) against its peak.
+// The first and last buckets are left out as they usually cover part of a bucket only.
+function saturationKnee(buckets, bucketVus, bucketSeconds) {
+    const byLevel = new Map();
+    buckets.slice(1, -1).forEach((bucket, i) => {
+        const vus = bucketVus[i + 1];
+        if (!(vus > 0) || bucket.requests === 0) return;
+        const level = Math.round(vus);
+        const entry = byLevel.get(level) || {vus: level, rps: 0, buckets: 0};
+        entry.rps += bucket.rps;
+        entry.buckets++;
+        byLevel.set(level, entry);
+    });
+    const levels = [...byLevel.values()]
+        .map(level => ({vus: level.vus, rps: level.rps / level.buckets}))
+        .sort((a, b) => a.vus - b.vus);
+    if (levels.length < MIN_KNEE_LEVELS) return [];
+
+    const peak = levels.reduce((top, level) => level.rps > top.rps ? level : top);
+    const knee = levels.find(level => level.rps >= peak.rps * KNEE_RPS_SHARE);
+    const maxVus = levels[levels.length - 1].vus;
+    if (maxVus < knee.vus * KNEE_VU_GROWTH || knee.rps < levels[0].rps * KNEE_RPS_GAIN) return [];
+
+    const index = buckets.findIndex((bucket, i) => Math.round(bucketVus[i]) >= knee.vus);
+    const reached = buckets[Math.max(0, index)].timestamp;
+    return [{
+        type: 'saturation',
+        from: reached,
+        to: reached + bucketSeconds,
+        title: 'Throughput stops scaling',
+        message: `${knee.rps.toFixed(1)} req/s at ${knee.vus} VUs; up to ${maxVus} VUs reached ` +
+            `at most ${peak.rps.toFixed(1)} req/s`,
+        values: {vus: knee.vus, rps: knee.rps, maxVus, maxRps: peak.rps}
+    }];
+}
+
+// Least-squares fit of y over x: {slope, intercept, correlation}
+function linearFit(xs, ys) {
+    const n = xs.length;
+    const meanX = xs.reduce((a, b) => a + b, 0) / n;
+    const meanY = ys.reduce((a, b) => a + b, 0) / n;
+    let sxy = 0;
+    let sxx = 0;
+    let syy = 0;
+    xs.forEach((x, i) => {
+        sxy += (x - meanX) * (ys[i] - meanY);
+        sxx += (x - meanX) ** 2;
+        syy += (ys[i] - meanY) ** 2;
+    });
+    const slope = sxx > 0 ? sxy / sxx : 0;
+    return {
+        slope,
+        intercept: meanY - slope * meanX,
+        correlation: sxx > 0 && syy > 0 ? sxy / Math.sqrt(sxx * syy) : 0
+    };
+}
+
+function latencyDrift(buckets, stages) {
+    if (!stages) return [];
+    return stages.list.filter(stage => stage.kind === 'steady').flatMap(stage => {
+        const {from, to} = stage;
+        const points = buckets.filter(bucket => bucket.timestamp >= from && bucket.timestamp < to &&
+            bucket.p95 !== null && bucket.count >= MIN_BUCKET_REQUESTS);
+        if (points.length < MIN_DRIFT_BUCKETS) return [];
+        const fit = linearFit(points.map(bucket => bucket.timestamp - from), points.map(bucket => bucket.p95));
+        const start = fit.intercept;
+        const end = fit.intercept + fit.slope * (to - from);
+        if (!(start > 0) || (end - start) / start < DRIFT_MIN_CHANGE || fit.correlation < DRIFT_MIN_CORRELATION) {
+            return [];
+        }
+        const level = `${stage.target} ${stages.unit}`;
+        return [{
+            type: 'latency-drift',
+            from,
+            to,
+            title: 'Latency drift under steady load',
+            message: `p95 rose from about ${formatMs(start)} to ${formatMs(end)} at a steady ${level} ` +
+                `(+${formatPercent((end - start) / start)} over ${Math.round(to - from)}s)`,
+            values: {stage: stage.index, start, end}
+        }];
+    });
+}
+
+function connectionBlocking(points, bucketSeconds) {
+    const blocked = points.map(point => point.averages.http_req_blocked);
+    const typical = quantile(blocked, BLOCKED_BASELINE_QUANTILE) || 0;
+    const limit = Math.max(BLOCKED_MIN_MS, typical * BLOCKED_FACTOR);
+
+    return flaggedRuns(blocked.map(value => value >= limit))
+        .filter(([first, last]) => last - first + 1 >= MIN_BLOCKED_BUCKETS)
+        .map(([first, last]) => {
+            const period = points.slice(first, last + 1);
+            const peak = Math.max(...period.map(point => point.averages.http_req_blocked));
+            const shares = period.map(point => {
+                const total = Object.values(point.averages).reduce((a, b) => a + b, 0);
+                return total > 0 ? point.averages.http_req_blocked / total : 0;
+            });
+            return {
+                type: 'connection-blocking',
+                from: points[first].timestamp,
+                to: points[last].timestamp + bucketSeconds,
+                title: 'Requests waiting for a connection',
+                message: `Blocked time up to ${formatMs(peak)} per request (baseline ${formatMs(typical)}), ` +
+                    `up to ${formatPercent(Math.max(...shares))} of the request time; ` +
+                    'a sign of an exhausted connection pool or too few sockets',
+                values: {peak, typical}
+            };
+        });
+}
+
+function detectInsights(data) {
+    const {buckets, bucketSeconds, timestamps, vus, latencyComponents} = data.timeseriesData;
+    if (!buckets || buckets.length === 0) return [];
+    const bucketVus = vusPerBucket(timestamps, vus, buckets, bucketSeconds);
+
+    return [
+        ...latencySpikes(buckets, bucketSeconds),
+        ...errorBursts(buckets, bucketSeconds),
+        ...saturationKnee(buckets, bucketVus, bucketSeconds),
+        ...latencyDrift(buckets, data.stages),
+        ...connectionBlocking(latencyComponents || [], bucketSeconds)
+    ].sort((a, b) => a.from - b.from);
+}
+
+module.exports = {
+    detectInsights
+};
@@ -0,0 +1,122 @@
+const path = require('path');
+const {MetricAggregate} = require('./metric-aggregate');
+const {RequestSeries, TimeSeries} = require('./time-series');
+
+// Per-input breakdown for distributed runs, where each load generator writes its own k6 output.
+// The merged report feeds every point into shared aggregates, so percentiles come from one
+// combined distribution; these keep each generator's share apart to spot an overloaded one.
+
+// Gauges that add up across generators (each one reports only its own VUs)
+const ADDITIVE_GAUGES = ['vus', 'vus_max'];
+
+class InstanceStats {
+    constructor(name, {bucketSeconds = 1, offsetMs = 0} = {}) {
+        this.name = name;
+        this.offsetMs = offsetMs; // clock shift applied to every point of this input
+        this.startSkewMs = 0; // how much later than the earliest input this one started, before shifting
+        this.first = Infinity;
+        this.last = -Infinity;
+        this.requests = 0;
+        this.failed = new MetricAggregate(); // http_req_failed
+        this.duration = new MetricAggregate();
+        this.series = new RequestSeries({bucketSeconds});
+        this.iterations = 0;
+        this.droppedIterations = 0;
+        this.dataReceived = 0;
+        this.checks = {passes: 0, fails: 0};
+        this.gauges = Object.fromEntries(ADDITIVE_GAUGES.map(name => [name, new TimeSeries({bucketSeconds})]));
+    }
+
+    add(metric, value, timeInSeconds) {
+        const time = timeInSeconds * 1000;
+        if (time < this.first) this.first = time;
+        if (time > this.last) this.last = time;
+
+        switch (metric) {
+            case 'http_reqs':
+                this.requests += value;
+                this.series.addRequests(timeInSeconds, value, false);
+                break;
+            case 'http_req_failed':
+                this.failed.add(value);
+                break;
+            case 'http_req_duration':
+                this.duration.add(value);
+                this.series.addDuration(timeInSeconds, value);
+                break;
+            case 'iterations':
+                this.iterations += value;
+                break;
+            case 'dropped_iterations':
+                this.droppedIterations += value;
+                break;
+            case 'data_received':
+                this.dataReceived += value;
+                break;
+            case 'checks':
+                this.checks[value ? 'passes' : 'fails']++;
+                break;
+            default:
+                if (this.gauges[metric]) this.gauges[metric].add(timeInSeconds, value);
+        }
+    }
+
+    toJSON() {
+        const durationMs = this.last >= this.first ? this.last - this.first : 0;
+        const vus = this.gauges.vus.points().map(point => point.max);
+        return {
+            name: this.name,
+            startSkewMs: this.startSkewMs,
+            offsetMs: this.offsetMs,
+            start: Number.isFinite(this.first) ? this.first : null,
+            durationMs,
+            maxVus: vus.length > 0 ? Math.max(...vus) : null,
+            requests: this.requests,
+            rps: durationMs > 0 ? this.requests / (durationMs / 1000) : 0,
+            // Without http_req_failed points the error rate is unknown rather than 0
+            errorRate: this.failed.count > 0 ? this.failed.nonZero / this.failed.count : null,
+            iterations: this.iterations,
+            droppedIterations: this.droppedIterations,
+            dataReceived: this.dataReceived,
+            checks: this.checks,
+            stats: this.duration.stats(),
+            timeseries: {
+                bucketSeconds: this.series.bucketSeconds,
+                points: this.series.points()
+            }
+        };
+    }
+}
+
+// Sum of several gauges kept in TimeSeries: per bucket, the sum of each series' average, where a
+// series without samples in a bucket keeps its previous value. The series are first coarsened to
+// the widest bucket among them so their buckets line up. Timestamps are bucket starts.
+function sumGauges(seriesList) {
+    const bucketSeconds = Math.max(...seriesList.map(series => series.bucketSeconds));
+    seriesList.forEach(series => {
+        while (series.bucketSeconds < bucketSeconds) series.coarsen();
+    });
+    const averages = seriesList.map(series => new Map(series.points().map(point => [point.timestamp, point.avg])));
+    const timestamps = [...new Set(averages.flatMap(series => [...series.keys()]))].sort((a, b) => a - b);
+    const current = seriesList.map(() => 0);
+    const values = timestamps.map(timestamp => {
+        averages.forEach((series, i) => {
+            if (series.has(timestamp)) current[i] = series.get(timestamp);
+        });
+        return current.reduce((a, b) => a + b, 0);
+    });
+    return {timestamps, values};
+}
+
+// File names for labels, falling back to the full path when two inputs share one
+function instanceNames(filePaths) {
+    const names = filePaths.map(filePath => path.basename(filePath));
+    return names.map((name, i) => names.indexOf(name) === names.lastIndexOf(name) ? name : filePaths[i]);
+}
+
+module.exports = {
+    ADDITIVE_GAUGES,
+    InstanceStats,
+    sumGauges,
+    instanceNames
+};
@@ -0,0 +1,70 @@
+// JUnit XML rendering of thresholds and checks, for CI test result viewers
+
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+function testCase(classname, name, failure) {
+    const open = `    <testcase classname="${escapeXml(classname)}" name="${escapeXml(name)}"`;
+    if (!failure) return `${open}/>`;
+    return `${open}>
+      <failure message="${escapeXml(failure.message)}" type="${escapeXml(failure.type)}">${escapeXml(failure.details || failure.message)}</failure>
+    </testcase>`;
+}
+
+function testSuite(name, cases, seconds) {
+    const failures = cases.filter(c => c.failure).length;
+    return `  <testsuite name="${escapeXml(name)}" tests="${cases.length}" failures="${failures}" errors="0" time="${seconds}">
+${cases.map(c => testCase(c.classname, c.name, c.failure)).join('\n')}
+  </testsuite>`;
+}
+
+// k6 group paths look like "::outer::inner"; viewers nest classnames on dots
+function groupClassname(group) {
+    return group.split('::').filter(Boolean).join('.');
+}
+
+function buildJUnit(data, meta = {}) {
+    const seconds = ((data.testDuration || 0) / 1000).toFixed(3);
+    const suiteName = meta.title || 'k6';
+
+    const thresholdCases = (data.thresholds || []).map(threshold => ({
+        classname: `${suiteName}.thresholds`,
+        name: `${threshold.key}: ${threshold.source}`,
+        failure: threshold.ok ? null : {
+            type: threshold.error ? 'InvalidThreshold' : 'ThresholdFailed',
+            message: threshold.error ||
+                `${threshold.source} failed for ${threshold.key} (actual: ${Number(threshold.actual).toFixed(3)})`
+        }
+    }));
+
+    const checkCases = (data.checks || []).map(check => ({
+        classname: [`${suiteName}.checks`, groupClassname(check.group || '')].filter(Boolean).join('.'),
+        name: check.name,
+        failure: check.fails === 0 ? null : {
+            type: 'CheckFailed',
+            message: `${check.fails} of ${check.passes + check.fails} checks failed`
+        }
+    }));
+
+    const suites = [testSuite(`${suiteName} thresholds`, thresholdCases, seconds)];
+    if (checkCases.length > 0) {
+        suites.push(testSuite(`${suiteName} checks`, checkCases, seconds));
+    }
+
+    const all = thresholdCases.concat(checkCases);
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<testsuites name="${escapeXml(suiteName)}" tests="${all.length}" failures="${all.filter(c => c.failure).length}" errors="0" time="${seconds}">
+${suites.join('\n')}
+</testsuites>
+`;
+}
+
+module.exports = {
+    buildJUnit
+};
@@ -0,0 +1,16 @@
+const fs = require('fs');
+const readline = require('readline');
+
+// Reads a file line by line without loading it into memory
+async function readLines(filePath, onLine) {
+    const input = fs.createReadStream(filePath, {encoding: 'utf8'});
+    const lines = readline.createInterface({input, crlfDelay: Infinity});
+
+    for await (const line of lines) {
+        onLine(line);
+    }
+}
+
+module.exports = {
+    readLines
+};
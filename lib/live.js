@@ -0,0 +1,275 @@
+const http = require('http');
+const {WebSocketServer} = require('ws');
+const {plotlyScriptTag} = require('./assets');
+const {escapeHtml} = require('./html');
+const {downsampleLTTB} = require('./sampling');
+
+// Local dashboard for --live: GET / serves the page, GET /snapshot the latest state as JSON and
+// /live is a WebSocket that pushes every new snapshot. The page falls back to polling /snapshot
+// when the WebSocket cannot connect.
+
+const DEFAULT_LIVE_PORT = 5666;
+const MAX_LIVE_POINTS = 1000;
+
+// The part of a processK6Output() result the live page shows
+function buildLiveSnapshot(data, {done = false} = {}) {
+    const duration = data.metrics.http_req_duration;
+    const vus = downsampleLTTB(data.timeseriesData.timestamps, data.timeseriesData.vus, MAX_LIVE_POINTS);
+    const checks = data.checks.reduce((total, check) => ({
+        passes: total.passes + check.passes,
+        fails: total.fails + check.fails
+    }), {passes: 0, fails: 0});
+
+    return {
+        updatedAt: new Date().toISOString(),
+        done,
+        start: data.testStart,
+        durationMs: data.testDuration || 0,
+        requests: data.requests,
+        latency: duration && duration.stats.count > 0 ? duration.stats : null,
+        vus: data.timeseriesData.vus.length > 0 ? data.timeseriesData.vus[data.timeseriesData.vus.length - 1] : null,
+        checks,
+        thresholds: data.thresholds.map(t => ({key: t.key, source: t.source, actual: t.actual, ok: t.ok})),
+        bucketSeconds: data.timeseriesData.bucketSeconds,
+        buckets: data.timeseriesData.buckets.map(p => ({
+            timestamp: p.timestamp,
+            rps: p.rps,
+            errorRate: p.errorRate,
+            p50: p.p50,
+            p95: p.p95,
+            p99: p.p99
+        })),
+        vusSeries: {timestamps: vus.x, values: vus.y}
+    };
+}
+
+function renderLivePage({title, refreshMs, offline}) {
+    return `<!DOCTYPE html>
+<html>
+<head>
+    <title>${escapeHtml(title)} (live)</title>
+    ${plotlyScriptTag({inline: offline})}
+    <style>
+        body {
+            font-family: Arial, sans-serif;
+            margin: 0;
+            padding: 20px;
+            background: #f5f5f5;
+        }
+        .container {
+            max-width: 1200px;
+            margin: 0 auto;
+            background: white;
+            padding: 20px;
+            border-radius: 8px;
+            box-shadow: 0 0 10px rgba(0,0,0,0.1);
+        }
+        .tiles {
+            display: grid;
+            grid-template-columns: repeat(auto-fit, minmax(160px, 1fr));
+            gap: 10px;
+        }
+        .tile {
+            background: #f8f9fa;
+            padding: 10px;
+            border-radius: 4px;
+        }
+        .tile-label {
+            font-weight: bold;
+            color: #666;
+        }
+        .tile-value {
+            font-size: 1.5em;
+        }
+        .status {
+            font-size: 0.85em;
+            color: #666;
+        }
+        table {
+            width: 100%;
+            border-collapse: collapse;
+            margin-top: 10px;
+        }
+        th, td {
+            padding: 8px;
+            text-align: left;
+            border-bottom: 1px solid #dee2e6;
+        }
+        .status-pass {
+            color: #27ae60;
+            font-weight: bold;
+        }
+        .status-fail {
+            color: #c0392b;
+            font-weight: bold;
+        }
+        .chart {
+            height: 350px;
+        }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <h1>${escapeHtml(title)} <span class="status" id="status">connecting...</span></h1>
+        <div class="tiles">
+            <div class="tile"><div class="tile-label">Elapsed</div><div class="tile-value" id="elapsed">-</div></div>
+            <div class="tile"><div class="tile-label">VUs</div><div class="tile-value" id="vus">-</div></div>
+            <div class="tile"><div class="tile-label">Requests</div><div class="tile-value" id="requests">-</div></div>
+            <div class="tile"><div class="tile-label">Error Rate</div><div class="tile-value" id="errorRate">-</div></div>
+            <div class="tile"><div class="tile-label">p95</div><div class="tile-value" id="p95">-</div></div>
+            <div class="tile"><div class="tile-label">Checks Passed</div><div class="tile-value" id="checks">-</div></div>
+        </div>
+
+        <h2>Response Time Percentiles</h2>
+        <div id="latencyChart" class="chart"></div>
+        <h2>Requests per Second &amp; Error Rate</h2>
+        <div id="rpsChart" class="chart"></div>
+        <h2>Virtual Users</h2>
+        <div id="vusChart" class="chart"></div>
+
+        <h2>Thresholds</h2>
+        <table>
+            <thead><tr><th>Metric</th><th>Threshold</th><th>Actual</th><th>Result</th></tr></thead>
+            <tbody id="thresholds"></tbody>
+        </table>
+    </div>
+    <script>
+        const REFRESH_MS = ${refreshMs};
+        let finished = false;
+        const text = (id, value) => { document.getElementById(id).textContent = value; };
+        // escapeHtml from lib/html.js, embedded as source
+        ${escapeHtml}
+        const ms = value => value === null || value === undefined ? '-' :
+            value < 1000 ? value.toFixed(2) + ' ms' : (value / 1000).toFixed(2) + ' s';
+        const percent = value => (value * 100).toFixed(2) + '%';
+        const elapsed = durationMs => {
+            const seconds = Math.floor(durationMs / 1000);
+            return Math.floor(seconds / 3600) + 'h ' + Math.floor(seconds % 3600 / 60) + 'm ' + seconds % 60 + 's';
+        };
+
+        function render(snapshot) {
+            const buckets = snapshot.buckets;
+            const x = buckets.map(p => new Date(p.timestamp * 1000));
+            finished = snapshot.done;
+            text('status', snapshot.done ? 'run finished' : 'updated ' + new Date(snapshot.updatedAt).toLocaleTimeString());
+            text('elapsed', elapsed(snapshot.durationMs));
+            text('vus', snapshot.vus === null ? '-' : snapshot.vus);
+            text('requests', snapshot.requests.total.toLocaleString());
+            text('errorRate', percent(snapshot.requests.failureRate));
+            text('p95', ms(snapshot.latency && snapshot.latency.p95));
+            const checked = snapshot.checks.passes + snapshot.checks.fails;
+            text('checks', checked > 0 ? percent(snapshot.checks.passes / checked) : '-');
+
+            Plotly.react('latencyChart', ['p50', 'p95', 'p99'].map(stat => ({
+                x, y: buckets.map(p => p[stat]), name: stat, type: 'scatter', mode: 'lines'
+            })), {yaxis: {title: 'ms', rangemode: 'tozero'}, margin: {t: 10}});
+            Plotly.react('rpsChart', [
+                {x, y: buckets.map(p => p.rps), name: 'Requests/s', type: 'scatter', mode: 'lines'},
+                {x, y: buckets.map(p => p.errorRate * 100), name: 'Error rate (%)', type: 'scatter', mode: 'lines', yaxis: 'y2'}
+            ], {
+                yaxis: {title: 'Requests/s', rangemode: 'tozero'},
+                yaxis2: {title: 'Error rate (%)', overlaying: 'y', side: 'right', rangemode: 'tozero'},
+                margin: {t: 10}
+            });
+            Plotly.react('vusChart', [{
+                x: snapshot.vusSeries.timestamps.map(t => new Date(t * 1000)),
+                y: snapshot.vusSeries.values,
+                name: 'VUs',
+                type: 'scatter',
+                mode: 'lines',
+                line: {shape: 'hv'}
+            }], {yaxis: {rangemode: 'tozero'}, margin: {t: 10}});
+
+            document.getElementById('thresholds').innerHTML = snapshot.thresholds.map(t =>
+                '<tr><td>' + escapeHtml(t.key) + '</td><td>' + escapeHtml(t.source) + '</td><td>' +
+                (t.actual === undefined ? '-' : escapeHtml(Number(t.actual).toFixed(2))) + '</td><td class="' +
+                (t.ok ? 'status-pass">PASS' : 'status-fail">FAIL') + '</td></tr>').join('') ||
+                '<tr><td colspan="4">No thresholds defined.</td></tr>';
+        }
+
+        function poll() {
+            fetch('snapshot')
+                .then(response => response.status === 200 ? response.json() : null)
+                .then(snapshot => {
+                    if (snapshot) render(snapshot);
+                    if (!snapshot || !snapshot.done) setTimeout(poll, REFRESH_MS);
+                })
+                .catch(() => {
+                    text('status', 'disconnected');
+                    setTimeout(poll, REFRESH_MS);
+                });
+        }
+
+        function connect() {
+            const socket = new WebSocket((location.protocol === 'https:' ? 'wss://' : 'ws://') + location.host + '/live');
+            let opened = false;
+            socket.onopen = () => { opened = true; };
+            socket.onmessage = event => render(JSON.parse(event.data));
+            socket.onclose = () => {
+                if (!opened) poll();
+                else if (!finished) text('status', 'disconnected');
+            };
+        }
+
+        connect();
+    </script>
+</body>
+</html>
+`;
+}
+
+// Starts the dashboard server; resolves once it is listening
+function startLiveServer({port = DEFAULT_LIVE_PORT, host = '127.0.0.1', title = 'Load Test', refreshMs, offline} = {}) {
+    const page = renderLivePage({title, refreshMs, offline});
+    let latest = null;
+
+    const server = http.createServer((req, res) => {
+        const pathname = new URL(req.url, 'http://localhost').pathname;
+        if (req.method !== 'GET') {
+            res.writeHead(405, {Allow: 'GET'});
+            res.end();
+        } else if (pathname === '/') {
+            res.writeHead(200, {'Content-Type': 'text/html; charset=utf-8'});
+            res.end(page);
+        } else if (pathname === '/snapshot') {
+            res.writeHead(latest ? 200 : 204, {'Content-Type': 'application/json', 'Cache-Control': 'no-store'});
+            res.end(latest ? JSON.stringify(latest) : undefined);
+        } else {
+            res.writeHead(404, {'Content-Type': 'text/plain'});
+            res.end('Not found');
+        }
+    });
+    const wss = new WebSocketServer({server, path: '/live'});
+    wss.on('connection', socket => {
+        if (latest) socket.send(JSON.stringify(latest));
+    });
+
+    return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, host, () => {
+            server.off('error', reject);
+            resolve({
+                url: `http://${host}:${server.address().port}/`,
+                publish: snapshot => {
+                    latest = snapshot;
+                    const message = JSON.stringify(snapshot);
+                    wss.clients.forEach(client => {
+                        if (client.readyState === client.OPEN) client.send(message);
+                    });
+                },
+                close: () => new Promise(done => {
+                    wss.clients.forEach(client => client.close(1001, 'Run finished'));
+                    wss.close();
+                    server.close(() => done());
+                    server.closeAllConnections();
+                })
+            });
+        });
+    });
+}
+
+module.exports = {
+    DEFAULT_LIVE_PORT,
+    buildLiveSnapshot,
+    startLiveServer
+};
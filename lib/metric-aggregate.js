@@ -0,0 +1,45 @@
+const {QuantileSketch} = require('./quantile-sketch');
+
+// Running aggregate for one metric (or sub-metric) series
+class MetricAggregate {
+    constructor() {
+        this.sketch = new QuantileSketch();
+        this.nonZero = 0;
+        this.last = undefined;
+        this.lastTime = -Infinity;
+    }
+
+    add(value, time) {
+        this.sketch.add(value);
+        if (value !== 0) this.nonZero++;
+        if (time === undefined || time >= this.lastTime) {
+            this.last = value;
+            this.lastTime = time === undefined ? this.lastTime : time;
+        }
+    }
+
+    get count() {
+        return this.sketch.count;
+    }
+
+    stats() {
+        const sketch = this.sketch;
+        return {
+            min: sketch.min,
+            max: sketch.max,
+            avg: sketch.avg,
+            med: sketch.quantile(0.5),
+            p90: sketch.quantile(0.9),
+            p95: sketch.quantile(0.95),
+            p99: sketch.quantile(0.99),
+            count: sketch.count,
+            sum: sketch.sum,
+            last: this.last,
+            rate: sketch.count > 0 ? this.nonZero / sketch.count : 0
+        };
+    }
+}
+
+module.exports = {
+    MetricAggregate
+};
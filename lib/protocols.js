@@ -0,0 +1,187 @@
+const {MetricAggregate} = require('./metric-aggregate');
+const {TimeSeries, CounterSeries} = require('./time-series');
+
+// Aggregates for k6's non-HTTP protocol metrics: ws_* (k6/ws) and grpc_* (k6/net/grpc)
+
+const GRPC_STATUS_NAMES = {
+    0: 'OK',
+    1: 'CANCELLED',
+    2: 'UNKNOWN',
+    3: 'INVALID_ARGUMENT',
+    4: 'DEADLINE_EXCEEDED',
+    5: 'NOT_FOUND',
+    6: 'ALREADY_EXISTS',
+    7: 'PERMISSION_DENIED',
+    8: 'RESOURCE_EXHAUSTED',
+    9: 'FAILED_PRECONDITION',
+    10: 'ABORTED',
+    11: 'OUT_OF_RANGE',
+    12: 'UNIMPLEMENTED',
+    13: 'INTERNAL',
+    14: 'UNAVAILABLE',
+    15: 'DATA_LOSS',
+    16: 'UNAUTHENTICATED'
+};
+
+function grpcStatusName(status) {
+    if (status === undefined || status === '') return 'no status';
+    return GRPC_STATUS_NAMES[status] || `status ${status}`;
+}
+
+// k6 tags ws_* points with the handshake status; anything but 101 is a failed session
+class WebSocketStats {
+    constructor({bucketSeconds = 1} = {}) {
+        this.sessions = 0;
+        this.failedSessions = 0;
+        this.messagesSent = 0;
+        this.messagesReceived = 0;
+        this.connecting = new MetricAggregate();
+        this.sessionDuration = new MetricAggregate();
+        this.ping = new MetricAggregate();
+        this.connectingSeries = new TimeSeries({bucketSeconds});
+        this.messageSeries = new CounterSeries({bucketSeconds});
+        this.sessionSeries = new CounterSeries({bucketSeconds});
+    }
+
+    add(metric, value, timeInSeconds, tags = {}) {
+        switch (metric) {
+            case 'ws_sessions': {
+                const failed = tags.status !== undefined && tags.status !== '101';
+                this.sessions += value;
+                if (failed) this.failedSessions += value;
+                this.sessionSeries.add(timeInSeconds, failed ? 'failed' : 'opened', value);
+                break;
+            }
+            case 'ws_msgs_sent':
+                this.messagesSent += value;
+                this.messageSeries.add(timeInSeconds, 'sent', value);
+                break;
+            case 'ws_msgs_received':
+                this.messagesReceived += value;
+                this.messageSeries.add(timeInSeconds, 'received', value);
+                break;
+            case 'ws_connecting':
+                this.connecting.add(value);
+                this.connectingSeries.add(timeInSeconds, value);
+                break;
+            case 'ws_session_duration':
+                this.sessionDuration.add(value);
+                break;
+            case 'ws_ping':
+                this.ping.add(value);
+                break;
+        }
+    }
+
+    get seen() {
+        return this.sessions > 0 || this.connecting.count > 0;
+    }
+
+    toJSON() {
+        return {
+            sessions: this.sessions,
+            failedSessions: this.failedSessions,
+            failureRate: this.sessions > 0 ? this.failedSessions / this.sessions : 0,
+            messagesSent: this.messagesSent,
+            messagesReceived: this.messagesReceived,
+            connecting: this.connecting.stats(),
+            sessionDuration: this.sessionDuration.stats(),
+            ping: this.ping.stats(),
+            timeseries: {
+                connecting: this.connectingSeries.points(),
+                messages: this.messageSeries.points(),
+                sessions: this.sessionSeries.points()
+            }
+        };
+    }
+}
+
+// grpc_req_duration points carry the gRPC status code and the full method name
+class GrpcStats {
+    constructor({bucketSeconds = 1} = {}) {
+        this.requests = 0;
+        this.errors = 0;
+        this.statusCodes = {};
+        this.methods = {};
+        this.duration = new MetricAggregate();
+        this.latencySeries = new TimeSeries({bucketSeconds});
+        this.statusSeries = new CounterSeries({bucketSeconds});
+        this.streams = 0;
+        this.streamMessagesSent = 0;
+        this.streamMessagesReceived = 0;
+    }
+
+    add(metric, value, timeInSeconds, tags = {}) {
+        switch (metric) {
+            case 'grpc_req_duration': {
+                const status = grpcStatusName(tags.status);
+                const failed = tags.status !== '0';
+                const name = tags.name || tags.method || 'unknown';
+                const method = this.methods[name] || (this.methods[name] = {
+                    method: name,
+                    requests: 0,
+                    errors: 0,
+                    duration: new MetricAggregate()
+                });
+                method.requests++;
+                method.duration.add(value);
+                this.requests++;
+                this.duration.add(value);
+                this.latencySeries.add(timeInSeconds, value);
+                this.statusCodes[status] = (this.statusCodes[status] || 0) + 1;
+                this.statusSeries.add(timeInSeconds, status);
+                if (failed) {
+                    method.errors++;
+                    this.errors++;
+                }
+                break;
+            }
+            case 'grpc_streams':
+                this.streams += value;
+                break;
+            case 'grpc_streams_msgs_sent':
+                this.streamMessagesSent += value;
+                break;
+            case 'grpc_streams_msgs_received':
+                this.streamMessagesReceived += value;
+                break;
+        }
+    }
+
+    get seen() {
+        return this.requests > 0 || this.streams > 0;
+    }
+
+    toJSON() {
+        return {
+            requests: this.requests,
+            errors: this.errors,
+            errorRate: this.requests > 0 ? this.errors / this.requests : 0,
+            statusCodes: this.statusCodes,
+            duration: this.duration.stats(),
+            streams: this.streams,
+            streamMessagesSent: this.streamMessagesSent,
+            streamMessagesReceived: this.streamMessagesReceived,
+            methods: Object.values(this.methods)
+                .sort((a, b) => a.method.localeCompare(b.method))
+                .map(method => ({
+                    method: method.method,
+                    requests: method.requests,
+                    errors: method.errors,
+                    errorRate: method.errors / method.requests,
+                    stats: method.duration.stats()
+                })),
+            timeseries: {
+                latency: this.latencySeries.points(),
+                statuses: this.statusSeries.points()
+            }
+        };
+    }
+}
+
+module.exports = {
+    GRPC_STATUS_NAMES,
+    grpcStatusName,
+    WebSocketStats,
+    GrpcStats
+};
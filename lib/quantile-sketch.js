@@ -0,0 +1,146 @@
+// Mergeable quantile sketch with a relative-error guarantee (DDSketch-style
+// logarithmic buckets). Memory depends on the value range, not on the number
+// of samples, so it stays flat no matter how long the test runs.
+
+const DEFAULT_RELATIVE_ACCURACY = 0.01;
+const MIN_INDEXABLE_VALUE = 1e-9;
+
+class QuantileSketch {
+    constructor(relativeAccuracy = DEFAULT_RELATIVE_ACCURACY) {
+        if (!(relativeAccuracy > 0 && relativeAccuracy < 1)) {
+            throw new RangeError('relativeAccuracy must be between 0 and 1');
+        }
+        this.relativeAccuracy = relativeAccuracy;
+        this.gamma = (1 + relativeAccuracy) / (1 - relativeAccuracy);
+        this.logGamma = Math.log(this.gamma);
+        this.positive = new Map();
+        this.negative = new Map();
+        this.zeroCount = 0;
+        this.count = 0;
+        this.sum = 0;
+        this.min = Infinity;
+        this.max = -Infinity;
+    }
+
+    bucketIndex(magnitude) {
+        return Math.ceil(Math.log(magnitude) / this.logGamma);
+    }
+
+    bucketValue(index) {
+        return 2 * Math.pow(this.gamma, index) / (this.gamma + 1);
+    }
+
+    add(value, weight = 1) {
+        if (!Number.isFinite(value)) return;
+
+        if (value > MIN_INDEXABLE_VALUE) {
+            const index = this.bucketIndex(value);
+            this.positive.set(index, (this.positive.get(index) || 0) + weight);
+        } else if (value < -MIN_INDEXABLE_VALUE) {
+            const index = this.bucketIndex(-value);
+            this.negative.set(index, (this.negative.get(index) || 0) + weight);
+        } else {
+            this.zeroCount += weight;
+        }
+
+        this.count += weight;
+        this.sum += value * weight;
+        if (value < this.min) this.min = value;
+        if (value > this.max) this.max = value;
+    }
+
+    merge(other) {
+        if (other.gamma !== this.gamma) {
+            throw new Error('Cannot merge sketches with different relative accuracy');
+        }
+        other.positive.forEach((n, index) => {
+            this.positive.set(index, (this.positive.get(index) || 0) + n);
+        });
+        other.negative.forEach((n, index) => {
+            this.negative.set(index, (this.negative.get(index) || 0) + n);
+        });
+        this.zeroCount += other.zeroCount;
+        this.count += other.count;
+        this.sum += other.sum;
+        if (other.min < this.min) this.min = other.min;
+        if (other.max > this.max) this.max = other.max;
+        return this;
+    }
+
+    // q in [0, 1]; uses the same nearest-rank definition as the old sorted-array code
+    quantile(q) {
+        if (this.count === 0) return undefined;
+        if (q <= 0) return this.min;
+        if (q >= 1) return this.max;
+
+        const rank = Math.min(Math.floor(q * this.count), this.count - 1);
+        let seen = 0;
+        let value;
+
+        const negativeIndexes = [...this.negative.keys()].sort((a, b) => b - a);
+        for (const index of negativeIndexes) {
+            seen += this.negative.get(index);
+            if (seen > rank) {
+                value = -this.bucketValue(index);
+                break;
+            }
+        }
+
+        if (value === undefined) {
+            seen += this.zeroCount;
+            if (seen > rank) value = 0;
+        }
+
+        if (value === undefined) {
+            const positiveIndexes = [...this.positive.keys()].sort((a, b) => a - b);
+            for (const index of positiveIndexes) {
+                seen += this.positive.get(index);
+                if (seen > rank) {
+                    value = this.bucketValue(index);
+                    break;
+                }
+            }
+        }
+
+        if (value === undefined) value = this.max;
+        return Math.min(Math.max(value, this.min), this.max);
+    }
+
+    get avg() {
+        return this.count > 0 ? this.sum / this.count : undefined;
+    }
+
+    get bucketCount() {
+        return this.positive.size + this.negative.size + (this.zeroCount > 0 ? 1 : 0);
+    }
+
+    toJSON() {
+        return {
+            relativeAccuracy: this.relativeAccuracy,
+            positive: [...this.positive],
+            negative: [...this.negative],
+            zeroCount: this.zeroCount,
+            count: this.count,
+            sum: this.sum,
+            min: this.min,
+            max: this.max
+        };
+    }
+
+    static fromJSON(json) {
+        const sketch = new QuantileSketch(json.relativeAccuracy);
+        sketch.positive = new Map(json.positive);
+        sketch.negative = new Map(json.negative);
+        sketch.zeroCount = json.zeroCount;
+        sketch.count = json.count;
+        sketch.sum = json.sum;
+        sketch.min = json.min === null ? Infinity : json.min;
+        sketch.max = json.max === null ? -Infinity : json.max;
+        return sketch;
+    }
+}
+
+module.exports = {
+    QuantileSketch,
+    DEFAULT_RELATIVE_ACCURACY
+};
@@ -0,0 +1,51 @@
+// Largest-Triangle-Three-Buckets: reduces a line series to `max` points while keeping its visual shape
+function downsampleLTTB(xs, ys, max) {
+    const length = xs.length;
+    if (!max || length <= max || max < 3) return {x: xs, y: ys};
+
+    const x = [xs[0]];
+    const y = [ys[0]];
+    const bucketSize = (length - 2) / (max - 2);
+    let selected = 0;
+
+    for (let i = 0; i < max - 2; i++) {
+        const rangeStart = Math.floor((i + 1) * bucketSize) + 1;
+        const rangeEnd = Math.min(Math.floor((i + 2) * bucketSize) + 1, length);
+        let avgX = 0;
+        let avgY = 0;
+        for (let j = rangeStart; j < rangeEnd; j++) {
+            avgX += xs[j];
+            avgY += ys[j];
+        }
+        const rangeLength = Math.max(rangeEnd - rangeStart, 1);
+        avgX /= rangeLength;
+        avgY /= rangeLength;
+
+        const bucketStart = Math.floor(i * bucketSize) + 1;
+        const bucketEnd = Math.floor((i + 1) * bucketSize) + 1;
+        let maxArea = -1;
+        let next = bucketStart;
+        for (let j = bucketStart; j < bucketEnd; j++) {
+            const area = Math.abs(
+                (xs[selected] - avgX) * (ys[j] - ys[selected]) -
+                (xs[selected] - xs[j]) * (avgY - ys[selected])
+            );
+            if (area > maxArea) {
+                maxArea = area;
+                next = j;
+            }
+        }
+
+        x.push(xs[next]);
+        y.push(ys[next]);
+        selected = next;
+    }
+
+    x.push(xs[length - 1]);
+    y.push(ys[length - 1]);
+    return {x, y};
+}
+
+module.exports = {
+    downsampleLTTB
+};
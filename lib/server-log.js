@@ -0,0 +1,90 @@
+const {readLines} = require('./line-reader');
+const {MetricAggregate} = require('./metric-aggregate');
+const {TimeSeries} = require('./time-series');
+
+// Reads the mock server's NDJSON request log (see mock/metrics.js) for the k6 run's time
+// window, so server processing time can be set against client-side http_req_duration.
+async function readServerLog(filePath, {from = -Infinity, to = Infinity, bucketSeconds = 1} = {}) {
+    const duration = new MetricAggregate();
+    const latencySeries = new TimeSeries({bucketSeconds});
+    const routes = {};
+    const eventLoop = [];
+    let requests = 0;
+    let errors = 0;
+    let invalidLines = 0;
+
+    await readLines(filePath, line => {
+        if (!line.trim()) return;
+        let entry;
+        try {
+            entry = JSON.parse(line);
+        } catch (e) {
+            invalidLines++;
+            return;
+        }
+        const time = Date.parse(entry.time);
+        if (!(time >= from && time <= to)) return;
+
+        if (entry.type === 'request') {
+            const key = `${entry.method} ${entry.route}`;
+            const route = routes[key] || (routes[key] = {
+                key,
+                method: entry.method,
+                route: entry.route,
+                requests: 0,
+                errors: 0,
+                duration: new MetricAggregate()
+            });
+            const failed = !(entry.status > 0 && entry.status < 400);
+            requests++;
+            route.requests++;
+            if (failed) {
+                errors++;
+                route.errors++;
+            }
+            duration.add(entry.durationMs, time);
+            route.duration.add(entry.durationMs, time);
+            latencySeries.add(time / 1000, entry.durationMs);
+        } else if (entry.type === 'eventloop') {
+            eventLoop.push({
+                timestamp: time / 1000,
+                p50: entry.lagP50Ms,
+                p99: entry.lagP99Ms,
+                max: entry.lagMaxMs,
+                inFlight: entry.inFlight
+            });
+        }
+    });
+
+    const lag = new MetricAggregate();
+    eventLoop.forEach(sample => lag.add(sample.max));
+
+    return {
+        file: filePath,
+        requests,
+        errors,
+        errorRate: requests > 0 ? errors / requests : 0,
+        invalidLines,
+        duration: duration.stats(),
+        eventLoopLag: lag.stats(),
+        routes: Object.values(routes)
+            .sort((a, b) => a.key.localeCompare(b.key))
+            .map(route => ({
+                key: route.key,
+                method: route.method,
+                route: route.route,
+                requests: route.requests,
+                errors: route.errors,
+                errorRate: route.errors / route.requests,
+                stats: route.duration.stats()
+            })),
+        timeseries: {
+            latency: latencySeries.points(),
+            eventLoop
+        }
+    };
+}
+
+module.exports = {
+    readServerLog
+};
@@ -0,0 +1,213 @@
+const fs = require('fs');
+const {parseDuration} = require('./duration');
+
+// Load stages of a run (ramp-up, steady, ramp-down), either planned from the script's `stages`
+// option (as printed by `k6 inspect <script>`) or inferred from the vus series. Each stage covers
+// [from, to) in unix seconds; stats are taken over the time buckets starting within it.
+
+const STAGE_KINDS = {
+    'ramp-up': {label: 'Ramp-up', color: '#1f77b4', fill: 'rgba(31, 119, 180, 0.08)'},
+    steady: {label: 'Steady', color: '#2ca02c', fill: 'rgba(44, 160, 44, 0.08)'},
+    'ramp-down': {label: 'Ramp-down', color: '#ff7f0e', fill: 'rgba(255, 127, 14, 0.1)'}
+};
+
+// Steady: VUs within this share of the level the period started at (at least 1 VU),
+// for at least MIN_STEADY_BUCKETS buckets
+const STEADY_VU_TOLERANCE = 0.05;
+const MIN_STEADY_BUCKETS = 6;
+
+function stageKind(from, to) {
+    if (to > from) return 'ramp-up';
+    if (to < from) return 'ramp-down';
+    return 'steady';
+}
+
+// The stage plan from k6 options: the top-level `stages`, or the stages of a scenario (the one
+// named `scenario` when several have them). Reads `k6 inspect` output or a bare options object.
+function readStagePlan(filePath, {scenario} = {}) {
+    const json = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    const options = json.options || json;
+    const candidates = Object.entries(options.scenarios || {})
+        .filter(([, definition]) => Array.isArray(definition.stages))
+        .map(([name, definition]) => Object.assign({name}, definition));
+    if (Array.isArray(options.stages)) {
+        candidates.unshift({name: null, executor: 'ramping-vus', startVUs: options.vus, stages: options.stages});
+    }
+    if (candidates.length === 0) {
+        throw new Error('no stages in the k6 options (neither top-level nor in a scenario)');
+    }
+
+    const selected = candidates.find(candidate => candidate.name === scenario) || candidates[0];
+    const arrivalRate = selected.executor === 'ramping-arrival-rate';
+    return {
+        scenario: selected.name,
+        unit: arrivalRate ? `iterations/${selected.timeUnit || '1s'}` : 'VUs',
+        startOffsetMs: selected.startTime ? parseDuration(String(selected.startTime)) : 0,
+        // k6 defaults: ramping-vus starts at 1 VU, ramping-arrival-rate at 0 iterations
+        start: arrivalRate ? selected.startRate || 0 : (selected.startVUs !== undefined ? selected.startVUs : 1),
+        stages: selected.stages.map(stage => ({
+            durationMs: parseDuration(String(stage.duration)),
+            target: Number(stage.target)
+        }))
+    };
+}
+
+// Stages of a plan laid out from the start of the run (unix seconds)
+function planStages(plan, runStart) {
+    let time = runStart + plan.startOffsetMs / 1000;
+    let level = plan.start;
+    return plan.stages
+        .filter(stage => stage.durationMs > 0)
+        .map(stage => {
+            const result = {
+                kind: stageKind(level, stage.target),
+                from: time,
+                to: time + stage.durationMs / 1000,
+                startLevel: level,
+                target: stage.target
+            };
+            time = result.to;
+            level = stage.target;
+            return result;
+        });
+}
+
+// Average VUs during each bucket; the last reported value when no sample falls inside one
+function vusPerBucket(timestamps, vus, buckets, bucketSeconds) {
+    let next = 0;
+    let current = null;
+    return buckets.map(bucket => {
+        const end = bucket.timestamp + bucketSeconds;
+        let sum = 0;
+        let count = 0;
+        while (next < timestamps.length && timestamps[next] < end) {
+            if (timestamps[next] >= bucket.timestamp) {
+                sum += vus[next];
+                count++;
+            }
+            current = vus[next];
+            next++;
+        }
+        return count > 0 ? sum / count : current;
+    });
+}
+
+// Periods of at least MIN_STEADY_BUCKETS buckets with (nearly) constant VUs, as [first, last] indexes
+function steadyPeriods(bucketVus) {
+    const periods = [];
+    let start = 0;
+    for (let i = 1; i <= bucketVus.length; i++) {
+        const level = bucketVus[start];
+        const steady = i < bucketVus.length && level > 0 &&
+            Math.abs(bucketVus[i] - level) <= Math.max(1, level * STEADY_VU_TOLERANCE);
+        if (steady) continue;
+        if (level > 0 && i - start >= MIN_STEADY_BUCKETS) periods.push([start, i - 1]);
+        start = i;
+    }
+    return periods;
+}
+
+// The buckets between steady periods, split where the VUs turn from rising to falling or back
+function rampPeriods(bucketVus, first, last) {
+    const periods = [];
+    let start = first;
+    let kind = null;
+    for (let i = first + 1; i <= last; i++) {
+        const delta = bucketVus[i] - bucketVus[i - 1];
+        const direction = delta > 0 ? 'ramp-up' : delta < 0 ? 'ramp-down' : null;
+        if (!direction || direction === kind) continue;
+        if (kind) {
+            periods.push([start, i - 1, kind]);
+            start = i;
+        }
+        kind = direction;
+    }
+    periods.push([start, last, kind || 'steady']);
+    return periods;
+}
+
+function inferStages(buckets, bucketVus, bucketSeconds) {
+    const levels = bucketVus.map(vus => vus || 0);
+    const periods = [];
+    let next = 0;
+    steadyPeriods(levels).forEach(([first, last]) => {
+        if (first > next) periods.push(...rampPeriods(levels, next, first - 1));
+        periods.push([first, last, 'steady']);
+        next = last + 1;
+    });
+    if (next < levels.length) periods.push(...rampPeriods(levels, next, levels.length - 1));
+
+    return periods.map(([first, last, kind]) => {
+        const within = levels.slice(first, last + 1);
+        // A steady stage's level is its average, the ramps go from their first to their last bucket
+        const steadyLevel = Math.round(within.reduce((a, b) => a + b, 0) / within.length);
+        return {
+            kind,
+            from: buckets[first].timestamp,
+            to: buckets[last].timestamp + bucketSeconds,
+            startLevel: kind === 'steady' ? steadyLevel : Math.round(levels[first]),
+            target: kind === 'steady' ? steadyLevel : Math.round(levels[last])
+        };
+    });
+}
+
+// Requests, error rate, throughput and latency over the buckets starting within the periods.
+// Throughput is over the part of the periods that lies within the run (start and end in seconds).
+function periodStats(series, periods, {start, end}) {
+    const totals = series.range(periods);
+    const seconds = periods.reduce((sum, [from, to]) => sum + Math.max(0, Math.min(to, end) - Math.max(from, start)), 0);
+    const sketch = totals.sketch;
+    return {
+        durationMs: seconds * 1000,
+        requests: totals.requests,
+        failed: totals.failed,
+        errorRate: totals.requests > 0 ? totals.failed / totals.requests : 0,
+        rps: seconds > 0 ? totals.requests / seconds : 0,
+        latency: sketch.count > 0 ? {
+            count: sketch.count,
+            min: sketch.min,
+            max: sketch.max,
+            avg: sketch.avg,
+            med: sketch.quantile(0.5),
+            p90: sketch.quantile(0.9),
+            p95: sketch.quantile(0.95),
+            p99: sketch.quantile(0.99)
+        } : null
+    };
+}
+
+// Stages with their stats, plus all steady stages and all ramps taken together. `plan` comes
+// from readStagePlan() and is laid out from runStart; without one the stages are inferred from
+// the VUs. start and end bound the data that was kept (unix seconds).
+function resolveStages(plan, {series, buckets, bucketSeconds, timestamps, vus, runStart, start, end}) {
+    if (buckets.length === 0) return null;
+    const bucketVus = vusPerBucket(timestamps, vus, buckets, bucketSeconds);
+    const stages = (plan ? planStages(plan, runStart) : inferStages(buckets, bucketVus, bucketSeconds))
+        .filter(stage => stage.to > start && stage.from < end);
+    if (stages.length === 0) return null;
+
+    const range = {start, end};
+    const combined = kinds => {
+        const periods = stages.filter(stage => kinds.includes(stage.kind)).map(stage => [stage.from, stage.to]);
+        return periods.length > 0 ? periodStats(series, periods, range) : null;
+    };
+    return {
+        source: plan ? 'options' : 'vus',
+        scenario: plan ? plan.scenario : null,
+        unit: plan ? plan.unit : 'VUs',
+        list: stages.map((stage, i) => Object.assign({index: i + 1}, stage, {
+            stats: periodStats(series, [[stage.from, stage.to]], range)
+        })),
+        steady: combined(['steady']),
+        ramps: combined(['ramp-up', 'ramp-down'])
+    };
+}
+
+module.exports = {
+    STAGE_KINDS,
+    readStagePlan,
+    planStages,
+    inferStages,
+    vusPerBucket,
+    resolveStages
+};
@@ -0,0 +1,181 @@
+// Normalized, machine-readable summary of a processed k6 run
+
+const SUMMARY_VERSION = 1;
+
+function round(value) {
+    return typeof value === 'number' && Number.isFinite(value) ? Math.round(value * 1000) / 1000 : value;
+}
+
+function roundStats(stats) {
+    const rounded = {};
+    Object.keys(stats || {}).forEach(key => {
+        if (stats[key] !== undefined) rounded[key] = round(stats[key]);
+    });
+    return rounded;
+}
+
+function roundStageStats(stats) {
+    return Object.assign(roundStats(stats), {latency: stats.latency ? roundStats(stats.latency) : null});
+}
+
+function buildSummary(data, meta = {}) {
+    const metrics = {};
+    Object.keys(data.metrics).sort().forEach(name => {
+        const metric = data.metrics[name];
+        // count is null when an end-of-test summary did not export it
+        if (!metric.stats || metric.stats.count === 0) return;
+        metrics[name] = {
+            type: metric.type,
+            contains: metric.contains,
+            unit: metric.unit || undefined,
+            stats: roundStats(metric.stats)
+        };
+    });
+
+    return {
+        version: SUMMARY_VERSION,
+        generatedAt: new Date().toISOString(),
+        title: meta.title,
+        scenario: meta.scenario,
+        commit: meta.commit,
+        inputs: meta.inputs,
+        inputFormats: data.input.formats,
+        run: {
+            start: data.testStart !== null ? new Date(data.testStart).toISOString() : null,
+            end: data.testStart !== null ? new Date(data.testStart + data.testDuration).toISOString() : null,
+            durationMs: data.testDuration
+        },
+        accuracy: data.accuracy,
+        metrics,
+        requests: data.requests,
+        latencyByOutcome: {
+            successful: roundStats(data.latencyByOutcome.successful),
+            failed: roundStats(data.latencyByOutcome.failed)
+        },
+        statusCodes: data.timeseriesData.statusCodes,
+        server: data.server ? {
+            file: data.server.file,
+            requests: data.server.requests,
+            errors: data.server.errors,
+            errorRate: round(data.server.errorRate),
+            duration: roundStats(data.server.duration),
+            eventLoopLag: roundStats(data.server.eventLoopLag),
+            routes: data.server.routes.map(route => ({
+                key: route.key,
+                requests: route.requests,
+                errors: route.errors,
+                errorRate: round(route.errorRate),
+                stats: roundStats(route.stats)
+            }))
+        } : undefined,
+        protocols: data.protocols ? {
+            websocket: data.protocols.websocket ? {
+                sessions: data.protocols.websocket.sessions,
+                failedSessions: data.protocols.websocket.failedSessions,
+                failureRate: round(data.protocols.websocket.failureRate),
+                messagesSent: data.protocols.websocket.messagesSent,
+                messagesReceived: data.protocols.websocket.messagesReceived,
+                connecting: roundStats(data.protocols.websocket.connecting),
+                sessionDuration: roundStats(data.protocols.websocket.sessionDuration)
+            } : undefined,
+            grpc: data.protocols.grpc ? {
+                requests: data.protocols.grpc.requests,
+                errors: data.protocols.grpc.errors,
+                errorRate: round(data.protocols.grpc.errorRate),
+                statusCodes: data.protocols.grpc.statusCodes,
+                streams: data.protocols.grpc.streams,
+                methods: data.protocols.grpc.methods.map(method => ({
+                    method: method.method,
+                    requests: method.requests,
+                    errors: method.errors,
+                    errorRate: round(method.errorRate),
+                    stats: roundStats(method.stats)
+                }))
+            } : undefined
+        } : undefined,
+        instances: data.instances && data.instances.length > 1 ? data.instances.map(instance => ({
+            name: instance.name,
+            startSkewMs: instance.startSkewMs,
+            offsetMs: instance.offsetMs,
+            durationMs: instance.durationMs,
+            maxVus: instance.maxVus,
+            requests: instance.requests,
+            rps: round(instance.rps),
+            errorRate: round(instance.errorRate),
+            iterations: instance.iterations,
+            droppedIterations: instance.droppedIterations,
+            stats: roundStats(instance.stats)
+        })) : undefined,
+        stages: data.stages ? {
+            source: data.stages.source,
+            scenario: data.stages.scenario || undefined,
+            unit: data.stages.unit,
+            list: data.stages.list.map(stage => ({
+                index: stage.index,
+                kind: stage.kind,
+                from: new Date(stage.from * 1000).toISOString(),
+                to: new Date(stage.to * 1000).toISOString(),
+                startLevel: stage.startLevel,
+                target: stage.target,
+                stats: roundStageStats(stage.stats)
+            })),
+            steady: data.stages.steady ? roundStageStats(data.stages.steady) : undefined,
+            ramps: data.stages.ramps ? roundStageStats(data.stages.ramps) : undefined
+        } : undefined,
+        insights: (data.insights || []).map(insight => ({
+            type: insight.type,
+            from: new Date(insight.from * 1000).toISOString(),
+            to: new Date(insight.to * 1000).toISOString(),
+            message: insight.message,
+            values: roundStats(insight.values)
+        })),
+        groups: (data.groups || []).map(group => ({
+            name: group.name,
+            executions: group.executions,
+            stats: roundStats(group.stats),
+            checks: group.checks,
+            checkPassRate: round(group.checkPassRate),
+            requests: group.requests,
+            errors: group.errors,
+            errorRate: round(group.errorRate)
+        })),
+        endpoints: (data.endpoints || []).map(endpoint => ({
+            key: endpoint.key,
+            name: endpoint.name,
+            method: endpoint.method,
+            url: endpoint.url,
+            requests: endpoint.requests,
+            errors: endpoint.errors,
+            errorRate: round(endpoint.errorRate),
+            stats: roundStats(endpoint.stats),
+            components: endpoint.components ? roundStats(endpoint.components) : undefined
+        })),
+        thresholds: (data.thresholds || []).map(threshold => ({
+            metric: threshold.key,
+            threshold: threshold.source,
+            actual: round(threshold.actual),
+            ok: threshold.ok,
+            noData: threshold.noData || undefined,
+            abortOnFail: threshold.abortOnFail || undefined,
+            error: threshold.error
+        })),
+        checks: (data.checks || []).map(check => ({
+            name: check.name,
+            group: check.group,
+            passes: check.passes,
+            fails: check.fails
+        })),
+        comparison: meta.comparison ? {
+            baseline: meta.baseline,
+            tolerance: meta.comparison.tolerance,
+            errorRateTolerance: meta.comparison.errorRateTolerance,
+            passed: meta.comparison.passed,
+            regressions: meta.comparison.regressions
+        } : undefined
+    };
+}
+
+module.exports = {
+    buildSummary,
+    SUMMARY_VERSION
+};
@@ -0,0 +1,73 @@
+const fs = require('fs');
+const {StringDecoder} = require('string_decoder');
+
+const DEFAULT_POLL_MS = 500;
+const READ_CHUNK_BYTES = 1024 * 1024;
+
+// Follows a file that another process is still appending to (k6 --out json), calling onLine for
+// every complete line. Polls rather than fs.watch so it works the same on every platform and
+// for files that do not exist yet. stop() reads what is left, including a final unterminated line.
+// Errors from the first read are thrown; later ones, on the timer, go to onError and polling goes on.
+function tailLines(filePath, onLine, {pollMs = DEFAULT_POLL_MS, onTruncate = () => {}, onError = () => {}} = {}) {
+    let position = 0;
+    let partial = '';
+    let decoder = new StringDecoder('utf8');
+    const buffer = Buffer.alloc(READ_CHUNK_BYTES);
+
+    const poll = () => {
+        let stats;
+        try {
+            stats = fs.statSync(filePath);
+        } catch (e) {
+            if (e.code === 'ENOENT') return;
+            throw e;
+        }
+        if (stats.size < position) {
+            // Rewritten from scratch (a new run with the same output file)
+            position = 0;
+            partial = '';
+            decoder = new StringDecoder('utf8');
+            onTruncate();
+        }
+        if (stats.size === position) return;
+
+        const fd = fs.openSync(filePath, 'r');
+        try {
+            let bytes;
+            while ((bytes = fs.readSync(fd, buffer, 0, buffer.length, position)) > 0) {
+                position += bytes;
+                const lines = (partial + decoder.write(buffer.subarray(0, bytes))).split('\n');
+                partial = lines.pop();
+                lines.forEach(line => onLine(line.replace(/\r$/, '')));
+            }
+        } finally {
+            fs.closeSync(fd);
+        }
+    };
+
+    const pollSafely = () => {
+        try {
+            poll();
+        } catch (e) {
+            onError(e);
+        }
+    };
+
+    poll();
+    const timer = setInterval(pollSafely, pollMs);
+
+    return {
+        poll,
+        stop: () => {
+            clearInterval(timer);
+            pollSafely();
+            const rest = partial + decoder.end();
+            partial = '';
+            if (rest.trim()) onLine(rest);
+        }
+    };
+}
+
+module.exports = {
+    tailLines
+};
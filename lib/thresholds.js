@@ -0,0 +1,170 @@
+const fs = require('fs');
+
+// Parsing and evaluation of k6 threshold definitions, e.g.
+//   http_req_duration: ['p(95)<500']
+//   'http_req_duration{staticAsset:yes}': ['p(95)<100']
+
+const EXPRESSION_PATTERN = /^\s*(avg|min|max|med|count|rate|value|p\(\s*\d+(?:\.\d+)?\s*\))\s*(<=|>=|===|==|!=|<|>)\s*(-?\d+(?:\.\d+)?)\s*$/;
+
+const OPERATORS = {
+    '<': (a, b) => a < b,
+    '<=': (a, b) => a <= b,
+    '>': (a, b) => a > b,
+    '>=': (a, b) => a >= b,
+    '==': (a, b) => a === b,
+    '===': (a, b) => a === b,
+    '!=': (a, b) => a !== b
+};
+
+// 'http_req_duration{staticAsset:yes,method:GET}' -> {metric, tags}
+function parseMetricKey(key) {
+    const match = /^([^{]+?)\s*(?:\{(.*)\})?\s*$/.exec(key);
+    if (!match) {
+        throw new Error(`Invalid metric name: ${key}`);
+    }
+
+    const tags = {};
+    if (match[2]) {
+        match[2].split(',').forEach(pair => {
+            const separator = pair.indexOf(':');
+            if (separator === -1) {
+                throw new Error(`Invalid tag filter "${pair}" in ${key}`);
+            }
+            const name = pair.slice(0, separator).trim();
+            const value = pair.slice(separator + 1).trim().replace(/^(['"])(.*)\1$/, '$2');
+            tags[name] = value;
+        });
+    }
+
+    return {metric: match[1].trim(), tags};
+}
+
+function parseThresholdExpression(source) {
+    const match = EXPRESSION_PATTERN.exec(source);
+    if (!match) {
+        throw new Error(`Invalid threshold expression: ${source}`);
+    }
+    return {
+        aggregation: match[1].replace(/\s+/g, ''),
+        operator: match[2],
+        target: Number(match[3])
+    };
+}
+
+function tagsMatch(filter, tags) {
+    return Object.keys(filter).every(name => tags && String(tags[name]) === filter[name]);
+}
+
+// Accepts the k6 `options.thresholds` shape and returns a flat list of definitions
+function normalizeThresholds(thresholds) {
+    const definitions = [];
+
+    Object.entries(thresholds || {}).forEach(([key, expressions]) => {
+        const {metric, tags} = parseMetricKey(key);
+        (Array.isArray(expressions) ? expressions : [expressions]).forEach(expression => {
+            const source = typeof expression === 'string' ? expression : expression.threshold;
+            const definition = {
+                key,
+                metric,
+                tags,
+                source,
+                abortOnFail: Boolean(expression && expression.abortOnFail)
+            };
+            try {
+                Object.assign(definition, parseThresholdExpression(source));
+            } catch (e) {
+                definition.error = e.message;
+            }
+            definitions.push(definition);
+        });
+    });
+
+    return definitions;
+}
+
+// The thresholds of a script's k6 options, from `k6 inspect <script>` output or a bare options
+// object; a script without thresholds has none to evaluate
+function readThresholds(filePath) {
+    const json = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    const options = json.options || json;
+    return options.thresholds || {};
+}
+
+// Resolves an aggregation the way k6 does for the given metric type
+function aggregationValue(aggregation, aggregate, type, testDurationMs) {
+    const stats = aggregate.stats();
+    const percentile = /^p\((\d+(?:\.\d+)?)\)$/.exec(aggregation);
+
+    if (percentile) {
+        return aggregate.sketch.quantile(Number(percentile[1]) / 100);
+    }
+
+    switch (aggregation) {
+        case 'avg':
+        case 'min':
+        case 'max':
+        case 'med':
+            return stats[aggregation];
+        case 'count':
+            return stats.sum;
+        case 'value':
+            return stats.last;
+        case 'rate':
+            if (type === 'counter') {
+                return testDurationMs > 0 ? stats.sum / (testDurationMs / 1000) : 0;
+            }
+            return stats.rate;
+        default:
+            return undefined;
+    }
+}
+
+// lookup(definition) -> {aggregate, type} for the (sub-)metric, or null when nothing was recorded
+function evaluateThresholds(definitions, lookup, testDurationMs) {
+    return definitions.map(definition => {
+        const result = {
+            key: definition.key,
+            metric: definition.metric,
+            tags: definition.tags,
+            source: definition.source,
+            abortOnFail: definition.abortOnFail
+        };
+
+        if (definition.error) {
+            return Object.assign(result, {ok: false, error: definition.error});
+        }
+
+        const series = lookup(definition);
+        if (!series || series.aggregate.count === 0) {
+            // k6 evaluates empty series as 0
+            const actual = 0;
+            return Object.assign(result, {
+                actual,
+                noData: true,
+                ok: OPERATORS[definition.operator](actual, definition.target)
+            });
+        }
+
+        const actual = aggregationValue(definition.aggregation, series.aggregate, series.type, testDurationMs);
+        if (actual === undefined) {
+            return Object.assign(result, {
+                ok: false,
+                error: `Aggregation ${definition.aggregation} is not supported for ${series.type || 'this'} metric`
+            });
+        }
+
+        return Object.assign(result, {
+            actual,
+            ok: OPERATORS[definition.operator](actual, definition.target)
+        });
+    });
+}
+
+module.exports = {
+    parseMetricKey,
+    parseThresholdExpression,
+    normalizeThresholds,
+    readThresholds,
+    evaluateThresholds,
+    tagsMatch
+};
@@ -0,0 +1,212 @@
+const {QuantileSketch} = require('./quantile-sketch');
+
+const DEFAULT_MAX_BUCKETS = 1000;
+const BUCKET_RELATIVE_ACCURACY = 0.02;
+
+// Values grouped into fixed-width time buckets, each with its own quantile sketch.
+// When the number of buckets exceeds maxBuckets the bucket width doubles and
+// neighbouring buckets are merged, so memory stays bounded for any run length.
+class TimeSeries {
+    constructor({bucketSeconds = 1, maxBuckets = DEFAULT_MAX_BUCKETS} = {}) {
+        this.bucketSeconds = bucketSeconds;
+        this.maxBuckets = maxBuckets;
+        this.buckets = new Map();
+    }
+
+    add(timeInSeconds, value) {
+        const key = Math.floor(timeInSeconds / this.bucketSeconds);
+        let sketch = this.buckets.get(key);
+        if (!sketch) {
+            sketch = new QuantileSketch(BUCKET_RELATIVE_ACCURACY);
+            this.buckets.set(key, sketch);
+            if (this.buckets.size > this.maxBuckets) {
+                this.coarsen();
+                return this.add(timeInSeconds, value);
+            }
+        }
+        sketch.add(value);
+    }
+
+    coarsen() {
+        const merged = new Map();
+        this.buckets.forEach((sketch, key) => {
+            const mergedKey = Math.floor(key / 2);
+            const existing = merged.get(mergedKey);
+            merged.set(mergedKey, existing ? existing.merge(sketch) : sketch);
+        });
+        this.bucketSeconds *= 2;
+        this.buckets = merged;
+    }
+
+    points() {
+        return [...this.buckets.keys()]
+            .sort((a, b) => a - b)
+            .map(key => {
+                const sketch = this.buckets.get(key);
+                return {
+                    timestamp: key * this.bucketSeconds,
+                    count: sketch.count,
+                    sum: sketch.sum,
+                    avg: sketch.avg,
+                    max: sketch.max,
+                    p50: sketch.quantile(0.5),
+                    p95: sketch.quantile(0.95),
+                    p99: sketch.quantile(0.99)
+                };
+            });
+    }
+}
+
+// Per-bucket counts broken down by category (e.g. status class), coarsened like TimeSeries
+class CounterSeries {
+    constructor({bucketSeconds = 1, maxBuckets = DEFAULT_MAX_BUCKETS} = {}) {
+        this.bucketSeconds = bucketSeconds;
+        this.maxBuckets = maxBuckets;
+        this.buckets = new Map();
+        this.categories = new Set();
+    }
+
+    add(timeInSeconds, category, value = 1) {
+        const key = Math.floor(timeInSeconds / this.bucketSeconds);
+        let counts = this.buckets.get(key);
+        if (!counts) {
+            counts = {};
+            this.buckets.set(key, counts);
+            if (this.buckets.size > this.maxBuckets) {
+                this.coarsen();
+                return this.add(timeInSeconds, category, value);
+            }
+        }
+        counts[category] = (counts[category] || 0) + value;
+        this.categories.add(category);
+    }
+
+    coarsen() {
+        const merged = new Map();
+        this.buckets.forEach((counts, key) => {
+            const mergedKey = Math.floor(key / 2);
+            const target = merged.get(mergedKey) || {};
+            Object.keys(counts).forEach(category => {
+                target[category] = (target[category] || 0) + counts[category];
+            });
+            merged.set(mergedKey, target);
+        });
+        this.bucketSeconds *= 2;
+        this.buckets = merged;
+    }
+
+    points() {
+        return [...this.buckets.keys()]
+            .sort((a, b) => a - b)
+            .map(key => ({
+                timestamp: key * this.bucketSeconds,
+                counts: this.buckets.get(key)
+            }));
+    }
+}
+
+// Request counts, transferred bytes and a latency sketch per time bucket, so throughput,
+// error rate and percentiles over time all share one bucket width
+class RequestSeries {
+    constructor({bucketSeconds = 1, maxBuckets = DEFAULT_MAX_BUCKETS} = {}) {
+        this.bucketSeconds = bucketSeconds;
+        this.maxBuckets = maxBuckets;
+        this.buckets = new Map();
+    }
+
+    bucket(timeInSeconds) {
+        const key = Math.floor(timeInSeconds / this.bucketSeconds);
+        let bucket = this.buckets.get(key);
+        if (!bucket) {
+            bucket = {requests: 0, failed: 0, dataReceived: 0, dataSent: 0, sketch: new QuantileSketch(BUCKET_RELATIVE_ACCURACY)};
+            this.buckets.set(key, bucket);
+            if (this.buckets.size > this.maxBuckets) {
+                this.coarsen();
+                return this.bucket(timeInSeconds);
+            }
+        }
+        return bucket;
+    }
+
+    addRequests(timeInSeconds, count, failed) {
+        const bucket = this.bucket(timeInSeconds);
+        bucket.requests += count;
+        if (failed) bucket.failed += count;
+    }
+
+    addDuration(timeInSeconds, value) {
+        this.bucket(timeInSeconds).sketch.add(value);
+    }
+
+    // field: dataReceived or dataSent
+    addData(timeInSeconds, field, bytes) {
+        this.bucket(timeInSeconds)[field] += bytes;
+    }
+
+    coarsen() {
+        const merged = new Map();
+        this.buckets.forEach((bucket, key) => {
+            const mergedKey = Math.floor(key / 2);
+            const target = merged.get(mergedKey);
+            if (!target) {
+                merged.set(mergedKey, bucket);
+                return;
+            }
+            target.requests += bucket.requests;
+            target.failed += bucket.failed;
+            target.dataReceived += bucket.dataReceived;
+            target.dataSent += bucket.dataSent;
+            target.sketch.merge(bucket.sketch);
+        });
+        this.bucketSeconds *= 2;
+        this.buckets = merged;
+    }
+
+    // Totals and merged latency over the buckets starting within any of the [from, to) periods (unix seconds)
+    range(periods) {
+        const total = {requests: 0, failed: 0, dataReceived: 0, dataSent: 0, sketch: new QuantileSketch(BUCKET_RELATIVE_ACCURACY)};
+        this.buckets.forEach((bucket, key) => {
+            const timestamp = key * this.bucketSeconds;
+            if (!periods.some(([from, to]) => timestamp >= from && timestamp < to)) return;
+            total.requests += bucket.requests;
+            total.failed += bucket.failed;
+            total.dataReceived += bucket.dataReceived;
+            total.dataSent += bucket.dataSent;
+            total.sketch.merge(bucket.sketch);
+        });
+        return total;
+    }
+
+    // Percentiles are null for buckets without http_req_duration points, so charts show a gap
+    points() {
+        const seconds = this.bucketSeconds;
+        return [...this.buckets.keys()]
+            .sort((a, b) => a - b)
+            .map(key => {
+                const bucket = this.buckets.get(key);
+                const sketch = bucket.sketch;
+                const hasLatency = sketch.count > 0;
+                return {
+                    timestamp: key * seconds,
+                    requests: bucket.requests,
+                    failed: bucket.failed,
+                    rps: bucket.requests / seconds,
+                    errorRate: bucket.requests > 0 ? bucket.failed / bucket.requests : 0,
+                    dataReceived: bucket.dataReceived,
+                    dataSent: bucket.dataSent,
+                    count: sketch.count,
+                    avg: hasLatency ? sketch.avg : null,
+                    max: hasLatency ? sketch.max : null,
+                    p50: hasLatency ? sketch.quantile(0.5) : null,
+                    p95: hasLatency ? sketch.quantile(0.95) : null,
+                    p99: hasLatency ? sketch.quantile(0.99) : null
+                };
+            });
+    }
+}
+
+module.exports = {
+    TimeSeries,
+    CounterSeries,
+    RequestSeries
+};
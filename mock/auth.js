@@ -0,0 +1,249 @@
+const crypto = require('crypto')
+const fs = require('fs')
+
+// Authentication schemes for the mock server:
+//   - static bearer tokens, each with its own roles
+//   - API keys in a header (X-API-Key by default)
+//   - HS256 JWTs signed with a local secret, checked for signature, issuer and expiry
+//   - an OAuth2 token endpoint (client_credentials, password and refresh_token grants) that issues those JWTs
+// Roles map to HTTP methods: "read" allows safe methods, "write" allows the rest.
+
+const DEFAULT_AUTH_CONFIG = {
+    tokens: {
+        'your-secret-token-123': {subject: 'default-user', roles: ['read', 'write']},
+        'read-only-token-456': {subject: 'read-only-user', roles: ['read']}
+    },
+    apiKeyHeader: 'X-API-Key',
+    apiKeys: {
+        'api-key-789': {subject: 'api-client', roles: ['read']}
+    },
+    jwt: {
+        secret: 'mock-server-jwt-secret',
+        issuer: 'k6-mock-server',
+        ttlSeconds: 300
+    },
+    clients: {
+        'k6-client': {secret: 'k6-client-secret', roles: ['read', 'write']}
+    },
+    users: {
+        'john@example.com': {password: 'john-password', roles: ['read', 'write']},
+        'jane@example.com': {password: 'jane-password', roles: ['read', 'write']}
+    },
+    refreshTokenTtlSeconds: 3600
+}
+
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS']
+const MAX_REFRESH_TOKENS = 100000
+
+function base64url(value) {
+    return Buffer.from(value).toString('base64').replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_')
+}
+
+function sign(data, secret) {
+    return base64url(crypto.createHmac('sha256', secret).update(data).digest())
+}
+
+function signJwt(payload, secret) {
+    const header = base64url(JSON.stringify({alg: 'HS256', typ: 'JWT'}))
+    const body = base64url(JSON.stringify(payload))
+    return `${header}.${body}.${sign(`${header}.${body}`, secret)}`
+}
+
+class AuthError extends Error {
+    constructor(status, code, description) {
+        super(description)
+        this.status = status
+        this.code = code
+    }
+}
+
+function verifyJwt(token, {secret, issuer}) {
+    const parts = token.split('.')
+    if (parts.length !== 3) {
+        throw new AuthError(401, 'invalid_token', 'Malformed token')
+    }
+    const expected = Buffer.from(sign(`${parts[0]}.${parts[1]}`, secret))
+    const actual = Buffer.from(parts[2])
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+        throw new AuthError(401, 'invalid_token', 'Invalid token signature')
+    }
+
+    let payload
+    try {
+        payload = JSON.parse(Buffer.from(parts[1], 'base64').toString('utf8'))
+    } catch (e) {
+        throw new AuthError(401, 'invalid_token', 'Malformed token payload')
+    }
+    if (issuer && payload.iss !== issuer) {
+        throw new AuthError(401, 'invalid_token', 'Unexpected token issuer')
+    }
+    if (typeof payload.exp === 'number' && payload.exp <= Math.floor(Date.now() / 1000)) {
+        throw new AuthError(401, 'invalid_token', 'Token expired')
+    }
+    return payload
+}
+
+function loadAuthConfig(path) {
+    return Object.assign({}, DEFAULT_AUTH_CONFIG, JSON.parse(fs.readFileSync(path, 'utf8')))
+}
+
+function createAuthenticator(config = DEFAULT_AUTH_CONFIG) {
+    const tokens = config.tokens || {}
+    const apiKeys = config.apiKeys || {}
+    const clients = config.clients || {}
+    const users = config.users || {}
+    const apiKeyHeader = (config.apiKeyHeader || 'X-API-Key').toLowerCase()
+    const refreshTokens = new Map() // refresh token -> {clientId, expiresAt}
+
+    const identify = req => {
+        const apiKey = req.headers[apiKeyHeader]
+        if (apiKey) {
+            if (!apiKeys[apiKey]) throw new AuthError(401, 'invalid_api_key', 'Unknown API key')
+            return Object.assign({scheme: 'api-key'}, apiKeys[apiKey])
+        }
+
+        const header = req.headers.authorization
+        if (!header || !/^Bearer\s+/i.test(header)) {
+            throw new AuthError(401, 'unauthorized', 'Missing bearer token or API key')
+        }
+        const token = header.replace(/^Bearer\s+/i, '').trim()
+        if (tokens[token]) {
+            return Object.assign({scheme: 'token'}, tokens[token])
+        }
+        if (config.jwt && token.split('.').length === 3) {
+            const payload = verifyJwt(token, config.jwt)
+            return {scheme: 'jwt', subject: payload.sub, roles: payload.roles || [], expiresAt: payload.exp}
+        }
+        throw new AuthError(401, 'invalid_token', 'Unknown token')
+    }
+
+    const authorize = (identity, method) => {
+        const role = READ_METHODS.includes(method) ? 'read' : 'write'
+        const roles = identity.roles || []
+        if (!roles.includes(role) && !roles.includes('admin')) {
+            throw new AuthError(403, 'insufficient_scope', `Role "${role}" required`)
+        }
+    }
+
+    const middleware = (req, res, next) => {
+        try {
+            req.auth = identify(req)
+            authorize(req.auth, req.method)
+            next()
+        } catch (e) {
+            if (!(e instanceof AuthError)) return next(e)
+            if (e.status === 401) {
+                res.set('WWW-Authenticate', `Bearer error="${e.code}", error_description="${e.message}"`)
+            }
+            res.status(e.status).json({error: e.status === 401 ? 'Unauthorized' : 'Forbidden', code: e.code, message: e.message})
+        }
+    }
+
+    const pruneRefreshTokens = () => {
+        const now = Date.now()
+        refreshTokens.forEach((stored, token) => {
+            if (stored.expiresAt <= now) refreshTokens.delete(token)
+        })
+        // Still full: drop the oldest, Map iteration follows insertion order
+        for (const token of refreshTokens.keys()) {
+            if (refreshTokens.size < MAX_REFRESH_TOKENS) break
+            refreshTokens.delete(token)
+        }
+    }
+
+    // grant: {clientId, subject, roles, ttlSeconds}
+    const issueTokens = grant => {
+        const ttl = grant.ttlSeconds || config.jwt.ttlSeconds
+        const now = Math.floor(Date.now() / 1000)
+        const accessToken = signJwt({
+            iss: config.jwt.issuer,
+            sub: grant.subject,
+            client_id: grant.clientId,
+            roles: grant.roles || [],
+            iat: now,
+            exp: now + ttl
+        }, config.jwt.secret)
+        const refreshToken = crypto.randomBytes(24).toString('hex')
+        if (refreshTokens.size >= MAX_REFRESH_TOKENS) pruneRefreshTokens()
+        refreshTokens.set(refreshToken, Object.assign({}, grant, {
+            expiresAt: Date.now() + (config.refreshTokenTtlSeconds || 3600) * 1000
+        }))
+        return {
+            access_token: accessToken,
+            token_type: 'Bearer',
+            expires_in: ttl,
+            refresh_token: refreshToken
+        }
+    }
+
+    // OAuth2 token endpoint (RFC 6749 sections 4.3, 4.4 and 6)
+    const tokenEndpoint = (req, res) => {
+        const body = req.body || {}
+        let clientId = body.client_id
+        let clientSecret = body.client_secret
+        const basic = /^Basic\s+(.+)$/i.exec(req.headers.authorization || '')
+        if (basic) {
+            const decoded = Buffer.from(basic[1], 'base64').toString('utf8')
+            const separator = decoded.indexOf(':')
+            clientId = decodeURIComponent(decoded.slice(0, separator))
+            clientSecret = decodeURIComponent(decoded.slice(separator + 1))
+        }
+
+        const client = clients[clientId]
+        if (!client || client.secret !== clientSecret) {
+            return res.status(401).json({error: 'invalid_client'})
+        }
+
+        res.set('Cache-Control', 'no-store')
+        if (body.grant_type === 'client_credentials') {
+            return res.json(issueTokens({
+                clientId,
+                subject: clientId,
+                roles: client.roles,
+                ttlSeconds: client.ttlSeconds
+            }))
+        }
+        if (body.grant_type === 'password') {
+            const user = users[body.username]
+            if (!user || user.password !== body.password) {
+                return res.status(400).json({error: 'invalid_grant', error_description: 'Invalid username or password'})
+            }
+            return res.json(issueTokens({
+                clientId,
+                subject: body.username,
+                roles: user.roles,
+                ttlSeconds: client.ttlSeconds
+            }))
+        }
+        if (body.grant_type === 'refresh_token') {
+            const stored = refreshTokens.get(body.refresh_token)
+            refreshTokens.delete(body.refresh_token)
+            if (!stored || stored.clientId !== clientId || stored.expiresAt <= Date.now()) {
+                return res.status(400).json({error: 'invalid_grant'})
+            }
+            return res.json(issueTokens({
+                clientId,
+                subject: stored.subject,
+                roles: stored.roles,
+                ttlSeconds: stored.ttlSeconds
+            }))
+        }
+        res.status(400).json({error: 'unsupported_grant_type'})
+    }
+
+    return {
+        middleware,
+        tokenEndpoint,
+        identify,
+        authorize
+    }
+}
+
+module.exports = {
+    DEFAULT_AUTH_CONFIG,
+    AuthError,
+    createAuthenticator,
+    loadAuthConfig,
+    signJwt,
+    verifyJwt
+}
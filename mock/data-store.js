@@ -0,0 +1,208 @@
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+
+// Isolated, resettable data for the mock server. db.json is only ever read: the server runs
+// against an in-memory (or temp file) copy, topped up with generated records.
+//
+// {
+//   "source": "db.json",
+//   "store": "memory",
+//   "randomSeed": 42,
+//   "seed": {"users": 100000, "products": 100000, "orders": 0}
+// }
+//
+// "store" is memory or temp (a copy in the OS temp dir, rewritten on every change). Generated
+// records use a seeded PRNG, so the same config always produces the same data. Snapshots are
+// kept in memory; reset goes back to a snapshot or to the freshly seeded state.
+
+const DEFAULT_STORE_CONFIG = {
+    source: 'db.json',
+    store: 'memory',
+    randomSeed: 42,
+    seed: {}
+}
+
+const STORES = ['memory', 'temp']
+
+// mulberry32: small, fast and good enough for test data
+function createRandom(seed) {
+    let state = seed >>> 0
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0
+        let t = state
+        t = Math.imul(t ^ (t >>> 15), t | 1)
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+    }
+}
+
+const FIRST_NAMES = ['Ada', 'Alan', 'Grace', 'Linus', 'Margaret', 'Ken', 'Barbara', 'Dennis', 'Frances', 'Edsger']
+const LAST_NAMES = ['Lovelace', 'Turing', 'Hopper', 'Torvalds', 'Hamilton', 'Thompson', 'Liskov', 'Ritchie', 'Allen', 'Dijkstra']
+const ADJECTIVES = ['Basic', 'Deluxe', 'Compact', 'Rugged', 'Smart', 'Classic', 'Portable', 'Premium']
+const NOUNS = ['Widget', 'Gadget', 'Sprocket', 'Lamp', 'Kettle', 'Backpack', 'Speaker', 'Monitor']
+const ORDER_STATUSES = ['pending', 'paid', 'shipped', 'delivered', 'cancelled']
+
+const pick = (random, list) => list[Math.floor(random() * list.length)]
+
+// Each generator gets the record id, the PRNG and the data generated so far
+const GENERATORS = {
+    users: (id, random) => {
+        const first = pick(random, FIRST_NAMES)
+        const last = pick(random, LAST_NAMES)
+        return {id, name: `${first} ${last}`, email: `${first}.${last}.${id}@example.com`.toLowerCase()}
+    },
+    products: (id, random) => ({
+        id,
+        name: `${pick(random, ADJECTIVES)} ${pick(random, NOUNS)} ${id}`,
+        price: Math.round((1 + random() * 499) * 100) / 100
+    }),
+    orders: (id, random, data) => {
+        const users = data.users || []
+        const products = data.products || []
+        const items = Array.from({length: 1 + Math.floor(random() * 3)}, () => {
+            const product = products.length > 0 ? products[Math.floor(random() * products.length)] : null
+            return {productId: product ? product.id : null, quantity: 1 + Math.floor(random() * 5)}
+        })
+        return {
+            id,
+            userId: users.length > 0 ? users[Math.floor(random() * users.length)].id : null,
+            items,
+            status: pick(random, ORDER_STATUSES)
+        }
+    }
+}
+
+function nextId(records) {
+    return records.reduce((max, record) => typeof record.id === 'number' && record.id > max ? record.id : max, 0) + 1
+}
+
+function validateStoreConfig(config) {
+    if (!STORES.includes(config.store)) {
+        throw new Error(`Unknown data store "${config.store}", expected one of: ${STORES.join(', ')}`)
+    }
+    Object.entries(config.seed || {}).forEach(([collection, count]) => {
+        if (!GENERATORS[collection]) {
+            throw new Error(`No generator for collection "${collection}", expected one of: ${Object.keys(GENERATORS).join(', ')}`)
+        }
+        if (!Number.isInteger(count) || count < 0) {
+            throw new Error(`Seed count for ${collection} must be a non-negative integer`)
+        }
+    })
+    if (!Number.isInteger(config.randomSeed)) {
+        throw new Error('randomSeed must be an integer')
+    }
+    return config
+}
+
+// Source data plus `seed` generated records per collection. Users and products are generated
+// before orders so orders can reference them.
+function buildDataset(source, seed, randomSeed) {
+    const data = structuredClone(source)
+    const random = createRandom(randomSeed)
+    Object.keys(GENERATORS)
+        .filter(collection => seed[collection] > 0)
+        .forEach(collection => {
+            const records = data[collection] || (data[collection] = [])
+            const firstId = nextId(records)
+            for (let i = 0; i < seed[collection]; i++) {
+                records.push(GENERATORS[collection](firstId + i, random, data))
+            }
+        })
+    return data
+}
+
+function loadStoreConfig(path) {
+    return Object.assign({}, DEFAULT_STORE_CONFIG, JSON.parse(fs.readFileSync(path, 'utf8')))
+}
+
+function countRecords(state) {
+    return Object.fromEntries(Object.entries(state)
+        .map(([collection, value]) => [collection, Array.isArray(value) ? value.length : 1]))
+}
+
+// Returns what to hand json-server's router (an object, or a temp file path) and admin operations
+// that swap the router's lowdb state in place. Call attach(router) once the router exists.
+function createDataStore(initialConfig = DEFAULT_STORE_CONFIG) {
+    let config = validateStoreConfig(Object.assign({}, DEFAULT_STORE_CONFIG, initialConfig))
+    const source = JSON.parse(fs.readFileSync(config.source, 'utf8'))
+    const snapshots = new Map()
+    let seeded = buildDataset(source, config.seed, config.randomSeed)
+    let db = null
+    let tempFile = null
+
+    if (config.store === 'temp') {
+        tempFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'mock-db-')), path.basename(config.source))
+        fs.writeFileSync(tempFile, JSON.stringify(seeded))
+    }
+
+    const getDb = () => {
+        if (!db) throw new Error('Data store is not attached to a router')
+        return db
+    }
+
+    // json-server only creates routes for collections present at startup, so a reset or reseed
+    // keeps the same collection names
+    const replaceState = next => {
+        const current = getDb().getState()
+        Object.keys(current).forEach(collection => {
+            if (!(collection in next)) next[collection] = Array.isArray(current[collection]) ? [] : {}
+        })
+        getDb().setState(next)
+        if (tempFile) getDb().write()
+        return countRecords(next)
+    }
+
+    return {
+        routerSource: () => tempFile || structuredClone(seeded),
+        attach: router => {
+            db = router.db
+        },
+        describe: () => ({
+            source: config.source,
+            store: config.store,
+            file: tempFile,
+            randomSeed: config.randomSeed,
+            seed: config.seed,
+            counts: countRecords(getDb().getState()),
+            snapshots: Array.from(snapshots.entries()).map(([name, snapshot]) => ({
+                name,
+                createdAt: snapshot.createdAt,
+                counts: countRecords(snapshot.state)
+            }))
+        }),
+        snapshot: name => {
+            if (typeof name !== 'string' || name === '') {
+                throw new Error('Snapshot name must be a non-empty string')
+            }
+            const snapshot = {createdAt: new Date().toISOString(), state: structuredClone(getDb().getState())}
+            snapshots.set(name, snapshot)
+            return {name, createdAt: snapshot.createdAt, counts: countRecords(snapshot.state)}
+        },
+        deleteSnapshot: name => snapshots.delete(name),
+        // Back to a named snapshot, or to the seeded state when no name is given
+        reset: name => {
+            if (name === undefined || name === null) return replaceState(structuredClone(seeded))
+            if (!snapshots.has(name)) throw new Error(`No snapshot named "${name}"`)
+            return replaceState(structuredClone(snapshots.get(name).state))
+        },
+        // Regenerate from the source file with new seed counts and/or random seed; counts not
+        // given keep their configured value, so {"seed": {"orders": 50}} leaves users and products
+        reseed: (overrides = {}) => {
+            const next = validateStoreConfig(Object.assign({}, config, {
+                seed: Object.assign({}, config.seed, overrides.seed),
+                randomSeed: overrides.randomSeed !== undefined ? overrides.randomSeed : config.randomSeed
+            }))
+            seeded = buildDataset(source, next.seed, next.randomSeed)
+            config = next
+            return replaceState(structuredClone(seeded))
+        }
+    }
+}
+
+module.exports = {
+    DEFAULT_STORE_CONFIG,
+    createDataStore,
+    loadStoreConfig,
+    buildDataset
+}
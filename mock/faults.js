@@ -0,0 +1,215 @@
+const fs = require('fs')
+const {globToRegExp} = require('./glob')
+
+// Declarative fault rules for the mock server. Every rule that matches a request
+// contributes its faults; for each fault kind the last matching rule wins, and
+// `null` switches a fault off again (e.g. to exempt one route from a global delay).
+//
+// {
+//   "route": "/products*",                      glob on the request path, * matches anything
+//   "method": "GET",                            optional, defaults to any method
+//   "latency": {"type": "uniform", "min": 100, "max": 500},
+//   "error": {"rate": 5, "statuses": [500, 503]},
+//   "reset": {"rate": 1},                       destroy the connection without a response
+//   "truncate": {"rate": 2, "ratio": 0.5},      send only part of the body, then close
+//   "drip": {"rate": 100, "chunkBytes": 16, "intervalMs": 50}
+// }
+
+const FAULT_KINDS = ['latency', 'error', 'reset', 'truncate', 'drip']
+
+const DEFAULT_RULES = [
+    {route: '*', latency: {type: 'uniform', min: 100, max: 500}},
+    {route: '/health', latency: null},
+    {route: '/slow-endpoint', latency: {type: 'uniform', min: 2100, max: 2500}}
+]
+
+function normalRandom() {
+    // Box-Muller transform
+    const u = 1 - Math.random()
+    const v = Math.random()
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v)
+}
+
+function sampleLatency(latency) {
+    let ms
+    switch (latency.type) {
+        case 'fixed':
+            ms = latency.ms
+            break
+        case 'uniform':
+            ms = latency.min + Math.random() * (latency.max - latency.min)
+            break
+        case 'normal':
+            ms = latency.mean + normalRandom() * latency.stddev
+            break
+        case 'long-tail': {
+            // Log-normal shaped by its median and 99th percentile
+            const sigma = Math.log(latency.p99 / latency.median) / 2.326
+            ms = latency.median * Math.exp(sigma * normalRandom())
+            break
+        }
+        default:
+            ms = 0
+    }
+    // Optional clamps for the unbounded distributions
+    if (latency.type !== 'uniform') {
+        if (latency.min !== undefined) ms = Math.max(ms, latency.min)
+        if (latency.max !== undefined) ms = Math.min(ms, latency.max)
+    }
+    return Math.max(ms, 0)
+}
+
+function validateRule(rule) {
+    if (!rule || typeof rule.route !== 'string') {
+        throw new Error('Each fault rule needs a "route" string')
+    }
+    const latency = rule.latency
+    if (latency) {
+        const required = {
+            fixed: ['ms'],
+            uniform: ['min', 'max'],
+            normal: ['mean', 'stddev'],
+            'long-tail': ['median', 'p99']
+        }[latency.type]
+        if (!required) {
+            throw new Error(`Unknown latency type "${latency.type}" for ${rule.route}`)
+        }
+        required.forEach(field => {
+            if (typeof latency[field] !== 'number') {
+                throw new Error(`latency.${field} must be a number for ${rule.route}`)
+            }
+        })
+    }
+    const statuses = rule.error ? rule.error.statuses : undefined
+    if (statuses !== undefined && (!Array.isArray(statuses) || statuses.length === 0 ||
+        !statuses.every(status => Number.isInteger(status) && status >= 100 && status <= 599))) {
+        throw new Error(`error.statuses must be a non-empty array of HTTP status codes (100-599) for ${rule.route}`)
+    }
+    ['error', 'reset', 'truncate', 'drip'].forEach(kind => {
+        const fault = rule[kind]
+        if (fault && fault.rate !== undefined && !(fault.rate >= 0 && fault.rate <= 100)) {
+            throw new Error(`${kind}.rate must be a percentage between 0 and 100 for ${rule.route}`)
+        }
+    })
+    return rule
+}
+
+function compileRules(rules) {
+    if (!Array.isArray(rules)) {
+        throw new Error('Fault rules must be an array')
+    }
+    return rules.map(rule => {
+        validateRule(rule)
+        const method = (rule.method || '*').toUpperCase()
+        return {rule, method, pattern: globToRegExp(rule.route)}
+    })
+}
+
+function loadFaultConfig(path) {
+    const config = JSON.parse(fs.readFileSync(path, 'utf8'))
+    return Array.isArray(config) ? config : config.rules
+}
+
+function chance(fault) {
+    return Math.random() * 100 < (fault.rate === undefined ? 100 : fault.rate)
+}
+
+// Buffers the response body and writes it out in small chunks
+function dripResponse(res, drip) {
+    const write = res.write.bind(res)
+    const end = res.end.bind(res)
+    const chunks = []
+
+    res.write = (chunk, encoding) => {
+        if (chunk) chunks.push(Buffer.from(chunk, encoding))
+        return true
+    }
+    res.end = (chunk, encoding) => {
+        if (chunk && typeof chunk !== 'function') chunks.push(Buffer.from(chunk, encoding))
+        const body = Buffer.concat(chunks)
+        const size = drip.chunkBytes || 16
+        let offset = 0
+        const next = () => {
+            if (res.destroyed) return
+            if (offset >= body.length) return end()
+            write(body.subarray(offset, offset + size))
+            offset += size
+            setTimeout(next, drip.intervalMs || 50)
+        }
+        next()
+        return res
+    }
+}
+
+// Sends only the first part of the body, then drops the connection
+function truncateResponse(res, truncate) {
+    res.end = (chunk, encoding) => {
+        const body = chunk && typeof chunk !== 'function' ? Buffer.from(chunk, encoding) : Buffer.alloc(0)
+        const ratio = truncate.ratio !== undefined ? truncate.ratio : 0.5
+        res.write(body.subarray(0, Math.floor(body.length * ratio)))
+        setImmediate(() => res.socket && res.socket.destroy())
+        return res
+    }
+}
+
+function createFaultInjector(initialRules = DEFAULT_RULES) {
+    let defaults = initialRules
+    let compiled = compileRules(initialRules)
+
+    const resolve = req => {
+        const faults = {}
+        compiled.forEach(({rule, method, pattern}) => {
+            if (method !== '*' && method !== req.method) return
+            if (!pattern.test(req.path)) return
+            FAULT_KINDS.forEach(kind => {
+                if (rule[kind] !== undefined) faults[kind] = rule[kind]
+            })
+        })
+        return faults
+    }
+
+    const middleware = (req, res, next) => {
+        const faults = resolve(req)
+        const delay = faults.latency ? sampleLatency(faults.latency) : 0
+
+        setTimeout(() => {
+            if (faults.reset && chance(faults.reset)) {
+                return req.socket.destroy()
+            }
+            if (faults.error && chance(faults.error)) {
+                const statuses = faults.error.statuses || [500]
+                const status = statuses[Math.floor(Math.random() * statuses.length)]
+                return res.status(status).json(faults.error.body || {error: 'Injected fault', status})
+            }
+            if (faults.truncate && chance(faults.truncate)) {
+                truncateResponse(res, faults.truncate)
+            } else if (faults.drip && chance(faults.drip)) {
+                dripResponse(res, faults.drip)
+            }
+            next()
+        }, delay)
+    }
+
+    return {
+        middleware,
+        resolve,
+        getRules: () => compiled.map(c => c.rule),
+        setRules: rules => {
+            compiled = compileRules(rules)
+        },
+        addRule: rule => {
+            compiled = compiled.concat(compileRules([rule]))
+        },
+        reset: rules => {
+            if (rules) defaults = rules
+            compiled = compileRules(defaults)
+        }
+    }
+}
+
+module.exports = {
+    DEFAULT_RULES,
+    createFaultInjector,
+    loadFaultConfig,
+    sampleLatency
+}
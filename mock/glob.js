@@ -0,0 +1,9 @@
+// '/products*' -> /^\/products.*$/
+function globToRegExp(glob) {
+    const pattern = glob.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')
+    return new RegExp(`^${pattern}$`)
+}
+
+module.exports = {
+    globToRegExp
+}
@@ -0,0 +1,103 @@
+const path = require('path')
+const grpc = require('@grpc/grpc-js')
+const protoLoader = require('@grpc/proto-loader')
+const {AuthError} = require('./auth')
+
+// gRPC ProductService (proto/shop.proto) on its own port, reading the same data store as the
+// REST routes. Calls authenticate with `authorization: Bearer ...` or API key metadata, like HTTP.
+
+const PROTO_PATH = path.join(__dirname, '..', 'proto', 'shop.proto')
+const MAX_STREAM_LIMIT = 10000
+
+const AUTH_STATUS = {
+    401: grpc.status.UNAUTHENTICATED,
+    403: grpc.status.PERMISSION_DENIED
+}
+
+function loadProductService() {
+    const definition = protoLoader.loadSync(PROTO_PATH, {keepCase: false, longs: Number, defaults: true})
+    return grpc.loadPackageDefinition(definition).shop.ProductService
+}
+
+// Metadata keys are already lower case, which is what identify() expects of HTTP headers
+function metadataHeaders(metadata) {
+    const headers = {}
+    Object.entries(metadata.getMap()).forEach(([key, value]) => {
+        headers[key] = String(value)
+    })
+    return {headers}
+}
+
+function createGrpcServer({auth, products}) {
+    const server = new grpc.Server()
+
+    // Returns a gRPC error for the call, or null when it may proceed
+    const authenticate = call => {
+        try {
+            auth.authorize(auth.identify(metadataHeaders(call.metadata)), 'GET')
+            return null
+        } catch (e) {
+            if (!(e instanceof AuthError)) throw e
+            return {code: AUTH_STATUS[e.status], details: e.message}
+        }
+    }
+
+    server.addService(loadProductService().service, {
+        GetProduct: (call, callback) => {
+            const error = authenticate(call)
+            if (error) return callback(error)
+            const product = products().find(item => item.id === call.request.id)
+            if (!product) {
+                return callback({code: grpc.status.NOT_FOUND, details: `Product ${call.request.id} not found`})
+            }
+            callback(null, product)
+        },
+
+        // Streams: emitting 'error' is what ends the call with that status; destroy() sends none
+        ListProducts: call => {
+            const error = authenticate(call)
+            if (error) return call.emit('error', error)
+            const limit = Math.min(call.request.limit || MAX_STREAM_LIMIT, MAX_STREAM_LIMIT)
+            const items = products().slice(0, limit)
+            const intervalMs = call.request.intervalMs
+            let index = 0
+            let timer = null
+            const next = () => {
+                if (call.cancelled) return
+                if (index >= items.length) return call.end()
+                call.write(items[index++])
+                if (intervalMs > 0) {
+                    timer = setTimeout(next, intervalMs)
+                } else {
+                    setImmediate(next)
+                }
+            }
+            call.on('cancelled', () => clearTimeout(timer))
+            next()
+        },
+
+        Echo: call => {
+            const error = authenticate(call)
+            if (error) return call.emit('error', error)
+            call.on('data', message => {
+                call.write({text: message.text, sentAt: message.sentAt, receivedAt: Date.now()})
+            })
+            call.on('end', () => call.end())
+        }
+    })
+
+    return {
+        listen: port => new Promise((resolve, reject) => {
+            server.bindAsync(`0.0.0.0:${port}`, grpc.ServerCredentials.createInsecure(), (err, boundPort) => {
+                if (err) return reject(err)
+                resolve(boundPort)
+            })
+        }),
+        shutdown: () => new Promise(resolve => server.tryShutdown(resolve))
+    }
+}
+
+module.exports = {
+    PROTO_PATH,
+    createGrpcServer
+}
@@ -0,0 +1,170 @@
+const fs = require('fs')
+const {monitorEventLoopDelay} = require('perf_hooks')
+
+// Server-side metrics for the mock server, so client latency can be told apart from
+// server processing time.
+//
+// GET /metrics serves the Prometheus text format:
+//   mock_http_requests_total{method,route,status}          counter
+//   mock_http_requests_in_flight                           gauge
+//   mock_http_request_duration_seconds{method,route}       histogram
+//   mock_eventloop_lag_seconds{quantile}                   summary over the last interval
+//
+// Every finished request is also appended to an NDJSON log, together with an event-loop
+// sample once per logIntervalMs:
+//   {"type":"request","time":"...","method":"GET","route":"/products/:id","path":"/products/5",
+//    "status":200,"durationMs":123.4,"inFlight":7}
+//   {"type":"eventloop","time":"...","lagP50Ms":0.9,"lagP99Ms":12.1,"lagMaxMs":15.2,"inFlight":7}
+// report-generator.js reads this log with --server-log.
+
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]
+const EVENT_LOOP_RESOLUTION_MS = 10
+
+// /products/5 -> /products/:id, so ids do not explode the label set
+function routeLabel(path) {
+    return path
+        .split('/')
+        .map(segment => /^\d+$/.test(segment) || /^[0-9a-f-]{32,36}$/i.test(segment) ? ':id' : segment)
+        .join('/') || '/'
+}
+
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')
+}
+
+function labels(values) {
+    const entries = Object.entries(values)
+    if (entries.length === 0) return ''
+    return `{${entries.map(([key, value]) => `${key}="${escapeLabel(value)}"`).join(',')}}`
+}
+
+function createServerMetrics({logPath = null, buckets = DEFAULT_BUCKETS, logIntervalMs = 1000} = {}) {
+    const requests = new Map() // method|route|status -> count
+    const histograms = new Map() // method|route -> {buckets, sum, count}
+    const log = logPath ? fs.createWriteStream(logPath, {flags: 'a'}) : null
+    const eventLoop = monitorEventLoopDelay({resolution: EVENT_LOOP_RESOLUTION_MS})
+    let inFlight = 0
+    eventLoop.enable()
+
+    const write = entry => {
+        if (log) log.write(JSON.stringify(entry) + '\n')
+    }
+
+    // The histogram holds nanoseconds between sampling timer ticks; lag is whatever exceeds
+    // the timer resolution. Reset after each sample so values cover one interval
+    const lagMs = nanoseconds => Math.max(0, nanoseconds / 1e6 - EVENT_LOOP_RESOLUTION_MS)
+    let lastLag = {p50: 0, p99: 0, max: 0}
+    const sampler = setInterval(() => {
+        lastLag = {
+            p50: lagMs(eventLoop.percentile(50)),
+            p99: lagMs(eventLoop.percentile(99)),
+            max: lagMs(eventLoop.max)
+        }
+        eventLoop.reset()
+        write({
+            type: 'eventloop',
+            time: new Date().toISOString(),
+            lagP50Ms: lastLag.p50,
+            lagP99Ms: lastLag.p99,
+            lagMaxMs: lastLag.max,
+            inFlight
+        })
+    }, logIntervalMs)
+    sampler.unref()
+
+    const observe = (method, route, status, durationMs) => {
+        const requestKey = `${method}|${route}|${status}`
+        requests.set(requestKey, (requests.get(requestKey) || 0) + 1)
+
+        const histogramKey = `${method}|${route}`
+        let histogram = histograms.get(histogramKey)
+        if (!histogram) {
+            histogram = {counts: buckets.map(() => 0), sum: 0, count: 0}
+            histograms.set(histogramKey, histogram)
+        }
+        const seconds = durationMs / 1000
+        buckets.forEach((bound, i) => {
+            if (seconds <= bound) histogram.counts[i]++
+        })
+        histogram.sum += seconds
+        histogram.count++
+    }
+
+    // Register first so the time spent in auth, rate limiting, queueing and faults is included
+    const middleware = (req, res, next) => {
+        if (req.path === '/metrics' || req.path.startsWith('/__admin')) return next()
+        const started = process.hrtime.bigint()
+        inFlight++
+        let recorded = false
+        const done = () => {
+            if (recorded) return
+            recorded = true
+            inFlight--
+            const durationMs = Number(process.hrtime.bigint() - started) / 1e6
+            const route = routeLabel(req.path)
+            const status = res.headersSent ? res.statusCode : 0
+            observe(req.method, route, status, durationMs)
+            write({
+                type: 'request',
+                time: new Date().toISOString(),
+                method: req.method,
+                route,
+                path: req.path,
+                status,
+                durationMs: Math.round(durationMs * 1000) / 1000,
+                inFlight
+            })
+        }
+        res.on('finish', done)
+        res.on('close', done)
+        next()
+    }
+
+    const render = () => {
+        const lines = []
+        lines.push('# HELP mock_http_requests_total Requests handled, by method, route and status')
+        lines.push('# TYPE mock_http_requests_total counter')
+        requests.forEach((count, key) => {
+            const [method, route, status] = key.split('|')
+            lines.push(`mock_http_requests_total${labels({method, route, status})} ${count}`)
+        })
+
+        lines.push('# HELP mock_http_requests_in_flight Requests currently being handled')
+        lines.push('# TYPE mock_http_requests_in_flight gauge')
+        lines.push(`mock_http_requests_in_flight ${inFlight}`)
+
+        lines.push('# HELP mock_http_request_duration_seconds Server-side processing time')
+        lines.push('# TYPE mock_http_request_duration_seconds histogram')
+        histograms.forEach((histogram, key) => {
+            const [method, route] = key.split('|')
+            buckets.forEach((bound, i) => {
+                lines.push(`mock_http_request_duration_seconds_bucket${labels({method, route, le: bound})} ${histogram.counts[i]}`)
+            })
+            lines.push(`mock_http_request_duration_seconds_bucket${labels({method, route, le: '+Inf'})} ${histogram.count}`)
+            lines.push(`mock_http_request_duration_seconds_sum${labels({method, route})} ${histogram.sum}`)
+            lines.push(`mock_http_request_duration_seconds_count${labels({method, route})} ${histogram.count}`)
+        })
+
+        lines.push('# HELP mock_eventloop_lag_seconds Event-loop delay over the last sampling interval')
+        lines.push('# TYPE mock_eventloop_lag_seconds summary')
+        lines.push(`mock_eventloop_lag_seconds${labels({quantile: '0.5'})} ${lastLag.p50 / 1000}`)
+        lines.push(`mock_eventloop_lag_seconds${labels({quantile: '0.99'})} ${lastLag.p99 / 1000}`)
+        lines.push(`mock_eventloop_lag_seconds${labels({quantile: '1'})} ${lastLag.max / 1000}`)
+        return lines.join('\n') + '\n'
+    }
+
+    return {
+        middleware,
+        handler: (req, res) => {
+            res.set('Content-Type', 'text/plain; version=0.0.4')
+            res.send(render())
+        },
+        render
+    }
+}
+
+module.exports = {
+    DEFAULT_BUCKETS,
+    createServerMetrics,
+    routeLabel
+}
@@ -0,0 +1,250 @@
+const fs = require('fs')
+const {globToRegExp} = require('./glob')
+const {routeLabel} = require('./metrics')
+
+// Rate limiting and backpressure for the mock server.
+//
+// {
+//   "limiters": [
+//     {"route": "/products*", "key": "token", "algorithm": "token-bucket", "capacity": 20, "refillPerSecond": 10},
+//     {"route": "*", "key": "route", "algorithm": "sliding-window", "limit": 500, "windowSeconds": 10}
+//   ],
+//   "concurrency": {"max": 50, "queue": 100, "queueTimeoutMs": 5000}
+// }
+//
+// "key" picks what a limiter counts per: token (the authenticated subject), route (the route
+// label the metrics use, so /products/1 and /products/2 share a limit), ip or global.
+// Limited requests get 429 with Retry-After and X-RateLimit-* headers. Requests over the
+// concurrency cap wait in a FIFO queue, and get 503 when the queue is full or they time out.
+
+const DEFAULT_LIMITS_CONFIG = {
+    limiters: [],
+    concurrency: null
+}
+
+// Drops the keys that no longer hold any state (idle(entry, now) is true) at most once per
+// intervalMs, so a stream of distinct tokens or IPs does not grow the map without bound
+function pruner(state, intervalMs, idle) {
+    let prunedAt = 0
+    return now => {
+        if (now - prunedAt < intervalMs) return
+        prunedAt = now
+        for (const [key, entry] of state) {
+            if (idle(entry, now)) state.delete(key)
+        }
+    }
+}
+
+function tokenBucket(limiter) {
+    const state = new Map()
+    const refillMs = limiter.capacity / limiter.refillPerSecond * 1000
+    // A bucket that has refilled to capacity is the same as a missing one
+    const prune = pruner(state, refillMs, (bucket, now) =>
+        bucket.tokens + (now - bucket.updatedAt) / 1000 * limiter.refillPerSecond >= limiter.capacity)
+    return (key, now) => {
+        prune(now)
+        const bucket = state.get(key) || {tokens: limiter.capacity, updatedAt: now}
+        bucket.tokens = Math.min(limiter.capacity, bucket.tokens + (now - bucket.updatedAt) / 1000 * limiter.refillPerSecond)
+        bucket.updatedAt = now
+        state.set(key, bucket)
+
+        const allowed = bucket.tokens >= 1
+        const left = allowed ? bucket.tokens - 1 : bucket.tokens
+        return {
+            allowed,
+            limit: limiter.capacity,
+            remaining: Math.floor(left),
+            retryAfterMs: allowed ? 0 : (1 - bucket.tokens) / limiter.refillPerSecond * 1000,
+            resetMs: (limiter.capacity - left) / limiter.refillPerSecond * 1000,
+            take: () => {
+                bucket.tokens -= 1
+            }
+        }
+    }
+}
+
+// Sliding window counter: the previous window's count is weighted by how much of it still overlaps
+function slidingWindow(limiter) {
+    const windowMs = limiter.windowSeconds * 1000
+    const state = new Map()
+    // Counts from before the previous window no longer weigh in
+    const prune = pruner(state, windowMs, (counts, now) => counts.windowStart < now - 2 * windowMs)
+    return (key, now) => {
+        prune(now)
+        const windowStart = Math.floor(now / windowMs) * windowMs
+        let counts = state.get(key)
+        if (!counts || counts.windowStart !== windowStart) {
+            const previous = counts && counts.windowStart === windowStart - windowMs ? counts.current : 0
+            counts = {windowStart, current: 0, previous}
+            state.set(key, counts)
+        }
+
+        const overlap = 1 - (now - windowStart) / windowMs
+        const estimated = counts.previous * overlap + counts.current
+        const allowed = estimated + 1 <= limiter.limit
+        return {
+            allowed,
+            limit: limiter.limit,
+            remaining: Math.max(0, Math.floor(limiter.limit - estimated - (allowed ? 1 : 0))),
+            retryAfterMs: allowed ? 0 : windowStart + windowMs - now,
+            resetMs: windowStart + windowMs - now,
+            take: () => {
+                counts.current++
+            }
+        }
+    }
+}
+
+const ALGORITHMS = {
+    'token-bucket': {create: tokenBucket, required: ['capacity', 'refillPerSecond']},
+    'sliding-window': {create: slidingWindow, required: ['limit', 'windowSeconds']}
+}
+
+function compileLimiter(limiter) {
+    if (!limiter || typeof limiter.route !== 'string') {
+        throw new Error('Each limiter needs a "route" string')
+    }
+    const algorithm = ALGORITHMS[limiter.algorithm]
+    if (!algorithm) {
+        throw new Error(`Unknown rate limit algorithm "${limiter.algorithm}" for ${limiter.route}`)
+    }
+    algorithm.required.forEach(field => {
+        if (!(limiter[field] > 0)) {
+            throw new Error(`${field} must be a positive number for ${limiter.route}`)
+        }
+    })
+    return {
+        limiter,
+        method: (limiter.method || '*').toUpperCase(),
+        pattern: globToRegExp(limiter.route),
+        check: algorithm.create(limiter)
+    }
+}
+
+function limiterKey(limiter, req) {
+    switch (limiter.key || 'token') {
+        case 'route':
+            return routeLabel(req.path)
+        case 'ip':
+            return req.ip
+        case 'global':
+            return '*'
+        default:
+            return req.auth && req.auth.subject ? req.auth.subject : req.ip
+    }
+}
+
+function loadLimitsConfig(path) {
+    return Object.assign({}, DEFAULT_LIMITS_CONFIG, JSON.parse(fs.readFileSync(path, 'utf8')))
+}
+
+function createRateLimiter(initialConfig = DEFAULT_LIMITS_CONFIG) {
+    let config
+    let compiled
+    let inFlight = 0
+    const queue = []
+
+    const configure = next => {
+        const limiters = (next.limiters || []).map(compileLimiter)
+        config = {limiters: next.limiters || [], concurrency: next.concurrency || null}
+        compiled = limiters
+    }
+    configure(initialConfig)
+
+    const setHeaders = (res, result) => {
+        res.set('X-RateLimit-Limit', String(result.limit))
+        res.set('X-RateLimit-Remaining', String(result.remaining))
+        res.set('X-RateLimit-Reset', String(Math.ceil((Date.now() + result.resetMs) / 1000)))
+    }
+
+    // Per-token/per-route limits; run after authentication so "token" keys are known.
+    // A request is charged to its limiters only once all of them allow it, so a rejection by
+    // one limiter does not use up the budgets of the others.
+    const rateLimit = (req, res, next) => {
+        const now = Date.now()
+        const results = compiled
+            .filter(({method, pattern}) => (method === '*' || method === req.method) && pattern.test(req.path))
+            .map(({limiter, check}) => check(`${limiterKey(limiter, req)}`, now))
+
+        const rejected = results.filter(result => !result.allowed)
+        if (rejected.length > 0) {
+            // Retry once the last of the limiters lets the request through
+            const result = rejected.reduce((latest, r) => r.retryAfterMs > latest.retryAfterMs ? r : latest)
+            setHeaders(res, result)
+            res.set('Retry-After', String(Math.max(1, Math.ceil(result.retryAfterMs / 1000))))
+            return res.status(429).json({error: 'Too Many Requests', retryAfterMs: Math.ceil(result.retryAfterMs)})
+        }
+
+        results.forEach(result => result.take())
+        if (results.length > 0) {
+            setHeaders(res, results.reduce((strictest, r) => r.remaining < strictest.remaining ? r : strictest))
+        }
+        next()
+    }
+
+    const release = () => {
+        inFlight--
+        while (queue.length > 0) {
+            const waiting = queue.shift()
+            if (waiting.admit()) break
+        }
+    }
+
+    // Caps in-flight requests; excess requests queue (FIFO) or are rejected with 503
+    const concurrencyLimit = (req, res, next) => {
+        const cap = config.concurrency
+        if (!cap || !cap.max) return next()
+
+        const admit = () => {
+            inFlight++
+            let released = false
+            const done = () => {
+                if (released) return
+                released = true
+                release()
+            }
+            res.on('finish', done)
+            res.on('close', done)
+            next()
+        }
+
+        if (inFlight < cap.max) return admit()
+
+        const reject = message => {
+            res.set('Retry-After', '1')
+            res.status(503).json({error: 'Service Unavailable', message})
+        }
+        if (queue.length >= (cap.queue || 0)) {
+            return reject('Concurrency limit reached')
+        }
+
+        const entry = {
+            admit: () => {
+                clearTimeout(entry.timer)
+                if (res.destroyed) return false
+                admit()
+                return true
+            }
+        }
+        entry.timer = setTimeout(() => {
+            const index = queue.indexOf(entry)
+            if (index !== -1) queue.splice(index, 1)
+            reject('Timed out waiting for a free slot')
+        }, cap.queueTimeoutMs || 5000)
+        queue.push(entry)
+    }
+
+    return {
+        rateLimit,
+        concurrencyLimit,
+        getConfig: () => config,
+        setConfig: configure,
+        stats: () => ({inFlight, queued: queue.length})
+    }
+}
+
+module.exports = {
+    DEFAULT_LIMITS_CONFIG,
+    createRateLimiter,
+    loadLimitsConfig
+}
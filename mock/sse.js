@@ -0,0 +1,62 @@
+// Server-sent events stream: GET /events?rate=10&count=100&size=64
+//
+//   rate   events per second (default from the defaults passed in, capped at maxRate)
+//   count  events to send before ending the response; 0 streams until the client disconnects
+//   size   bytes of padding in each event's payload
+//
+// Each event is `event: tick` with an incrementing id and JSON data {seq, sentAt, payload}, so
+// clients can measure delivery lag from sentAt.
+
+const DEFAULT_SSE_OPTIONS = {
+    rate: 1,
+    count: 0,
+    size: 0,
+    maxRate: 1000
+}
+
+function queryNumber(value, fallback) {
+    if (value === undefined) return fallback
+    const number = Number(value)
+    return Number.isFinite(number) && number >= 0 ? number : NaN
+}
+
+function createEventStream(defaults = DEFAULT_SSE_OPTIONS) {
+    const settings = Object.assign({}, DEFAULT_SSE_OPTIONS, defaults)
+
+    return (req, res) => {
+        const rate = queryNumber(req.query.rate, settings.rate)
+        const count = queryNumber(req.query.count, settings.count)
+        const size = queryNumber(req.query.size, settings.size)
+        if (!(rate > 0) || rate > settings.maxRate || Number.isNaN(count) || Number.isNaN(size)) {
+            return res.status(400).json({error: `rate must be in (0, ${settings.maxRate}], count and size must be >= 0`})
+        }
+
+        res.status(200)
+        res.set({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        })
+        res.flushHeaders()
+
+        const payload = 'x'.repeat(size)
+        let seq = 0
+        const send = () => {
+            seq++
+            res.write(`id: ${seq}\nevent: tick\ndata: ${JSON.stringify({seq, sentAt: Date.now(), payload})}\n\n`)
+            if (count > 0 && seq >= count) {
+                stop()
+                res.end()
+            }
+        }
+        const timer = setInterval(send, 1000 / rate)
+        const stop = () => clearInterval(timer)
+        req.on('close', stop)
+    }
+}
+
+module.exports = {
+    DEFAULT_SSE_OPTIONS,
+    createEventStream
+}
@@ -0,0 +1,78 @@
+const {WebSocketServer} = require('ws')
+const {AuthError} = require('./auth')
+
+// WebSocket endpoints on the HTTP server's port:
+//   /ws/echo       every message is sent back to its sender
+//   /ws/broadcast  every message is sent to all clients on /ws/broadcast, sender included
+//
+// The upgrade request is authenticated like any HTTP request (bearer token, API key or JWT)
+// and needs the read role. A ping is sent every pingIntervalMs; clients that miss a pong are dropped.
+
+const ROUTES = ['/ws/echo', '/ws/broadcast']
+
+function rejectUpgrade(socket, status, message) {
+    const reason = status === 401 ? 'Unauthorized' : status === 403 ? 'Forbidden' : 'Not Found'
+    const body = JSON.stringify({error: reason, message})
+    socket.end(`HTTP/1.1 ${status} ${reason}\r\n` +
+        'Content-Type: application/json\r\n' +
+        `Content-Length: ${Buffer.byteLength(body)}\r\n` +
+        'Connection: close\r\n\r\n' + body)
+}
+
+function attachWebSockets(httpServer, {auth, pingIntervalMs = 30000}) {
+    const wss = new WebSocketServer({noServer: true})
+    const rooms = {'/ws/echo': new Set(), '/ws/broadcast': new Set()}
+
+    httpServer.on('upgrade', (req, socket, head) => {
+        const path = new URL(req.url, 'http://localhost').pathname
+        if (!ROUTES.includes(path)) {
+            return rejectUpgrade(socket, 404, `No WebSocket endpoint at ${path}`)
+        }
+        try {
+            auth.authorize(auth.identify(req), 'GET')
+        } catch (e) {
+            if (!(e instanceof AuthError)) throw e
+            return rejectUpgrade(socket, e.status, e.message)
+        }
+        wss.handleUpgrade(req, socket, head, ws => wss.emit('connection', ws, path))
+    })
+
+    wss.on('connection', (ws, path) => {
+        const room = rooms[path]
+        room.add(ws)
+        ws.isAlive = true
+        ws.on('pong', () => {
+            ws.isAlive = true
+        })
+        ws.on('message', (message, isBinary) => {
+            if (path === '/ws/echo') {
+                ws.send(message, {binary: isBinary})
+                return
+            }
+            room.forEach(client => {
+                if (client.readyState === client.OPEN) client.send(message, {binary: isBinary})
+            })
+        })
+        ws.on('close', () => room.delete(ws))
+    })
+
+    const heartbeat = setInterval(() => {
+        wss.clients.forEach(ws => {
+            if (!ws.isAlive) return ws.terminate()
+            ws.isAlive = false
+            ws.ping()
+        })
+    }, pingIntervalMs)
+    heartbeat.unref()
+
+    return {
+        stats: () => ({
+            echo: rooms['/ws/echo'].size,
+            broadcast: rooms['/ws/broadcast'].size
+        })
+    }
+}
+
+module.exports = {
+    attachWebSockets
+}
@@ -1,6 +1,30 @@
 const fs = require('fs');
+const path = require('path');
+const {DEFAULT_RELATIVE_ACCURACY} = require('./lib/quantile-sketch');
+const {MetricAggregate} = require('./lib/metric-aggregate');
+const {downsampleLTTB} = require('./lib/sampling');
+const {TimeSeries, CounterSeries, RequestSeries} = require('./lib/time-series');
+const {compareRuns, DEFAULT_TOLERANCE, GATED_TIME_METRICS, MIN_TIME_DELTA_MS} = require('./lib/compare');
+const {buildSummary} = require('./lib/summary');
+const {buildJUnit} = require('./lib/junit');
+const {plotlyScriptTag} = require('./lib/assets');
+const {escapeHtml} = require('./lib/html');
+const {WebSocketStats, GrpcStats} = require('./lib/protocols');
+const {readServerLog} = require('./lib/server-log');
+const {currentCommit, recordRun, loadRuns, detectDrift, DEFAULT_DRIFT_WINDOW, TREND_METRICS} = require('./lib/history');
+const {generateDashboard} = require('./lib/dashboard');
+const {detectInputFormat, readInput, readSummaryExport} = require('./lib/input-formats');
+const {ADDITIVE_GAUGES, InstanceStats, sumGauges, instanceNames} = require('./lib/instances');
+const {tailLines} = require('./lib/tail');
+const {buildLiveSnapshot, startLiveServer} = require('./lib/live');
+const {detectInsights} = require('./lib/insights');
+const {STAGE_KINDS, readStagePlan, resolveStages} = require('./lib/stages');
+const {EXIT_CODES, HELP, UsageError, InputError, parseCliArgs} = require('./lib/cli');
+const {parseMetricKey, normalizeThresholds, readThresholds, evaluateThresholds, tagsMatch} = require('./lib/thresholds');
 
+// Stats an end-of-test summary did not export are undefined or null and render as '-'
 function formatBytes(bytes) {
+    if (bytes === undefined || bytes === null) return '-';
     if (bytes === 0) return '0 Bytes';
     const k = 1024;
     const sizes = ['Bytes', 'KB', 'MB', 'GB'];
@@ -9,6 +33,7 @@ function formatBytes(bytes) {
 }
 
 function formatDuration(ms) {
+    if (ms === undefined || ms === null) return '-';
     if (ms < 1) {
         return (ms * 1000).toFixed(2) + ' μs';
     } else if (ms < 1000) {
@@ -20,9 +45,18 @@ function formatDuration(ms) {
     }
 }
 
-function getMetricUnit(metricName) {
+// Metrics k6 emits on its own; everything else comes from the test script
+const BUILTIN_METRIC_PATTERN = /^(http_req|ws_|grpc_|data_(sent|received)$|vus|iteration|checks$|group_duration$|dropped_iterations$)/;
+
+function isBuiltinMetric(metricName) {
+    return BUILTIN_METRIC_PATTERN.test(metricName);
+}
+
+// Known k6 metrics by name; custom metrics by the type/contains of their k6 Metric line
+function getMetricUnit(metricName, definition = {}) {
     const metricUnits = {
         http_req_duration: 'time',
+        http_req_blocked: 'time',
         http_req_waiting: 'time',
         http_req_connecting: 'time',
         http_req_tls_handshaking: 'time',
@@ -36,44 +70,1391 @@ function getMetricUnit(metricName) {
         vus: 'count',
         vus_max: 'count',
         checks: 'count',
+        ws_connecting: 'time',
+        ws_session_duration: 'time',
+        ws_ping: 'time',
+        ws_sessions: 'count',
+        ws_msgs_sent: 'count',
+        ws_msgs_received: 'count',
+        grpc_req_duration: 'time',
+        grpc_streams: 'count',
+        grpc_streams_msgs_sent: 'count',
+        grpc_streams_msgs_received: 'count',
     };
-    return metricUnits[metricName] || '';
+    if (metricUnits[metricName]) return metricUnits[metricName];
+    if (definition.contains === 'time' || definition.contains === 'data') return definition.contains;
+    if (definition.type === 'counter') return 'count';
+    if (definition.type === 'rate') return 'rate';
+    return '';
+}
+
+function formatMetricValue(value, unit) {
+    if (value === undefined || value === null) return '-';
+    switch (unit) {
+        case 'time':
+            return formatDuration(value);
+        case 'data':
+            return formatBytes(value);
+        case 'count':
+            return value.toLocaleString();
+        case 'rate':
+            return (value * 100).toFixed(2) + '%';
+        default:
+            return value.toFixed(2);
+    }
+}
+
+function formatThresholdValue(result, metrics) {
+    if (result.actual === undefined) return '-';
+    const metric = metrics[result.metric] || {};
+    const aggregation = (result.source || '').split(/[<>=!]/)[0].trim();
+
+    if (aggregation === 'rate' && metric.type === 'rate') {
+        return (result.actual * 100).toFixed(2) + '%';
+    }
+    if (aggregation !== 'count' && aggregation !== 'rate' && metric.unit) {
+        return formatMetricValue(result.actual, metric.unit);
+    }
+    return Number.isInteger(result.actual) ? result.actual.toLocaleString() : result.actual.toFixed(2);
+}
+
+// What the report cannot show because of the input format it was built from
+function renderInputNotice(data) {
+    const notes = [];
+    if (!data.input.timeseries) {
+        notes.push(`Built from a k6 end-of-test summary: it has k6's final aggregates and threshold results but no
+                time series, so charts over time and the per-endpoint, per-group and status code breakdowns are not
+                available. Percentiles are the ones k6 exported (see summaryTrendStats); others show as '-'.`);
+    }
+    if (data.input.formats.includes('csv')) {
+        notes.push(`Built from k6 CSV output, which has no threshold definitions or custom metric types: thresholds
+                are not evaluated and custom metrics are shown as trends.`);
+    }
+    return notes.map(note => `<p class="accuracy-note"><strong>Limited input:</strong> ${note}</p>`).join('\n            ');
+}
+
+function renderVerdict(thresholds, checks) {
+    const failedThresholds = thresholds.filter(t => !t.ok);
+    const failedChecks = checks.filter(c => c.fails > 0);
+    const passed = failedThresholds.length === 0;
+    const checkSummary = checks.length > 0 ?
+        `${checks.length - failedChecks.length} of ${checks.length} checks passed every time.` :
+        'No checks recorded.';
+    const thresholdSummary = thresholds.length > 0 ?
+        (passed ?
+            `All ${thresholds.length} thresholds passed.` :
+            `${failedThresholds.length} of ${thresholds.length} thresholds failed.`) :
+        'No thresholds defined.';
+
+    return `
+        <div class="verdict ${passed ? 'passed' : 'failed'}">
+            <div class="verdict-title">${passed ? 'PASSED' : 'FAILED'}</div>
+            <div>${thresholdSummary} ${checkSummary}</div>
+        </div>`;
+}
+
+const INSIGHT_COLORS = {
+    'latency-spike': '#ff7f0e',
+    'error-burst': '#e74c3c',
+    'saturation': '#9467bd',
+    'latency-drift': '#d62728',
+    'connection-blocking': '#7f7f7f'
+};
+
+// Charts each kind of insight is marked on
+const INSIGHT_CHARTS = {
+    'latency-spike': ['vuChart'],
+    'error-burst': ['rpsChart'],
+    'saturation': ['vuChart', 'rpsChart'],
+    'latency-drift': ['vuChart'],
+    'connection-blocking': ['latencyComponentsChart']
+};
+
+// m:ss into the run
+function formatOffset(seconds) {
+    const whole = Math.max(0, Math.round(seconds));
+    return `${Math.floor(whole / 60)}:${String(whole % 60).padStart(2, '0')}`;
+}
+
+function renderInsights(insights, testStart) {
+    const start = testStart / 1000;
+    return `
+        <div class="metric-section">
+            <h2>Insights</h2>
+            ${insights.length > 0 ? `
+            <p class="accuracy-note">Found in the time series; the numbers match the markers on the charts below.</p>
+            <ol class="insights">
+                ${insights.map(insight => `
+                <li>
+                    <span class="insight-swatch" style="background: ${INSIGHT_COLORS[insight.type]}"></span>
+                    <strong>${escapeHtml(insight.title)}</strong>
+                    <span class="accuracy-note">${insight.type === 'saturation' ?
+        `from ${formatOffset(insight.from - start)}` :
+        `${formatOffset(insight.from - start)}–${formatOffset(insight.to - start)}`}</span>:
+                    ${escapeHtml(insight.message)}
+                </li>`).join('')}
+            </ol>` :
+        '<p>No latency spikes, error bursts, throughput saturation, latency drift or connection blocking found.</p>'}
+        </div>`;
+}
+
+// Plotly shapes and labels marking the insights shown on one chart; saturation is a point in time
+function insightMarks(insights, chartId) {
+    const shapes = [];
+    const annotations = [];
+    insights.forEach((insight, i) => {
+        if (!INSIGHT_CHARTS[insight.type].includes(chartId)) return;
+        const color = INSIGHT_COLORS[insight.type];
+        shapes.push(insight.type === 'saturation' ?
+            {type: 'line', xref: 'x', yref: 'paper', x0: insight.from, x1: insight.from, y0: 0, y1: 1,
+                line: {color, width: 2, dash: 'dash'}} :
+            {type: 'rect', xref: 'x', yref: 'paper', x0: insight.from, x1: insight.to, y0: 0, y1: 1,
+                fillcolor: color, opacity: 0.15, layer: 'below', line: {width: 0}});
+        annotations.push({
+            x: insight.from,
+            y: 1,
+            xref: 'x',
+            yref: 'paper',
+            xanchor: 'left',
+            yanchor: 'bottom',
+            text: `#${i + 1}`,
+            showarrow: false,
+            font: {color}
+        });
+    });
+    return {shapes, annotations};
+}
+
+function renderStageRow(label, kind, period, stats) {
+    const latency = stats.latency || {};
+    return `
+                    <tr>
+                        <td>${label}</td>
+                        <td>${kind}</td>
+                        <td>${period}</td>
+                        <td>${formatDuration(stats.durationMs)}</td>
+                        <td>${stats.requests.toLocaleString()}</td>
+                        <td>${stats.rps.toFixed(2)}</td>
+                        <td>${(stats.errorRate * 100).toFixed(2)}%</td>
+                        ${['med', 'p95', 'p99'].map(stat => `<td>${formatDuration(latency[stat])}</td>`).join('')}
+                    </tr>`;
+}
+
+function renderStages(stages, testStart, bucketSeconds) {
+    if (!stages) return '';
+    const start = testStart / 1000;
+    const swatch = kind => `<span class="insight-swatch" style="background: ${STAGE_KINDS[kind].color}"></span>`;
+    const combined = [
+        ['All steady stages', stages.steady],
+        ['All ramps', stages.ramps]
+    ].filter(([, stats]) => stats);
+
+    return `
+        <div class="metric-section">
+            <h2>Stages</h2>
+            <p class="accuracy-note">${stages.source === 'options' ?
+        `Planned from the stages option${stages.scenario ? ` of the ${escapeHtml(stages.scenario)} scenario` : ''}, laid out from the start of the run.` :
+        'Inferred from the vus series: steady where VUs hold within 5% for a while, ramps in between.'}
+                Stats cover the ${formatDuration(bucketSeconds * 1000)} time buckets starting within each stage;
+                the stages are shaded on the charts over time.</p>
+            <table>
+                <thead>
+                    <tr>
+                        <th>Stage</th>
+                        <th>Kind</th>
+                        <th>Time</th>
+                        <th>Duration</th>
+                        <th>Requests</th>
+                        <th>RPS</th>
+                        <th>Error Rate</th>
+                        <th>Med</th>
+                        <th>p95</th>
+                        <th>p99</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${stages.list.map(stage => renderStageRow(
+        `${stage.index}: ${stage.startLevel} → ${stage.target} ${escapeHtml(stages.unit)}`,
+        `${swatch(stage.kind)}${STAGE_KINDS[stage.kind].label}`,
+        `${formatOffset(stage.from - start)}–${formatOffset(stage.to - start)}`,
+        stage.stats
+    )).join('')}
+                    ${combined.map(([label, stats]) => renderStageRow(`<strong>${label}</strong>`, '', '', stats)).join('')}
+                </tbody>
+            </table>
+        </div>`;
+}
+
+// Background bands for the stages, added to every chart whose x axis is the run's time
+function stageShapes(stages) {
+    return stages ? stages.list.map(stage => ({
+        type: 'rect',
+        xref: 'x',
+        yref: 'paper',
+        x0: stage.from,
+        x1: stage.to,
+        y0: 0,
+        y1: 1,
+        fillcolor: STAGE_KINDS[stage.kind].fill,
+        layer: 'below',
+        line: {width: 0}
+    })) : [];
+}
+
+function renderThresholdsAndChecks(thresholds, checks, metrics) {
+    return `
+        <div class="metric-section">
+            <h2>Thresholds</h2>
+            ${thresholds.length > 0 ? `
+            <table>
+                <thead>
+                    <tr>
+                        <th>Metric</th>
+                        <th>Threshold</th>
+                        <th>Actual</th>
+                        <th>Result</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${thresholds.map(t => `
+                        <tr>
+                            <td>${escapeHtml(t.key)}</td>
+                            <td>${escapeHtml(t.source)}</td>
+                            <td>${t.error ? escapeHtml(t.error) : formatThresholdValue(t, metrics)}</td>
+                            <td class="${t.ok ? 'status-pass' : 'status-fail'}">${t.ok ? 'PASS' : 'FAIL'}${t.noData ? ' (no data)' : ''}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>` : '<p>No thresholds defined.</p>'}
+        </div>
+
+        <div class="metric-section">
+            <h2>Checks</h2>
+            ${checks.length > 0 ? `
+            <table>
+                <thead>
+                    <tr>
+                        <th>Check</th>
+                        <th>Group</th>
+                        <th>Passes</th>
+                        <th>Fails</th>
+                        <th>Pass Rate</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${checks.map(c => `
+                        <tr>
+                            <td>${escapeHtml(c.name)}</td>
+                            <td>${escapeHtml(c.group || '-')}</td>
+                            <td>${c.passes.toLocaleString()}</td>
+                            <td>${c.fails.toLocaleString()}</td>
+                            <td class="${c.fails === 0 ? 'status-pass' : 'status-fail'}">${(c.passes / (c.passes + c.fails) * 100).toFixed(2)}%</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>` : '<p>No checks recorded.</p>'}
+        </div>`;
+}
+
+function renderEndpoints(endpoints) {
+    if (endpoints.length === 0) return '';
+
+    const seriesTrace = (endpoint, stat, extra) => Object.assign({
+        x: endpoint.timeseries.map(p => p.timestamp),
+        y: endpoint.timeseries.map(p => p[stat]),
+        type: 'scatter',
+        mode: 'lines'
+    }, extra);
+
+    return `
+        <div class="metric-section">
+            <h2>Endpoints</h2>
+            <table>
+                <thead>
+                    <tr>
+                        <th>Endpoint</th>
+                        <th>Method</th>
+                        <th>Requests</th>
+                        <th>Errors</th>
+                        <th>Error Rate</th>
+                        <th>p50</th>
+                        <th>p90</th>
+                        <th>p95</th>
+                        <th>p99</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${endpoints.map(e => `
+                        <tr>
+                            <td>${escapeHtml(e.name || '-')}</td>
+                            <td>${escapeHtml(e.method || '-')}</td>
+                            <td>${e.requests.toLocaleString()}</td>
+                            <td>${e.errors.toLocaleString()}</td>
+                            <td class="${e.errors === 0 ? 'status-pass' : 'status-fail'}">${(e.errorRate * 100).toFixed(2)}%</td>
+                            ${['med', 'p90', 'p95', 'p99']
+        .map(stat => `<td>${e.stats.count > 0 ? formatDuration(e.stats[stat]) : '-'}</td>`)
+        .join('')}
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+
+            <div class="chart-container">
+                <h3>p95 Response Time by Endpoint</h3>
+                <div id="endpointP95Chart" class="chart"></div>
+            </div>
+            <div class="charts-grid">
+                ${endpoints.map((e, i) => `
+                <div class="chart-container">
+                    <h3>${escapeHtml(e.key)}</h3>
+                    <div id="endpointChart${i}" class="chart"></div>
+                </div>`).join('')}
+            </div>
+        </div>
+
+        <script>
+            Plotly.newPlot('endpointP95Chart', ${JSON.stringify(endpoints.map(e => seriesTrace(e, 'p95', {name: e.key})))}, {
+                xaxis: {title: 'Time'},
+                yaxis: {title: 'p95 Response Time (ms)', rangemode: 'tozero'},
+                showlegend: true
+            });
+
+            ${endpoints.map((e, i) => `
+            Plotly.newPlot('endpointChart${i}', ${JSON.stringify([
+        seriesTrace(e, 'p50', {name: 'p50', line: {color: '#2ca02c'}}),
+        seriesTrace(e, 'p95', {name: 'p95', line: {color: '#ff7f0e'}}),
+        seriesTrace(e, 'p99', {name: 'p99', line: {color: '#d62728'}})
+    ])}, {
+                xaxis: {title: 'Time'},
+                yaxis: {title: 'Response Time (ms)', rangemode: 'tozero'},
+                showlegend: true
+            });`).join('')}
+        </script>`;
+}
+
+function formatDelta(row) {
+    if (row.current === undefined || row.baseline === undefined) return '-';
+    if (row.kind === 'rate') {
+        const points = (row.current - row.baseline) * 100;
+        return (points >= 0 ? '+' : '') + points.toFixed(2) + ' pp';
+    }
+    if (row.delta === null) return 'n/a';
+    return (row.delta >= 0 ? '+' : '') + (row.delta * 100).toFixed(1) + '%';
+}
+
+function formatComparedValue(row, unit) {
+    if (row === undefined) return '-';
+    if (unit === 'rate') return (row * 100).toFixed(2) + '%';
+    if (unit === 'time') return formatDuration(row);
+    return row.toFixed(2);
+}
+
+function renderComparisonRows(rows, labelPrefix) {
+    return rows.map(row => `
+                        <tr class="${row.regression ? 'regression' : ''}">
+                            <td>${escapeHtml(labelPrefix)}</td>
+                            <td>${escapeHtml(row.label)}</td>
+                            <td>${formatComparedValue(row.baseline, row.kind)}</td>
+                            <td>${formatComparedValue(row.current, row.kind)}</td>
+                            <td>${formatDelta(row)}</td>
+                        </tr>`).join('');
+}
+
+function renderComparison(data, baseline, comparison, maxPoints) {
+    const elapsed = (run, points, value) => downsampleLTTB(
+        points.map(p => p.timestamp - run.testStart / 1000),
+        points.map(value),
+        maxPoints
+    );
+    const overlay = (points, value, title) => [
+        Object.assign(elapsed(baseline, points(baseline), value), {
+            name: 'Baseline', type: 'scatter', mode: 'lines', line: {color: '#7f7f7f', dash: 'dot'}
+        }),
+        Object.assign(elapsed(data, points(data), value), {
+            name: 'Current', type: 'scatter', mode: 'lines', line: {color: '#1f77b4'}
+        })
+    ];
+
+    return `
+        <div class="verdict ${comparison.passed ? 'passed' : 'failed'}">
+            <div class="verdict-title">${comparison.passed ? 'NO REGRESSIONS' : 'REGRESSIONS DETECTED'}</div>
+            <div>
+                Compared against baseline with a tolerance of ${comparison.tolerance}% for latency and throughput
+                and ${comparison.errorRateTolerance} percentage points for error rates. Only ${GATED_TIME_METRICS.join(', ')},
+                per-endpoint latency, throughput and error rates are gated, and latency changes under
+                ${MIN_TIME_DELTA_MS} ms never are; other timings are shown for information.
+                ${comparison.passed ? '' : `${comparison.regressions.length} regression(s): ${escapeHtml(comparison.regressions.join(', '))}.`}
+            </div>
+        </div>
+
+        <div class="metric-section">
+            <h2>Baseline Comparison</h2>
+            <table>
+                <thead>
+                    <tr>
+                        <th>Metric</th>
+                        <th>Stat</th>
+                        <th>Baseline</th>
+                        <th>Current</th>
+                        <th>Change</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${renderComparisonRows(comparison.summary, 'Overall')}
+                    ${comparison.metrics.map(m => renderComparisonRows(m.rows, m.informational ? `${m.name} (info)` : m.name)).join('')}
+                    ${comparison.endpoints.map(e => renderComparisonRows(e.rows, e.key)).join('')}
+                </tbody>
+            </table>
+
+            <div class="charts-grid">
+                <div class="chart-container">
+                    <h3>p95 Response Time vs Baseline</h3>
+                    <div id="comparisonLatencyChart" class="chart"></div>
+                </div>
+                <div class="chart-container">
+                    <h3>Requests Per Second vs Baseline</h3>
+                    <div id="comparisonRpsChart" class="chart"></div>
+                </div>
+            </div>
+        </div>
+
+        <script>
+            Plotly.newPlot('comparisonLatencyChart', ${JSON.stringify(overlay(run => run.timeseriesData.buckets, p => p.p95))}, {
+                xaxis: {title: 'Elapsed Time (s)'},
+                yaxis: {title: 'p95 Response Time (ms)', rangemode: 'tozero'},
+                showlegend: true
+            });
+
+            Plotly.newPlot('comparisonRpsChart', ${JSON.stringify(overlay(run => run.timeseriesData.buckets, p => p.rps))}, {
+                xaxis: {title: 'Elapsed Time (s)'},
+                yaxis: {title: 'Requests/Second', rangemode: 'tozero'},
+                showlegend: true
+            });
+        </script>`;
+}
+
+const STATUS_CLASS_COLORS = {
+    '1xx': '#17becf',
+    '2xx': '#2ecc71',
+    '3xx': '#3498db',
+    '4xx': '#f39c12',
+    '5xx': '#e74c3c',
+    'network error': '#7f7f7f'
+};
+
+// One stacked area trace per category of CounterSeries points
+function stackedTraces(points, colors) {
+    const categories = [...new Set(points.flatMap(p => Object.keys(p.counts)))].sort();
+    return categories.map(category => ({
+        x: points.map(p => p.timestamp),
+        y: points.map(p => p.counts[category] || 0),
+        name: category,
+        type: 'scatter',
+        mode: 'lines',
+        stackgroup: 'one',
+        line: colors && colors[category] ? {color: colors[category]} : undefined
+    }));
+}
+
+function renderErrorCharts(timeseriesData) {
+    const {outcomes, statusClasses, errorCodes} = timeseriesData;
+    if (outcomes.length === 0) return '';
+
+    const errorRateTrace = {
+        x: outcomes.map(p => p.timestamp),
+        y: outcomes.map(p => {
+            const total = (p.counts.successful || 0) + (p.counts.failed || 0);
+            return total > 0 ? (p.counts.failed || 0) / total * 100 : 0;
+        }),
+        name: 'Error Rate (%)',
+        type: 'scatter',
+        mode: 'lines',
+        line: {color: '#e74c3c'},
+        fill: 'tozeroy',
+        fillcolor: 'rgba(231, 76, 60, 0.1)'
+    };
+
+    return `
+        <h2>Errors</h2>
+        <div class="charts-grid">
+            <div class="chart-container">
+                <h3>Error Rate Over Time</h3>
+                <div id="errorRateChart" class="chart"></div>
+            </div>
+            <div class="chart-container">
+                <h3>Requests by Status Class</h3>
+                <div id="statusClassChart" class="chart"></div>
+            </div>
+            <div class="chart-container">
+                <h3>Failed Requests by Error Code</h3>
+                <div id="errorCodeChart" class="chart"></div>
+            </div>
+        </div>
+
+        <script>
+            Plotly.newPlot('errorRateChart', [${JSON.stringify(errorRateTrace)}], {
+                xaxis: {title: 'Time'},
+                yaxis: {title: 'Failed Requests (%)', rangemode: 'tozero'}
+            });
+
+            Plotly.newPlot('statusClassChart', ${JSON.stringify(stackedTraces(statusClasses, STATUS_CLASS_COLORS))}, {
+                xaxis: {title: 'Time'},
+                yaxis: {title: 'Requests per Bucket', rangemode: 'tozero'},
+                showlegend: true
+            });
+
+            Plotly.newPlot('errorCodeChart', ${JSON.stringify(stackedTraces(errorCodes))}, {
+                xaxis: {title: 'Time'},
+                yaxis: {title: 'Failed Requests per Bucket', rangemode: 'tozero'},
+                showlegend: true
+            });
+        </script>`;
+}
+
+function renderThrottlingCharts(timeseriesData) {
+    const points = timeseriesData.throttling;
+    const categories = Object.values(THROTTLING_STATUSES)
+        .filter(category => points.some(p => p.counts[category] > 0));
+    if (categories.length === 0) return '';
+
+    const colors = {'429 Too Many Requests': '#f39c12', '503 Service Unavailable': '#8e44ad'};
+    const traces = categories.map(category => ({
+        x: points.map(p => p.timestamp),
+        y: points.map(p => p.counts[category] || 0),
+        name: category,
+        type: 'bar',
+        marker: {color: colors[category]}
+    }));
+    traces.push({
+        x: points.map(p => p.timestamp),
+        y: points.map(p => {
+            const throttled = categories.reduce((sum, category) => sum + p.counts[category], 0);
+            return p.requests > 0 ? throttled / p.requests * 100 : 0;
+        }),
+        name: 'Throttled (%)',
+        type: 'scatter',
+        mode: 'lines',
+        yaxis: 'y2',
+        line: {color: '#2c3e50'}
+    });
+
+    return `
+        <div class="chart-container">
+            <h3>Throttled Requests Over Time</h3>
+            <div id="throttlingChart" class="chart"></div>
+        </div>
+
+        <script>
+            Plotly.newPlot('throttlingChart', ${JSON.stringify(traces)}, {
+                barmode: 'stack',
+                xaxis: {title: 'Time'},
+                yaxis: {title: 'Requests per Bucket', rangemode: 'tozero'},
+                yaxis2: {title: 'Throttled (%)', overlaying: 'y', side: 'right', rangemode: 'tozero'},
+                showlegend: true
+            });
+        </script>`;
+}
+
+function renderStatRow(label, stats) {
+    return `
+                        <tr>
+                            <td>${escapeHtml(label)}</td>
+                            <td>${stats.count.toLocaleString()}</td>
+                            ${['avg', 'med', 'p95', 'p99', 'max']
+        .map(stat => `<td>${stats.count > 0 ? formatDuration(stats[stat]) : '-'}</td>`)
+        .join('')}
+                        </tr>`;
+}
+
+const STAT_HEADERS = ['Count', 'Avg', 'Med', 'p95', 'p99', 'Max'].map(header => `<th>${header}</th>`).join('');
+
+function renderWebSockets(websocket) {
+    if (!websocket) return '';
+    const {timeseries} = websocket;
+
+    return `
+        <div class="metric-section">
+            <h2>WebSockets</h2>
+            <p>Sessions: ${websocket.sessions.toLocaleString()}
+               (failed handshakes: <span class="${websocket.failedSessions > 0 ? 'status-fail' : 'status-pass'}">${websocket.failedSessions.toLocaleString()}</span>),
+               messages sent: ${websocket.messagesSent.toLocaleString()},
+               messages received: ${websocket.messagesReceived.toLocaleString()}</p>
+            <table>
+                <thead>
+                    <tr><th>Metric</th>${STAT_HEADERS}</tr>
+                </thead>
+                <tbody>
+                    ${renderStatRow('ws_connecting', websocket.connecting)}
+                    ${renderStatRow('ws_session_duration', websocket.sessionDuration)}
+                    ${websocket.ping.count > 0 ? renderStatRow('ws_ping', websocket.ping) : ''}
+                </tbody>
+            </table>
+            <div class="charts-grid">
+                <div class="chart-container">
+                    <h3>WebSocket Messages Over Time</h3>
+                    <div id="wsMessagesChart" class="chart"></div>
+                </div>
+                <div class="chart-container">
+                    <h3>WebSocket Connect Time &amp; Sessions</h3>
+                    <div id="wsConnectingChart" class="chart"></div>
+                </div>
+            </div>
+        </div>
+
+        <script>
+            Plotly.newPlot('wsMessagesChart', ${JSON.stringify(stackedTraces(timeseries.messages, {sent: '#1f77b4', received: '#2ca02c'}))}, {
+                xaxis: {title: 'Time'},
+                yaxis: {title: 'Messages per Bucket', rangemode: 'tozero'},
+                showlegend: true
+            });
+
+            Plotly.newPlot('wsConnectingChart', ${JSON.stringify([
+        {
+            x: timeseries.connecting.map(p => p.timestamp),
+            y: timeseries.connecting.map(p => p.p95),
+            name: 'ws_connecting p95 (ms)',
+            type: 'scatter',
+            mode: 'lines',
+            line: {color: '#ff7f0e'}
+        },
+        ...stackedTraces(timeseries.sessions, {opened: '#2ecc71', failed: '#e74c3c'})
+            .map(trace => Object.assign(trace, {type: 'bar', mode: undefined, stackgroup: undefined, yaxis: 'y2', opacity: 0.4}))
+    ])}, {
+                barmode: 'stack',
+                xaxis: {title: 'Time'},
+                yaxis: {title: 'Connect Time (ms)', rangemode: 'tozero'},
+                yaxis2: {title: 'Sessions per Bucket', overlaying: 'y', side: 'right', rangemode: 'tozero'},
+                showlegend: true
+            });
+        </script>`;
+}
+
+const GRPC_STATUS_COLORS = {
+    OK: '#2ecc71',
+    DEADLINE_EXCEEDED: '#f39c12',
+    UNAVAILABLE: '#8e44ad',
+    UNAUTHENTICATED: '#34495e',
+    PERMISSION_DENIED: '#7f8c8d'
+};
+
+function renderGrpc(grpc) {
+    if (!grpc) return '';
+    const {timeseries} = grpc;
+
+    return `
+        <div class="metric-section">
+            <h2>gRPC</h2>
+            <p>Unary requests: ${grpc.requests.toLocaleString()}
+               (errors: <span class="${grpc.errors > 0 ? 'status-fail' : 'status-pass'}">${grpc.errors.toLocaleString()}, ${(grpc.errorRate * 100).toFixed(2)}%</span>),
+               streams: ${grpc.streams.toLocaleString()},
+               stream messages sent: ${grpc.streamMessagesSent.toLocaleString()},
+               received: ${grpc.streamMessagesReceived.toLocaleString()}</p>
+            <table>
+                <thead>
+                    <tr>
+                        <th>Method</th>
+                        <th>Requests</th>
+                        <th>Error Rate</th>
+                        <th>Avg</th>
+                        <th>p50</th>
+                        <th>p95</th>
+                        <th>p99</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${grpc.methods.map(method => `
+                        <tr>
+                            <td>${escapeHtml(method.method)}</td>
+                            <td>${method.requests.toLocaleString()}</td>
+                            <td class="${method.errors > 0 ? 'status-fail' : 'status-pass'}">${(method.errorRate * 100).toFixed(2)}%</td>
+                            ${['avg', 'med', 'p95', 'p99'].map(stat => `<td>${formatDuration(method.stats[stat])}</td>`).join('')}
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+            ${grpc.requests > 0 ? `
+            <div class="charts-grid">
+                <div class="chart-container">
+                    <h3>gRPC Latency Over Time</h3>
+                    <div id="grpcLatencyChart" class="chart"></div>
+                </div>
+                <div class="chart-container">
+                    <h3>gRPC Status Codes Over Time</h3>
+                    <div id="grpcStatusChart" class="chart"></div>
+                </div>
+            </div>
+
+            <script>
+                Plotly.newPlot('grpcLatencyChart', ${JSON.stringify(['p50', 'p95', 'p99'].map(stat => ({
+        x: timeseries.latency.map(p => p.timestamp),
+        y: timeseries.latency.map(p => p[stat]),
+        name: stat,
+        type: 'scatter',
+        mode: 'lines'
+    })))}, {
+                    xaxis: {title: 'Time'},
+                    yaxis: {title: 'grpc_req_duration (ms)', rangemode: 'tozero'},
+                    showlegend: true
+                });
+
+                Plotly.newPlot('grpcStatusChart', ${JSON.stringify(stackedTraces(timeseries.statuses, GRPC_STATUS_COLORS))}, {
+                    xaxis: {title: 'Time'},
+                    yaxis: {title: 'Requests per Bucket', rangemode: 'tozero'},
+                    showlegend: true
+                });
+            </script>` : ''}
+        </div>`;
+}
+
+// An instance stands out when its p95 is well above the other generators' median, or when k6
+// could not start iterations on time
+const INSTANCE_P95_OUTLIER_FACTOR = 1.5;
+
+function median(values) {
+    const sorted = values.slice().sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+// Per-generator breakdown of a run merged from several k6 output files
+function renderInstances(instances, maxPoints) {
+    if (!instances || instances.length < 2) return '';
+
+    const p95s = instances.filter(i => i.stats.count > 0).map(i => i.stats.p95);
+    const typicalP95 = p95s.length > 0 ? median(p95s) : null;
+    const outlier = instance => instance.droppedIterations > 0 ||
+        (typicalP95 !== null && instance.stats.count > 0 && instance.stats.p95 > typicalP95 * INSTANCE_P95_OUTLIER_FACTOR);
+    const trace = (instance, value) => Object.assign(downsampleLTTB(
+        instance.timeseries.points.map(p => p.timestamp),
+        instance.timeseries.points.map(value),
+        maxPoints
+    ), {name: instance.name, type: 'scatter', mode: 'lines'});
+
+    return `
+        <div class="metric-section">
+            <h2>Load Generators</h2>
+            <p class="accuracy-note">${instances.length} k6 outputs merged: counts are summed and percentiles come from the combined
+                distribution of all points. Start skew is how much later each input's first point is than the earliest
+                input's${instances.some(i => i.offsetMs !== 0) ? '; clocks were aligned to a common start (--align-clocks)' : ''}.
+                Highlighted generators have a p95 over ${INSTANCE_P95_OUTLIER_FACTOR}&times; the median or dropped iterations.</p>
+            <table>
+                <thead>
+                    <tr>
+                        <th>Instance</th>
+                        <th>Start Skew</th>
+                        <th>Duration</th>
+                        <th>Max VUs</th>
+                        <th>Requests</th>
+                        <th>RPS</th>
+                        <th>Error Rate</th>
+                        <th>p50</th>
+                        <th>p95</th>
+                        <th>p99</th>
+                        <th>Iterations</th>
+                        <th>Dropped</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${instances.map(i => `
+                        <tr class="${outlier(i) ? 'regression' : ''}">
+                            <td>${escapeHtml(i.name)}</td>
+                            <td>${formatDuration(i.startSkewMs)}</td>
+                            <td>${formatDuration(i.durationMs)}</td>
+                            <td>${i.maxVus !== null ? i.maxVus.toLocaleString() : '-'}</td>
+                            <td>${i.requests.toLocaleString()}</td>
+                            <td>${i.rps.toFixed(2)}</td>
+                            <td>${i.errorRate !== null ? (i.errorRate * 100).toFixed(2) + '%' : '-'}</td>
+                            ${['med', 'p95', 'p99'].map(stat => `<td>${i.stats.count > 0 ? formatDuration(i.stats[stat]) : '-'}</td>`).join('')}
+                            <td>${i.iterations.toLocaleString()}</td>
+                            <td>${i.droppedIterations.toLocaleString()}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+            <div class="charts-grid">
+                <div class="chart-container">
+                    <h3>p95 Response Time by Generator</h3>
+                    <div id="instanceLatencyChart" class="chart"></div>
+                </div>
+                <div class="chart-container">
+                    <h3>Requests per Second by Generator</h3>
+                    <div id="instanceRpsChart" class="chart"></div>
+                </div>
+            </div>
+        </div>
+
+        <script>
+            Plotly.newPlot('instanceLatencyChart', ${JSON.stringify(instances.map(i => trace(i, p => p.p95)))}, {
+                xaxis: {title: 'Time'},
+                yaxis: {title: 'p95 (ms)', rangemode: 'tozero'},
+                showlegend: true
+            });
+            Plotly.newPlot('instanceRpsChart', ${JSON.stringify(instances.map(i => trace(i, p => p.rps)))}, {
+                xaxis: {title: 'Time'},
+                yaxis: {title: 'Requests/Second', rangemode: 'tozero'},
+                showlegend: true
+            });
+        </script>`;
+}
+
+// Client-side http_req_duration against server processing time from the mock server's log.
+// The difference is time spent on the network and in the client.
+function renderServerCorrelation(data, maxPoints) {
+    const server = data.server;
+    if (!server) return '';
+    const client = data.metrics.http_req_duration ? data.metrics.http_req_duration.stats : null;
+    const statNames = ['avg', 'med', 'p90', 'p95', 'p99'];
+    const row = (label, stats) => `
+                    <tr>
+                        <td>${label}</td>
+                        <td>${stats ? stats.count.toLocaleString() : '-'}</td>
+                        ${statNames.map(stat => `<td>${stats && stats.count > 0 ? formatDuration(stats[stat]) : '-'}</td>`).join('')}
+                    </tr>`;
+
+    const clientLatency = data.timeseriesData.buckets;
+    const lag = server.timeseries.eventLoop;
+    const lagSeries = downsampleLTTB(lag.map(p => p.timestamp), lag.map(p => p.max), maxPoints);
+    const traces = [
+        ...['p50', 'p95'].map(stat => ({
+            x: clientLatency.map(p => p.timestamp),
+            y: clientLatency.map(p => p[stat]),
+            name: `k6 http_req_duration ${stat}`,
+            type: 'scatter',
+            mode: 'lines',
+            line: {color: '#ff7f0e', dash: stat === 'p50' ? 'solid' : 'dot'}
+        })),
+        ...['p50', 'p95'].map(stat => ({
+            x: server.timeseries.latency.map(p => p.timestamp),
+            y: server.timeseries.latency.map(p => p[stat]),
+            name: `server time ${stat}`,
+            type: 'scatter',
+            mode: 'lines',
+            line: {color: '#1f77b4', dash: stat === 'p50' ? 'solid' : 'dot'}
+        })),
+        {
+            x: lagSeries.x,
+            y: lagSeries.y,
+            name: 'event-loop lag max',
+            type: 'scatter',
+            mode: 'lines',
+            yaxis: 'y2',
+            line: {color: '#7f7f7f', width: 1}
+        }
+    ];
+
+    return `
+        <div class="metric-section">
+            <h2>Server vs Client Latency</h2>
+            <p class="accuracy-note">Server time from ${escapeHtml(server.file)}: ${server.requests.toLocaleString()} requests logged during the run
+                (${(server.errorRate * 100).toFixed(2)}% errors)${server.eventLoopLag.count > 0 ?
+        `, event-loop lag max ${formatDuration(server.eventLoopLag.max)}` :
+        ''}${server.invalidLines > 0 ? `, ${server.invalidLines} unreadable lines skipped` : ''}.</p>
+            <table>
+                <thead>
+                    <tr><th>Source</th><th>Count</th>${['Avg', 'Med', 'p90', 'p95', 'p99'].map(header => `<th>${header}</th>`).join('')}</tr>
+                </thead>
+                <tbody>
+                    ${row('k6 http_req_duration (client)', client)}
+                    ${row('Server processing time', server.duration)}
+                    ${client && server.duration.count > 0 ? `
+                    <tr>
+                        <td>Network &amp; client overhead</td>
+                        <td>-</td>
+                        ${statNames.map(stat => `<td>${formatDuration(Math.max(0, client[stat] - server.duration[stat]))}</td>`).join('')}
+                    </tr>` : ''}
+                </tbody>
+            </table>
+            <table>
+                <thead>
+                    <tr>
+                        <th>Server Route</th>
+                        <th>Requests</th>
+                        <th>Error Rate</th>
+                        <th>Avg</th>
+                        <th>p95</th>
+                        <th>p99</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${server.routes.map(route => `
+                        <tr>
+                            <td>${escapeHtml(route.key)}</td>
+                            <td>${route.requests.toLocaleString()}</td>
+                            <td class="${route.errors > 0 ? 'status-fail' : 'status-pass'}">${(route.errorRate * 100).toFixed(2)}%</td>
+                            ${['avg', 'p95', 'p99'].map(stat => `<td>${formatDuration(route.stats[stat])}</td>`).join('')}
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+            <div class="chart-container">
+                <h3>Client vs Server Latency Over Time</h3>
+                <div id="serverCorrelationChart" class="chart"></div>
+            </div>
+        </div>
+
+        <script>
+            Plotly.newPlot('serverCorrelationChart', ${JSON.stringify(traces)}, {
+                xaxis: {title: 'Time'},
+                yaxis: {title: 'Latency (ms)', rangemode: 'tozero'},
+                yaxis2: {title: 'Event-Loop Lag (ms)', overlaying: 'y', side: 'right', rangemode: 'tozero'},
+                showlegend: true
+            });
+        </script>`;
+}
+
+// k6 group tags look like '::journey::step'
+function formatGroupName(name) {
+    return name.replace(/^::/, '').split('::').join(' › ');
+}
+
+function renderLatencyComponents(timeseriesData, endpoints, insights) {
+    const points = timeseriesData.latencyComponents;
+    if (points.length === 0) return '';
+
+    const components = Object.keys(LATENCY_COMPONENTS);
+    const overTime = components.map(component => ({
+        x: points.map(p => p.timestamp),
+        y: points.map(p => p.averages[component]),
+        name: LATENCY_COMPONENTS[component],
+        type: 'scatter',
+        mode: 'lines',
+        stackgroup: 'one',
+        line: {color: LATENCY_COMPONENT_COLORS[component]}
+    }));
+    const withComponents = endpoints.filter(e => e.components);
+    const byEndpoint = components.map(component => ({
+        y: withComponents.map(e => e.key),
+        x: withComponents.map(e => e.components[component]),
+        name: LATENCY_COMPONENTS[component],
+        type: 'bar',
+        orientation: 'h',
+        marker: {color: LATENCY_COMPONENT_COLORS[component]}
+    }));
+
+    return `
+        <h2>Latency Breakdown</h2>
+        <p class="accuracy-note">Average time per request phase. Blocked excludes the connecting and TLS time it contains,
+            so the stack adds up to blocked + http_req_duration.</p>
+        <div class="charts-grid">
+            <div class="chart-container">
+                <h3>Request Phases Over Time</h3>
+                <div id="latencyComponentsChart" class="chart"></div>
+            </div>
+            ${withComponents.length > 0 ? `
+            <div class="chart-container">
+                <h3>Request Phases by Endpoint</h3>
+                <div id="endpointComponentsChart" class="chart"></div>
+            </div>` : ''}
+        </div>
+
+        <script>
+            Plotly.newPlot('latencyComponentsChart', ${JSON.stringify(overTime)}, Object.assign({
+                xaxis: {title: 'Time'},
+                yaxis: {title: 'Average Time (ms)', rangemode: 'tozero'},
+                showlegend: true
+            }, ${JSON.stringify(insightMarks(insights, 'latencyComponentsChart'))}));
+            ${withComponents.length > 0 ? `
+            Plotly.newPlot('endpointComponentsChart', ${JSON.stringify(byEndpoint)}, {
+                barmode: 'stack',
+                xaxis: {title: 'Average Time (ms)', rangemode: 'tozero'},
+                yaxis: {automargin: true},
+                showlegend: true
+            });` : ''}
+        </script>`;
+}
+
+const CUSTOM_METRIC_SECTIONS = [
+    {type: 'counter', title: 'Counters', headers: ['Total', 'Rate']},
+    {type: 'rate', title: 'Rates', headers: ['Rate', 'Non-zero', 'Total']},
+    {type: 'gauge', title: 'Gauges', headers: ['Last', 'Min', 'Max']},
+    {type: 'trend', title: 'Trends', headers: ['Count', 'Avg', 'Min', 'Med', 'p90', 'p95', 'p99', 'Max']}
+];
+
+// Metrics without a k6 Metric line (or with an unknown type) render as trends
+function customMetricSection(metric) {
+    return CUSTOM_METRIC_SECTIONS.some(section => section.type === metric.type) ? metric.type : 'trend';
+}
+
+function customMetricCells(metric, testDuration) {
+    const {stats, unit} = metric;
+    const format = value => formatMetricValue(value, unit);
+    switch (customMetricSection(metric)) {
+        case 'counter': {
+            const perSecond = testDuration > 0 ? stats.sum / (testDuration / 1000) : 0;
+            return [format(stats.sum), `${unit === 'data' ? formatBytes(perSecond) : perSecond.toFixed(2)}/s`];
+        }
+        case 'rate':
+            return [formatMetricValue(stats.rate, 'rate'), Math.round(stats.rate * stats.count).toLocaleString(), formatMetricValue(stats.count, 'count')];
+        case 'gauge':
+            return [format(stats.last), format(stats.min), format(stats.max)];
+        default:
+            return [formatMetricValue(stats.count, 'count'), ...['avg', 'min', 'med', 'p90', 'p95', 'p99', 'max'].map(stat => format(stats[stat]))];
+    }
+}
+
+// Per-bucket series for a custom metric: counters as per-second totals, rates as percentages,
+// gauges as the bucket average and trends as percentiles
+function customMetricTraces(metric) {
+    const {points, bucketSeconds} = metric.timeseries;
+    const trace = (name, value) => ({
+        x: points.map(p => p.timestamp),
+        y: points.map(value),
+        name,
+        type: 'scatter',
+        mode: 'lines'
+    });
+    switch (customMetricSection(metric)) {
+        case 'counter':
+            return [trace('per second', p => p.sum / bucketSeconds)];
+        case 'rate':
+            return [trace('rate (%)', p => p.avg * 100)];
+        case 'gauge':
+            return [trace('value', p => p.avg)];
+        default:
+            return ['p50', 'p95', 'p99'].map(stat => trace(stat, p => p[stat]));
+    }
+}
+
+function renderCustomMetrics(customMetrics, testDuration) {
+    if (customMetrics.length === 0) return '';
+    const charted = customMetrics.filter(m => m.timeseries.points.length > 0);
+
+    return `
+        <div class="metric-section">
+            <h2>Custom Metrics</h2>
+            ${CUSTOM_METRIC_SECTIONS.map(section => {
+        const rows = customMetrics.filter(m => customMetricSection(m) === section.type);
+        if (rows.length === 0) return '';
+        return `
+            <h3>${section.title}</h3>
+            <table>
+                <thead>
+                    <tr><th>Metric</th>${section.headers.map(header => `<th>${header}</th>`).join('')}</tr>
+                </thead>
+                <tbody>
+                    ${rows.map(m => `
+                        <tr>
+                            <td>${escapeHtml(m.name)}</td>
+                            ${customMetricCells(m, testDuration).map(cell => `<td>${cell}</td>`).join('')}
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>`;
+    }).join('')}
+            <div class="charts-grid">
+                ${charted.map((m, i) => `
+                <div class="chart-container">
+                    <h3>${escapeHtml(m.name)} <span class="metric-type">${escapeHtml(m.type || 'unknown')}</span></h3>
+                    <div id="customMetricChart${i}" class="chart"></div>
+                </div>`).join('')}
+            </div>
+        </div>
+
+        <script>
+            ${charted.map((m, i) => `
+            Plotly.newPlot('customMetricChart${i}', ${JSON.stringify(customMetricTraces(m))}, {
+                xaxis: {title: 'Time'},
+                yaxis: {title: ${JSON.stringify(m.unit === 'time' ? 'ms' : m.unit === 'data' ? 'bytes' : m.name)}, rangemode: 'tozero'},
+                showlegend: true
+            });`).join('')}
+        </script>`;
+}
+
+function renderGroups(groups) {
+    if (!groups || groups.length === 0) return '';
+
+    const percent = (value, good) => value === null ?
+        '<td>-</td>' :
+        `<td class="${good(value) ? 'status-pass' : 'status-fail'}">${(value * 100).toFixed(2)}%</td>`;
+
+    return `
+        <div class="metric-section">
+            <h2>Groups</h2>
+            <table>
+                <thead>
+                    <tr>
+                        <th>Group</th>
+                        <th>Executions</th>
+                        <th>Avg</th>
+                        <th>p50</th>
+                        <th>p95</th>
+                        <th>p99</th>
+                        <th>Checks Passed</th>
+                        <th>Requests</th>
+                        <th>Error Rate</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${groups.map(g => `
+                        <tr>
+                            <td>${escapeHtml(formatGroupName(g.name))}</td>
+                            <td>${g.executions.toLocaleString()}</td>
+                            ${['avg', 'med', 'p95', 'p99']
+        .map(stat => `<td>${g.executions > 0 ? formatDuration(g.stats[stat]) : '-'}</td>`)
+        .join('')}
+                            ${percent(g.checkPassRate, rate => rate === 1)}
+                            <td>${g.requests.toLocaleString()}</td>
+                            ${percent(g.errorRate, rate => rate === 0)}
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        </div>`;
 }
 
-function formatMetricValue(value, unit) {
-    switch (unit) {
-        case 'time':
-            return formatDuration(value);
-        case 'data':
-            return formatBytes(value);
-        case 'count':
-            return value.toLocaleString();
-        default:
-            return value.toFixed(2);
+const DEFAULT_MAX_POINTS = 5000;
+const DEFAULT_BUCKET_SECONDS = 5;
+
+function endpointKey(tags) {
+    return `${tags.method || ''} ${tags.name || tags.url || ''}`.trim();
+}
+
+// k6 tags every HTTP sample with expected_response (driven by the responseCallback);
+// older outputs without it fall back to the status code
+function isFailedRequest(tags) {
+    if (tags.expected_response !== undefined) {
+        return String(tags.expected_response) === 'false';
     }
+    return !tags.status || Number(tags.status) >= 400 || tags.status === '0';
+}
+
+function statusClass(status) {
+    if (!status || status === '0') return 'network error';
+    return `${String(status)[0]}xx`;
+}
+
+// k6's http_req_blocked covers DNS, connecting and TLS, so for stacking those two are taken
+// out of it; blocked + sending + waiting + receiving then adds up to the whole request.
+const LATENCY_COMPONENTS = {
+    http_req_blocked: 'Blocked (DNS, queueing)',
+    http_req_connecting: 'Connecting',
+    http_req_tls_handshaking: 'TLS handshake',
+    http_req_sending: 'Sending',
+    http_req_waiting: 'Waiting (TTFB)',
+    http_req_receiving: 'Receiving'
+};
+
+const LATENCY_COMPONENT_COLORS = {
+    http_req_blocked: '#7f7f7f',
+    http_req_connecting: '#17becf',
+    http_req_tls_handshaking: '#9467bd',
+    http_req_sending: '#bcbd22',
+    http_req_waiting: '#ff7f0e',
+    http_req_receiving: '#2ca02c'
+};
+
+// {component: avg ms} from per-component sums and counts, with connect/TLS taken out of blocked
+function componentAverages(sums, counts) {
+    const averages = {};
+    Object.keys(LATENCY_COMPONENTS).forEach(component => {
+        averages[component] = counts[component] > 0 ? sums[component] / counts[component] : 0;
+    });
+    averages.http_req_blocked = Math.max(0,
+        averages.http_req_blocked - averages.http_req_connecting - averages.http_req_tls_handshaking);
+    return averages;
+}
+
+// Responses that signal backpressure rather than a broken endpoint. Scripts using
+// helpers/throttling.js count them in THROTTLED_METRIC: 429s, and 503s with Retry-After from the
+// concurrency cap. Without that metric only 429s count, as a 503 may just as well be a fault.
+const THROTTLING_STATUSES = {
+    '429': '429 Too Many Requests',
+    '503': '503 Service Unavailable'
+};
+const THROTTLED_METRIC = 'throttled_requests';
+
+// Throttled requests per status label in one bucket of the throttling series (see the aggregator)
+function throttledCounts(bucket, counted) {
+    const counts = {};
+    Object.entries(THROTTLING_STATUSES).forEach(([status, label]) => {
+        counts[label] = (counted ? bucket[`counted ${status}`] : status === '429' && bucket['status 429']) || 0;
+    });
+    return counts;
+}
+
+function errorCategory(tags) {
+    if (tags.error_code) return `error_code ${tags.error_code}`;
+    return tags.status && tags.status !== '0' ? `HTTP ${tags.status}` : 'network error';
+}
+
+function subMetricKey(metric, tags) {
+    const filter = Object.keys(tags).sort().map(name => `${name}:${tags[name]}`).join(',');
+    return filter ? `${metric}{${filter}}` : metric;
+}
+
+function addThresholds(target, key, expressions) {
+    const existing = target[key] || (target[key] = []);
+    const sources = existing.map(e => typeof e === 'string' ? e : e.threshold);
+    (expressions || []).forEach(expression => {
+        const source = typeof expression === 'string' ? expression : expression.threshold;
+        if (!sources.includes(source)) {
+            existing.push(expression);
+            sources.push(source);
+        }
+    });
+}
+
+function metricFilter(patterns) {
+    if (!patterns || patterns.length === 0) return () => true;
+    const expressions = patterns.map(pattern =>
+        new RegExp('^' + pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*') + '$'));
+    return name => expressions.some(expression => expression.test(parseMetricKey(name).metric));
+}
+
+// Points that carry a filtered tag must match it; points without the tag are kept
+function pointMatchesTags(tags, filter) {
+    return Object.keys(filter).every(name => !tags || tags[name] === undefined || String(tags[name]) === filter[name]);
+}
+
+const TIME_PATTERN = /"time"\s*:\s*"([^"]+)"/;
+
+// First and last point time of one input, with a quick pre-pass over it
+async function scanTimeRange(input) {
+    let first = Infinity;
+    let last = -Infinity;
+    await readInput(input.path, input.format, line => {
+        let entry = line;
+        if (typeof line === 'string') {
+            const match = TIME_PATTERN.exec(line);
+            if (match) entry = {data: {time: match[1]}};
+            else {
+                // Lines the pattern misses (e.g. Metric lines) are parsed in full
+                try {
+                    entry = JSON.parse(line);
+                } catch (e) {
+                    return;
+                }
+            }
+        }
+        const time = Date.parse(entry && entry.data && entry.data.time);
+        if (Number.isNaN(time)) return;
+        if (time < first) first = time;
+        if (time > last) last = time;
+    });
+    return {first, last};
 }
 
-function processK6Output(filePath) {
-    const lines = fs.readFileSync(filePath, 'utf8').split('\n');
+// Resolves --skip-start/--skip-end into absolute bounds over the (clock-shifted) inputs
+function resolveTimeWindow(inputs, options) {
+    if (!options.skipStart && !options.skipEnd) return null;
+
+    const first = Math.min(...inputs.map(input => input.first + input.offsetMs));
+    const last = Math.max(...inputs.map(input => input.last + input.offsetMs));
+    return {
+        from: first + (options.skipStart || 0),
+        to: last - (options.skipEnd || 0)
+    };
+}
+
+// Aggregation state for a set of inputs. Lines are fed one at a time, so the same state serves a
+// single pass over finished files and live tailing of a growing one; finish() can run at any point.
+function createAggregator(inputs, options = {}) {
+    const timeWindow = resolveTimeWindow(inputs, options);
+    const includeMetric = metricFilter(options.metrics);
+    const bucketSeconds = options.bucketSeconds || DEFAULT_BUCKET_SECONDS;
+    const names = instanceNames(inputs.map(input => input.path));
+    const instances = inputs.map((input, i) => new InstanceStats(names[i], {bucketSeconds, offsetMs: input.offsetMs}));
+    let instance = null;
+    const tagFilter = options.tags || {};
     const metrics = {};
-    const samples = {};
+    const aggregates = {};
+    const subMetrics = {}; // parent metric -> {key: {tags, aggregate}}
+    const thresholds = {};
+    const checks = {};
+    const endpoints = {};
+    const groups = {};
     const timeseriesData = {
         timestamps: [],
         vus: [],
-        responseTime: [],
-        requests: [],
-        dataTransfer: [],
         statusCodes: {}
     };
-    const successfulResponses = []; // Track only successful response times
+    const responseTimeBuckets = {};
+    const requestSeries = new RequestSeries({bucketSeconds});
+    const statusClassSeries = new CounterSeries({bucketSeconds});
+    const outcomeSeries = new CounterSeries({bucketSeconds});
+    const errorCodeSeries = new CounterSeries({bucketSeconds});
+    const throttledSeries = new CounterSeries({bucketSeconds});
+    // Same timestamps go into both, so their buckets coarsen in step
+    const componentSums = new CounterSeries({bucketSeconds});
+    const componentCounts = new CounterSeries({bucketSeconds});
+    const customSeries = {};
+    const websocketStats = new WebSocketStats({bucketSeconds});
+    const grpcStats = new GrpcStats({bucketSeconds});
+    const durationByOutcome = {successful: new MetricAggregate(), failed: new MetricAggregate()};
+    // throttled: 429s in http_reqs; counted: points of THROTTLED_METRIC
+    const requestCounts = {total: 0, failed: 0, throttled: 0, counted: 0};
     let testStartTime = null;
     let testEndTime = null;
 
-    lines.forEach(line => {
-        if (!line.trim()) return;
+    const getEndpoint = tags => {
+        const key = endpointKey(tags);
+        if (!endpoints[key]) {
+            endpoints[key] = {
+                key,
+                name: tags.name || tags.url,
+                url: tags.url,
+                method: tags.method,
+                requests: 0,
+                errors: 0,
+                duration: new MetricAggregate(),
+                series: new TimeSeries({bucketSeconds}),
+                componentSums: {},
+                componentCounts: {}
+            };
+        }
+        return endpoints[key];
+    };
+
+    const getGroup = name => {
+        if (!groups[name]) {
+            groups[name] = {
+                name,
+                duration: new MetricAggregate(),
+                checks: {passes: 0, fails: 0},
+                requests: 0,
+                errors: 0
+            };
+        }
+        return groups[name];
+    };
+
+    const registerSubMetric = (metric, tags) => {
+        if (Object.keys(tags).length === 0) return;
+        const key = subMetricKey(metric, tags);
+        const forMetric = subMetrics[metric] || (subMetrics[metric] = {});
+        if (!forMetric[key]) {
+            forMetric[key] = {tags, aggregate: new MetricAggregate()};
+        }
+    };
+
+    const registerThresholds = (key, expressions) => {
+        const {metric, tags} = parseMetricKey(key);
+        registerSubMetric(metric, tags);
+        addThresholds(thresholds, key, expressions);
+    };
+
+    Object.entries(options.thresholds || {}).forEach(([key, expressions]) => {
+        registerThresholds(key, Array.isArray(expressions) ? expressions : [expressions]);
+    });
+
+    // NDJSON lines, or entries already parsed by an input adapter (CSV)
+    const processLine = line => {
+        if (typeof line === 'string' && !line.trim()) return;
 
         try {
-            const data = JSON.parse(line);
+            const data = typeof line === 'string' ? JSON.parse(line) : line;
+            if (instance.offsetMs && data.type === 'Point' && data.data.time) {
+                data.data.time = new Date(Date.parse(data.data.time) + instance.offsetMs).toISOString();
+            }
+
+            if (data.type === 'Metric' && !includeMetric(data.data.name)) return;
+            if (data.type === 'Point') {
+                if (!includeMetric(data.metric) || !pointMatchesTags(data.data.tags, tagFilter)) return;
+                if (timeWindow && data.data.time) {
+                    const time = Date.parse(data.data.time);
+                    if (time < timeWindow.from || time > timeWindow.to) return;
+                }
+            }
 
             if (data.type === 'Point' && data.data.time) {
                 const timestamp = new Date(data.data.time);
@@ -81,6 +1462,7 @@ function processK6Output(filePath) {
 
                 if (!testStartTime || timestamp < testStartTime) testStartTime = timestamp;
                 if (!testEndTime || timestamp > testEndTime) testEndTime = timestamp;
+                instance.add(data.metric, data.data.value, timeInSeconds);
 
                 // Track status codes
                 if (data.metric === 'http_reqs' && data.data.tags && data.data.tags.status) {
@@ -88,32 +1470,43 @@ function processK6Output(filePath) {
                     timeseriesData.statusCodes[status] = (timeseriesData.statusCodes[status] || 0) + 1;
                 }
 
-                // Collect timeseries data
-                if (data.metric === 'vus') {
-                    timeseriesData.timestamps.push(timeInSeconds);
-                    timeseriesData.vus.push(data.data.value);
-                } else if (data.metric === 'http_req_duration') {
-                    // Only track response time for successful requests (status 200)
-                    if (data.data.tags && data.data.tags.status === '200') {
-                        successfulResponses.push({
-                            timestamp: timeInSeconds,
-                            value: data.data.value
-                        });
-                    }
+                // Collect timeseries data (VUs are summed over the inputs afterwards)
+                if (data.metric === 'http_req_duration') {
+                    const failed = isFailedRequest(data.data.tags || {});
+                    requestSeries.addDuration(timeInSeconds, data.data.value);
+                    durationByOutcome[failed ? 'failed' : 'successful'].add(data.data.value);
+                    const bucket = Math.floor(data.data.value / 100) * 100; // 100ms buckets
+                    responseTimeBuckets[bucket] = (responseTimeBuckets[bucket] || 0) + 1;
                 } else if (data.metric === 'http_reqs') {
-                    timeseriesData.requests.push({
-                        timestamp: timeInSeconds,
-                        value: data.data.value,
-                        status: data.data.tags?.status
-                    });
-                } else if (data.metric === 'data_received') {
-                    // Only track data transfer for successful requests
-                    if (data.data.tags && data.data.tags.status === '200') {
-                        timeseriesData.dataTransfer.push({
-                            timestamp: timeInSeconds,
-                            value: data.data.value
-                        });
+                    const tags = data.data.tags || {};
+                    const failed = isFailedRequest(tags);
+                    requestSeries.addRequests(timeInSeconds, data.data.value, failed);
+                    requestCounts.total += data.data.value;
+                    statusClassSeries.add(timeInSeconds, statusClass(tags.status), data.data.value);
+                    outcomeSeries.add(timeInSeconds, failed ? 'failed' : 'successful', data.data.value);
+                    if (failed) {
+                        requestCounts.failed += data.data.value;
+                        errorCodeSeries.add(timeInSeconds, errorCategory(tags), data.data.value);
+                    }
+                    throttledSeries.add(timeInSeconds, 'requests', data.data.value);
+                    if (tags.status === '429') {
+                        requestCounts.throttled += data.data.value;
+                        throttledSeries.add(timeInSeconds, 'status 429', data.data.value);
                     }
+                } else if (data.metric === THROTTLED_METRIC) {
+                    requestCounts.counted += data.data.value;
+                    throttledSeries.add(timeInSeconds, `counted ${(data.data.tags || {}).status}`, data.data.value);
+                } else if (data.metric === 'data_received') {
+                    requestSeries.addData(timeInSeconds, 'dataReceived', data.data.value);
+                } else if (data.metric === 'data_sent') {
+                    requestSeries.addData(timeInSeconds, 'dataSent', data.data.value);
+                } else if (LATENCY_COMPONENTS[data.metric]) {
+                    componentSums.add(timeInSeconds, data.metric, data.data.value);
+                    componentCounts.add(timeInSeconds, data.metric, 1);
+                } else if (data.metric.startsWith('ws_')) {
+                    websocketStats.add(data.metric, data.data.value, timeInSeconds, data.data.tags);
+                } else if (data.metric.startsWith('grpc_')) {
+                    grpcStats.add(data.metric, data.data.value, timeInSeconds, data.data.tags);
                 }
             }
 
@@ -124,79 +1517,417 @@ function processK6Output(filePath) {
                     contains: data.data.contains,
                     values: [],
                     stats: {},
-                    unit: getMetricUnit(data.data.name)
+                    unit: getMetricUnit(data.data.name, data.data)
                 };
+                if (data.data.thresholds && data.data.thresholds.length > 0) {
+                    registerThresholds(data.data.name, data.data.thresholds);
+                }
+                (data.data.submetrics || []).forEach(sub => {
+                    registerSubMetric(sub.parent || data.data.name, sub.tags || parseMetricKey(sub.name).tags);
+                });
+            }
+
+            // Aggregate check results by check name
+            if (data.type === 'Point' && data.metric === 'checks' && data.data.tags && data.data.tags.check) {
+                const group = data.data.tags.group || '';
+                const key = `${group}::${data.data.tags.check}`;
+                const check = checks[key] || (checks[key] = {name: data.data.tags.check, group, passes: 0, fails: 0});
+                if (data.data.value) {
+                    check.passes++;
+                } else {
+                    check.fails++;
+                }
+                if (group) {
+                    getGroup(group).checks[data.data.value ? 'passes' : 'fails']++;
+                }
             }
 
-            // Process point data, only including successful responses in metrics
+            // Process point data
             if (data.type === 'Point') {
                 const metricName = data.metric;
-                if (metricName === 'http_req_duration' && (!data.data.tags || data.data.tags.status !== '200')) {
-                    return; // Skip non-200 responses for duration metrics
+                const time = data.data.time ? Date.parse(data.data.time) : undefined;
+                const tags = data.data.tags;
+                if (tags && tags.group) {
+                    if (metricName === 'group_duration') {
+                        getGroup(tags.group).duration.add(data.data.value, time);
+                    } else if (metricName === 'http_reqs') {
+                        const group = getGroup(tags.group);
+                        group.requests += data.data.value;
+                        if (isFailedRequest(tags)) group.errors += data.data.value;
+                    }
+                }
+                if (tags && (tags.name || tags.url)) {
+                    if (metricName === 'http_reqs') {
+                        const endpoint = getEndpoint(tags);
+                        endpoint.requests += data.data.value;
+                        if (isFailedRequest(tags)) endpoint.errors += data.data.value;
+                    } else if (metricName === 'http_req_duration') {
+                        const endpoint = getEndpoint(tags);
+                        endpoint.duration.add(data.data.value, time);
+                        if (time !== undefined) endpoint.series.add(time / 1000, data.data.value);
+                    } else if (LATENCY_COMPONENTS[metricName]) {
+                        const endpoint = getEndpoint(tags);
+                        endpoint.componentSums[metricName] = (endpoint.componentSums[metricName] || 0) + data.data.value;
+                        endpoint.componentCounts[metricName] = (endpoint.componentCounts[metricName] || 0) + 1;
+                    }
+                }
+
+                if (!aggregates[metricName]) {
+                    aggregates[metricName] = new MetricAggregate();
                 }
-                if (!samples[metricName]) {
-                    samples[metricName] = [];
+                if (time !== undefined && !isBuiltinMetric(metricName)) {
+                    const series = customSeries[metricName] || (customSeries[metricName] = new TimeSeries({bucketSeconds}));
+                    series.add(time / 1000, data.data.value);
                 }
-                samples[metricName].push(data.data.value);
+                aggregates[metricName].add(data.data.value, time);
+
+                Object.values(subMetrics[metricName] || {}).forEach(sub => {
+                    if (tagsMatch(sub.tags, data.data.tags)) {
+                        sub.aggregate.add(data.data.value, time);
+                    }
+                });
             }
         } catch (e) {
             console.error('Error processing line:', e);
         }
+    };
+
+    const finish = async () => {
+        // Each input reports only its own VUs; the run's VUs are their sum in every time bucket
+        const gaugeAggregates = {};
+        ADDITIVE_GAUGES.forEach(name => {
+            const merged = sumGauges(instances.map(i => i.gauges[name]));
+            if (name === 'vus') {
+                timeseriesData.timestamps = merged.timestamps;
+                timeseriesData.vus = merged.values;
+            }
+            if (inputs.length > 1 && aggregates[name]) {
+                const aggregate = gaugeAggregates[name] = new MetricAggregate();
+                merged.values.forEach((value, i) => aggregate.add(value, merged.timestamps[i] * 1000));
+            }
+        });
+        const finalAggregates = Object.assign({}, aggregates, gaugeAggregates);
+        const rawStarts = instances.filter(i => Number.isFinite(i.first)).map(i => i.first - i.offsetMs);
+        instances.forEach(i => {
+            i.startSkewMs = Number.isFinite(i.first) ? i.first - i.offsetMs - Math.min(...rawStarts) : 0;
+        });
+
+        timeseriesData.buckets = requestSeries.points();
+        timeseriesData.bucketSeconds = requestSeries.bucketSeconds;
+        timeseriesData.statusClasses = statusClassSeries.points();
+        timeseriesData.outcomes = outcomeSeries.points();
+        timeseriesData.errorCodes = errorCodeSeries.points();
+        const countedThrottling = requestCounts.counted > 0;
+        timeseriesData.throttling = throttledSeries.points().map(point => ({
+            timestamp: point.timestamp,
+            requests: point.counts.requests || 0,
+            counts: throttledCounts(point.counts, countedThrottling)
+        }));
+        const componentCountPoints = componentCounts.points();
+        timeseriesData.latencyComponents = componentSums.points().map((point, i) => ({
+            timestamp: point.timestamp,
+            averages: componentAverages(point.counts, componentCountPoints[i].counts)
+        }));
+
+        // Calculate statistics for each metric
+        Object.keys(finalAggregates).forEach(metricName => {
+            const aggregate = finalAggregates[metricName];
+
+            if (aggregate.count > 0) {
+                if (!metrics[metricName]) {
+                    metrics[metricName] = {values: [], stats: {}, unit: getMetricUnit(metricName)};
+                }
+                metrics[metricName].stats = aggregate.stats();
+            }
+        });
+
+        const testDuration = testEndTime - testStartTime;
+
+        const server = options.serverLog && testStartTime ? await readServerLog(options.serverLog, {
+            from: testStartTime.getTime(),
+            to: testEndTime.getTime(),
+            bucketSeconds
+        }) : null;
+
+        // Evaluate thresholds against the computed (sub-)metric aggregates
+        const thresholdResults = evaluateThresholds(normalizeThresholds(thresholds), definition => {
+            const type = metrics[definition.metric] && metrics[definition.metric].type;
+            if (Object.keys(definition.tags).length === 0) {
+                return finalAggregates[definition.metric] ? {aggregate: finalAggregates[definition.metric], type} : null;
+            }
+            const sub = (subMetrics[definition.metric] || {})[subMetricKey(definition.metric, definition.tags)];
+            return sub ? {aggregate: sub.aggregate, type} : null;
+        }, testDuration);
+
+        // Prefer k6's own http_req_failed rate; fall back to the expected_response/status tags
+        const failedMetric = finalAggregates.http_req_failed;
+        const failedRequests = failedMetric && failedMetric.count > 0 ? failedMetric.nonZero : requestCounts.failed;
+        const requests = {
+            total: requestCounts.total,
+            failed: failedRequests,
+            successful: requestCounts.total - failedRequests,
+            failureRate: requestCounts.total > 0 ? failedRequests / requestCounts.total : 0,
+            throttled: countedThrottling ? requestCounts.counted : requestCounts.throttled,
+            throttledSource: countedThrottling ? THROTTLED_METRIC : 'status',
+            source: failedMetric && failedMetric.count > 0 ? 'http_req_failed' : 'tags'
+        };
+
+        // Response time distribution
+        timeseriesData.responseTimeDistribution = {
+            buckets: Object.keys(responseTimeBuckets).map(Number),
+            counts: Object.values(responseTimeBuckets)
+        };
+
+        const durationSketch = finalAggregates.http_req_duration && finalAggregates.http_req_duration.sketch;
+        const percentiles = Array.from({length: 100}, (_, i) => i + 1);
+        timeseriesData.responseTimePercentiles = {
+            percentiles,
+            values: durationSketch ? percentiles.map(p => durationSketch.quantile(p / 100)) : []
+        };
+
+        const data = {
+            input: {formats: [...new Set(inputs.map(input => input.format))], timeseries: true},
+            metrics,
+            aggregates: finalAggregates,
+            testStart: testStartTime ? testStartTime.getTime() : null,
+            testDuration,
+            timeseriesData,
+            requests,
+            latencyByOutcome: {
+                successful: durationByOutcome.successful.stats(),
+                failed: durationByOutcome.failed.stats()
+            },
+            thresholds: thresholdResults,
+            checks: Object.values(checks),
+            server,
+            instances: instances.map(i => i.toJSON()),
+            customMetrics: Object.keys(customSeries)
+                .filter(name => metrics[name] && metrics[name].stats.count > 0)
+                .sort()
+                .map(name => ({
+                    name,
+                    type: metrics[name].type,
+                    contains: metrics[name].contains,
+                    unit: metrics[name].unit,
+                    stats: metrics[name].stats,
+                    timeseries: {
+                        bucketSeconds: customSeries[name].bucketSeconds,
+                        points: customSeries[name].points()
+                    }
+                })),
+            protocols: {
+                websocket: websocketStats.seen ? websocketStats.toJSON() : null,
+                grpc: grpcStats.seen ? grpcStats.toJSON() : null
+            },
+            groups: Object.values(groups)
+                .sort((a, b) => a.name.localeCompare(b.name))
+                .map(group => {
+                    const checked = group.checks.passes + group.checks.fails;
+                    return {
+                        name: group.name,
+                        executions: group.duration.count,
+                        stats: group.duration.stats(),
+                        checks: group.checks,
+                        checkPassRate: checked > 0 ? group.checks.passes / checked : null,
+                        requests: group.requests,
+                        errors: group.errors,
+                        errorRate: group.requests > 0 ? group.errors / group.requests : null
+                    };
+                }),
+            endpoints: Object.values(endpoints)
+                .sort((a, b) => a.key.localeCompare(b.key))
+                .map(endpoint => ({
+                    key: endpoint.key,
+                    name: endpoint.name,
+                    url: endpoint.url,
+                    method: endpoint.method,
+                    requests: endpoint.requests,
+                    errors: endpoint.errors,
+                    errorRate: endpoint.requests > 0 ? endpoint.errors / endpoint.requests : 0,
+                    stats: endpoint.duration.stats(),
+                    components: Object.keys(endpoint.componentCounts).length > 0 ?
+                        componentAverages(endpoint.componentSums, endpoint.componentCounts) :
+                        null,
+                    timeseries: endpoint.series.points()
+                })),
+            accuracy: {
+                relativeError: DEFAULT_RELATIVE_ACCURACY,
+                bucketSeconds: requestSeries.bucketSeconds
+            }
+        };
+        // Planned stages start with the run, including any --skip-start it dropped
+        data.stages = testStartTime ? resolveStages(options.stages, {
+            series: requestSeries,
+            buckets: timeseriesData.buckets,
+            bucketSeconds: timeseriesData.bucketSeconds,
+            timestamps: timeseriesData.timestamps,
+            vus: timeseriesData.vus,
+            runStart: (timeWindow ? timeWindow.from - (options.skipStart || 0) : testStartTime.getTime()) / 1000,
+            start: testStartTime.getTime() / 1000,
+            end: testEndTime.getTime() / 1000
+        }) : null;
+        data.insights = detectInsights(data);
+        return data;
+    };
+
+    return {
+        // Points from here on belong to the i-th input
+        useInput: i => {
+            instance = instances[i];
+        },
+        processLine,
+        finish
+    };
+}
+
+async function processK6Output(filePath, options = {}) {
+    const filePaths = Array.isArray(filePath) ? filePath : [filePath];
+    const inputs = filePaths.map(path => {
+        const format = detectInputFormat(path);
+        if (!format) {
+            throw new InputError(`Unrecognized input format: ${path} (expected k6 JSON, CSV or summary export)`);
+        }
+        return {path, format};
     });
+    if (inputs.some(input => input.format === 'summary')) {
+        if (inputs.length > 1) {
+            throw new InputError('An end-of-test summary export cannot be combined with other inputs');
+        }
+        return processSummaryExport(filePaths[0], options);
+    }
 
-    // Use successful responses for response time calculations
-    timeseriesData.responseTime = successfulResponses;
-
-    // Calculate statistics for each metric
-    Object.keys(samples).forEach(metricName => {
-        const values = samples[metricName].sort((a, b) => a - b);
-        const len = values.length;
-
-        if (len > 0) {
-            metrics[metricName].stats = {
-                min: values[0],
-                max: values[len - 1],
-                avg: values.reduce((a, b) => a + b, 0) / len,
-                med: len % 2 === 0 ?
-                    (values[len / 2 - 1] + values[len / 2]) / 2 :
-                    values[Math.floor(len / 2)],
-                p90: values[Math.floor(len * 0.9)],
-                p95: values[Math.floor(len * 0.95)],
-                p99: values[Math.floor(len * 0.99)],
-                count: len
-            };
+    // --align-clocks shifts every input so it starts together with the earliest one, for load
+    // generators started at the same moment whose clocks disagree
+    if (options.alignClocks || options.skipStart || options.skipEnd) {
+        for (const input of inputs) {
+            Object.assign(input, await scanTimeRange(input));
+            if (!Number.isFinite(input.first)) {
+                console.warn(`No timestamps found in ${input.path} to align or trim it by`);
+            }
         }
+    }
+    const earliest = Math.min(...inputs.map(input => input.first).filter(Number.isFinite));
+    inputs.forEach(input => {
+        input.offsetMs = options.alignClocks && Number.isFinite(input.first) ? earliest - input.first : 0;
     });
 
-    // Process timeseries data for response time distribution (successful responses only)
-    const responseTimeBuckets = {};
-    successfulResponses.forEach(point => {
-        const bucket = Math.floor(point.value / 100) * 100; // 100ms buckets
-        responseTimeBuckets[bucket] = (responseTimeBuckets[bucket] || 0) + 1;
+    const aggregator = createAggregator(inputs, options);
+    for (let i = 0; i < inputs.length; i++) {
+        aggregator.useInput(i);
+        await readInput(inputs[i].path, inputs[i].format, aggregator.processLine);
+    }
+    return aggregator.finish();
+}
+
+// End-of-test summaries carry k6's final aggregates and threshold verdicts but no points, so
+// everything over time (and per endpoint, group or status code) is left empty
+async function processSummaryExport(filePath, options = {}) {
+    let summary;
+    try {
+        summary = readSummaryExport(filePath);
+    } catch (e) {
+        throw new InputError(`Cannot read summary export ${filePath}: ${e.message}`);
+    }
+    const ignored = [
+        options.skipStart || options.skipEnd ? '--skip-start/--skip-end' : null,
+        Object.keys(options.tags || {}).length > 0 ? '--tag' : null,
+        options.serverLog ? '--server-log' : null,
+        options.thresholds ? '--thresholds (the summary has k6\'s own verdicts)' : null
+    ].filter(Boolean);
+    if (ignored.length > 0) {
+        console.warn(`Ignoring ${ignored.join(', ')}: ${filePath} is an end-of-test summary without time series`);
+    }
+
+    const includeMetric = metricFilter(options.metrics);
+    const metrics = {};
+    Object.keys(summary.metrics).filter(includeMetric).forEach(name => {
+        const metric = summary.metrics[name];
+        metrics[name] = {
+            type: metric.type,
+            contains: metric.contains,
+            values: [],
+            stats: metric.stats,
+            unit: getMetricUnit(name, metric)
+        };
     });
 
-    timeseriesData.responseTimeDistribution = {
-        buckets: Object.keys(responseTimeBuckets).map(Number),
-        counts: Object.values(responseTimeBuckets)
-    };
+    const total = metrics.http_reqs ? metrics.http_reqs.stats.sum : 0;
+    const failedMetric = metrics.http_req_failed;
+    const failed = failedMetric ? failedMetric.stats.sum : 0;
+    const empty = new MetricAggregate().stats();
 
     return {
+        input: {formats: ['summary'], timeseries: false},
         metrics,
-        testDuration: testEndTime - testStartTime,
-        timeseriesData
+        aggregates: {},
+        testStart: null,
+        testDuration: summary.durationMs,
+        timeseriesData: {
+            timestamps: [],
+            vus: [],
+            statusCodes: {},
+            buckets: [],
+            bucketSeconds: null,
+            statusClasses: [],
+            outcomes: [],
+            errorCodes: [],
+            throttling: [],
+            latencyComponents: [],
+            responseTimeDistribution: {buckets: [], counts: []},
+            responseTimePercentiles: {percentiles: [], values: []}
+        },
+        requests: {
+            total,
+            failed,
+            successful: total - failed,
+            failureRate: total > 0 ? failed / total : 0,
+            throttled: 0,
+            source: failedMetric ? 'http_req_failed' : 'tags'
+        },
+        latencyByOutcome: {successful: empty, failed: empty},
+        thresholds: summary.thresholds.filter(t => includeMetric(t.key)),
+        checks: summary.checks,
+        server: null,
+        instances: [],
+        stages: null,
+        insights: [],
+        customMetrics: Object.keys(metrics)
+            .filter(name => !isBuiltinMetric(name))
+            .sort()
+            .map(name => ({
+                name,
+                type: metrics[name].type,
+                contains: metrics[name].contains,
+                unit: metrics[name].unit,
+                stats: metrics[name].stats,
+                timeseries: {bucketSeconds: null, points: []}
+            })),
+        protocols: {websocket: null, grpc: null},
+        groups: [],
+        endpoints: [],
+        accuracy: {relativeError: 0, bucketSeconds: null}
     };
 }
 
-function generateHTML(data) {
-    const {metrics, testDuration, timeseriesData} = data;
+function generateHTML(data, options = {}) {
+    const {metrics, testDuration, timeseriesData, accuracy, thresholds, checks, endpoints, requests, latencyByOutcome} = data;
     const timestamp = new Date().toISOString();
+    const title = options.title || 'Load Test Report';
+    const maxPoints = options.maxPoints || DEFAULT_MAX_POINTS;
+    const vuSeries = downsampleLTTB(timeseriesData.timestamps, timeseriesData.vus, maxPoints);
+    const buckets = timeseriesData.buckets;
+    const bucketTrace = (value, extra) => Object.assign(downsampleLTTB(
+        buckets.map(p => p.timestamp),
+        buckets.map(value),
+        maxPoints
+    ), {type: 'scatter', mode: 'lines'}, extra);
 
     return `
 <!DOCTYPE html>
 <html>
 <head>
-    <title>Load Test Report - ${timestamp}</title>
-    <script src="https://cdn.plot.ly/plotly-latest.min.js"></script>
+    <title>${escapeHtml(title)} - ${timestamp}</title>
+    ${plotlyScriptTag({inline: options.offline})}
     <style>
         body {
             font-family: Arial, sans-serif;
@@ -251,6 +1982,48 @@ function generateHTML(data) {
             background: #e9ecef;
             border-radius: 4px;
         }
+        .verdict {
+            margin: 20px 0;
+            padding: 15px;
+            border-radius: 4px;
+            color: white;
+        }
+        .verdict.passed {
+            background: #2ecc71;
+        }
+        .verdict.failed {
+            background: #e74c3c;
+        }
+        .verdict-title {
+            font-size: 1.5em;
+            font-weight: bold;
+        }
+        tr.regression td {
+            background: #fdecea;
+            color: #c0392b;
+        }
+        .status-pass {
+            color: #27ae60;
+            font-weight: bold;
+        }
+        .status-fail {
+            color: #c0392b;
+            font-weight: bold;
+        }
+        .accuracy-note {
+            font-size: 0.85em;
+            color: #666;
+        }
+        .insights li {
+            margin: 6px 0;
+        }
+        .insight-swatch {
+            display: inline-block;
+            width: 10px;
+            height: 10px;
+            border-radius: 2px;
+            margin-right: 4px;
+        }
         .http-metrics {
             margin-top: 20px;
             padding: 15px;
@@ -296,23 +2069,42 @@ function generateHTML(data) {
 </head>
 <body>
     <div class="container">
-        <h1>Load Test Report</h1>
-        
+        <h1>${escapeHtml(title)}</h1>
+        ${renderVerdict(thresholds, checks)}
+        ${options.baseline ? renderComparison(data, options.baseline, options.comparison, maxPoints) : ''}
+
         <div class="summary">
             <h2>Test Summary</h2>
             <p>Test Start: ${new Date(timestamp).toLocaleString()}</p>
             <p>Test Duration: ${formatDuration(testDuration)}</p>
-            ${metrics.http_reqs ?
-        `<p>Total Requests: ${metrics.http_reqs.stats.count.toLocaleString()}</p>
-                 <p>Successful Requests (200): ${(data.timeseriesData.statusCodes['200'] || 0).toLocaleString()}</p>
-                 <p>Failed Requests: ${(metrics.http_reqs.stats.count - (data.timeseriesData.statusCodes['200'] || 0)).toLocaleString()}</p>
-                 <p>Success Rate: ${((data.timeseriesData.statusCodes['200'] || 0) / metrics.http_reqs.stats.count * 100).toFixed(2)}%</p>` :
+            ${requests.total > 0 ?
+        `<p>Total Requests: ${requests.total.toLocaleString()}</p>
+                 <p>Successful Requests: ${requests.successful.toLocaleString()}</p>
+                 <p>Failed Requests: ${requests.failed.toLocaleString()}</p>
+                 ${requests.throttled > 0 ? `<p>Throttled Requests: ${requests.throttled.toLocaleString()}
+                    <span class="accuracy-note">(${requests.throttledSource === THROTTLED_METRIC ? `429s and 503s with Retry-After, from the ${THROTTLED_METRIC} metric` : '429s; count 503s from the concurrency cap with helpers/throttling.js'})</span></p>` : ''}
+                 <p>Error Rate: ${(requests.failureRate * 100).toFixed(2)}%
+                    <span class="accuracy-note">(from ${requests.source === 'http_req_failed' ? 'the http_req_failed metric' : 'the expected_response and status tags'})</span></p>` :
         ''}
             ${metrics.http_req_duration ?
-        `<p>Average Response Time (Success Only): ${formatDuration(metrics.http_req_duration.stats.avg)}</p>` :
+        `<p>Average Response Time: ${formatDuration(metrics.http_req_duration.stats.avg)}
+                 (successful: ${latencyByOutcome.successful.count > 0 ? formatDuration(latencyByOutcome.successful.avg) : '-'},
+                 failed: ${latencyByOutcome.failed.count > 0 ? formatDuration(latencyByOutcome.failed.avg) : '-'})</p>` :
         ''}
+            ${data.input.timeseries ? `<p class="accuracy-note">
+                Percentiles (Med, p90, p95, p99) are estimated with quantile sketches and are accurate to within
+                &plusmn;${(accuracy.relativeError * 100).toFixed(0)}% of the true value. Min, Max, Avg and counts are exact.
+                Charts over time aggregate into ${formatDuration(timeseriesData.bucketSeconds * 1000)} buckets.
+            </p>` : ''}
+            ${renderInputNotice(data)}
         </div>
 
+        ${data.input.timeseries ? renderInsights(data.insights, data.testStart) : ''}
+
+        ${renderStages(data.stages, data.testStart, timeseriesData.bucketSeconds)}
+
+        ${renderThresholdsAndChecks(thresholds, checks, metrics)}
+
         <!-- Response Time Metrics -->
         <div class="metric-section">
             <h2>Response Time Metrics</h2>
@@ -331,12 +2123,22 @@ function generateHTML(data) {
                 </thead>
                 <tbody>
                     ${Object.entries(metrics)
-        .filter(([name, data]) => data.unit === 'time')
+        .filter(([name, data]) => data.unit === 'time' && data.stats.count !== 0 && isBuiltinMetric(name))
         .map(([name, data]) => `
                             <tr>
                                 <td>${name}</td>
                                 ${['min', 'max', 'avg', 'med', 'p90', 'p95', 'p99']
             .map(stat => `<td>${formatDuration(data.stats[stat])}</td>`)
+            .join('')}
+                            </tr>
+                        `).join('')}
+                    ${Object.entries(latencyByOutcome)
+        .filter(([outcome, stats]) => stats.count > 0)
+        .map(([outcome, stats]) => `
+                            <tr>
+                                <td>http_req_duration (${outcome} requests)</td>
+                                ${['min', 'max', 'avg', 'med', 'p90', 'p95', 'p99']
+            .map(stat => `<td>${formatDuration(stats[stat])}</td>`)
             .join('')}
                             </tr>
                         `).join('')}
@@ -344,6 +2146,21 @@ function generateHTML(data) {
             </table>
         </div>
 
+        ${renderInstances(data.instances, maxPoints)}
+
+        ${renderGroups(data.groups)}
+
+        ${renderEndpoints(endpoints)}
+
+        ${renderCustomMetrics(data.customMetrics, testDuration)}
+
+        ${renderLatencyComponents(timeseriesData, endpoints, data.insights)}
+
+        ${renderServerCorrelation(data, maxPoints)}
+
+        ${renderWebSockets(data.protocols.websocket)}
+        ${renderGrpc(data.protocols.grpc)}
+
         <!-- Data Transfer Metrics -->
         <div class="metric-section">
             <h2>Data Transfer Metrics</h2>
@@ -359,25 +2176,25 @@ function generateHTML(data) {
                 </thead>
                 <tbody>
                     ${Object.entries(metrics)
-        .filter(([name, data]) => data.unit === 'data')
+        .filter(([name, data]) => data.unit === 'data' && data.stats.count !== 0 && isBuiltinMetric(name))
         .map(([name, data]) => `
                             <tr>
                                 <td>${name}</td>
                                 <td>${formatBytes(data.stats.min)}</td>
                                 <td>${formatBytes(data.stats.max)}</td>
                                 <td>${formatBytes(data.stats.avg)}</td>
-                                <td>${formatBytes(data.stats.avg * metrics.http_reqs.stats.count)}</td>
+                                <td>${formatBytes(data.stats.sum)}</td>
                             </tr>
                         `).join('')}
                 </tbody>
             </table>
         </div>
 
-        <!-- Charts Section -->
+        ${data.input.timeseries ? `<!-- Charts Section -->
         <h2>Performance Charts</h2>
         <div class="charts-grid">
             <div class="chart-container">
-                <h3>Virtual Users & Response Time Over Time</h3>
+                <h3>Virtual Users & Response Time Percentiles Over Time</h3>
                 <div id="vuChart" class="chart"></div>
             </div>
             <div class="chart-container">
@@ -389,40 +2206,40 @@ function generateHTML(data) {
                 <div id="percentileChart" class="chart"></div>
             </div>
             <div class="chart-container">
-                <h3>Requests Per Second</h3>
+                <h3>Requests Per Second & Error Rate</h3>
                 <div id="rpsChart" class="chart"></div>
             </div>
+            <div class="chart-container">
+                <h3>Data Transfer Rate</h3>
+                <div id="dataTransferChart" class="chart"></div>
+            </div>
             <div class="chart-container">
                 <h3>HTTP Status Code Distribution</h3>
                 <div id="statusCodesChart" class="chart"></div>
             </div>
         </div>
 
+        ${renderErrorCharts(timeseriesData)}
+        ${renderThrottlingCharts(timeseriesData)}
+
         <script>
             // VU and Response Time Chart
             const vuTrace = {
-                x: ${JSON.stringify(timeseriesData.timestamps)},
-                y: ${JSON.stringify(timeseriesData.vus)},
+                x: ${JSON.stringify(vuSeries.x)},
+                y: ${JSON.stringify(vuSeries.y)},
                 name: 'Virtual Users',
                 type: 'scatter',
                 yaxis: 'y2',
                 line: {color: '#1f77b4'}
             };
 
-            const responseTimeTrace = {
-                x: ${JSON.stringify(timeseriesData.responseTime.map(p => p.timestamp))},
-                y: ${JSON.stringify(timeseriesData.responseTime.map(p => p.value))},
-                name: 'Response Time (ms)',
-                type: 'scatter',
-                mode: 'markers',
-                marker: {
-                    size: 4,
-                    color: '#ff7f0e',
-                    opacity: 0.5
-                }
-            };
+            const percentileTraces = ${JSON.stringify([
+        bucketTrace(p => p.p50, {name: 'p50 (ms)', line: {color: '#2ca02c'}}),
+        bucketTrace(p => p.p95, {name: 'p95 (ms)', line: {color: '#ff7f0e'}}),
+        bucketTrace(p => p.p99, {name: 'p99 (ms)', line: {color: '#d62728'}})
+    ])};
 
-            const vuLayout = {
+            const vuLayout = Object.assign({
                 title: 'Virtual Users & Response Time',
                 xaxis: {title: 'Time'},
                 yaxis: {title: 'Response Time (ms)'},
@@ -432,9 +2249,9 @@ function generateHTML(data) {
                     side: 'right'
                 },
                 showlegend: true
-            };
+            }, ${JSON.stringify(insightMarks(data.insights, 'vuChart'))});
 
-            Plotly.newPlot('vuChart', [responseTimeTrace, vuTrace], vuLayout);
+            Plotly.newPlot('vuChart', [...percentileTraces, vuTrace], vuLayout);
 
             // Response Time Distribution
             const distData = {
@@ -457,13 +2274,8 @@ function generateHTML(data) {
             Plotly.newPlot('responseTimeDistribution', [distData], distLayout);
 
             // Percentile Chart
-            const percentiles = Array.from({length: 100}, (_, i) => i + 1);
-            const sortedResponseTimes = ${JSON.stringify(timeseriesData.responseTime.map(p => p.value).sort((a, b) => a - b))};
-            
-            const percentileValues = percentiles.map(p => {
-                const index = Math.floor((p / 100) * sortedResponseTimes.length);
-                return sortedResponseTimes[index];
-            });
+            const percentiles = ${JSON.stringify(timeseriesData.responseTimePercentiles.percentiles)};
+            const percentileValues = ${JSON.stringify(timeseriesData.responseTimePercentiles.values)};
 
             const percentileTrace = {
                 x: percentiles,
@@ -517,48 +2329,35 @@ function generateHTML(data) {
 
             Plotly.newPlot('percentileChart', [percentileTrace], percentileLayout);
 
-            // Requests Per Second
-            const rpsData = [];
-            let currentSecond = Math.floor(${JSON.stringify(timeseriesData.timestamps)}[0]);
-            let requestCount = 0;
-
-            ${JSON.stringify(timeseriesData.timestamps)}.forEach((timestamp, index) => {
-                if (Math.floor(timestamp) === currentSecond) {
-                    requestCount++;
-                } else {
-                    rpsData.push({
-                        timestamp: currentSecond,
-                        rps: requestCount
-                    });
-                    currentSecond = Math.floor(timestamp);
-                    requestCount = 1;
-                }
-            });
-
-            const rpsTrace = {
-                x: rpsData.map(d => d.timestamp),
-                y: rpsData.map(d => d.rps),
-                type: 'scatter',
-                mode: 'lines',
-                name: 'Requests per Second',
-                line: {
-                    shape: 'spline',
-                    color: '#9467bd'
-                },
-                fill: 'tozeroy',
-                fillcolor: 'rgba(148, 103, 189, 0.1)'
-            };
-
-            const rpsLayout = {
+            // Requests per second and error rate per bucket
+            Plotly.newPlot('rpsChart', ${JSON.stringify([
+        bucketTrace(p => p.rps, {
+            name: 'Requests per Second',
+            line: {color: '#9467bd'},
+            fill: 'tozeroy',
+            fillcolor: 'rgba(148, 103, 189, 0.1)'
+        }),
+        bucketTrace(p => p.errorRate * 100, {name: 'Error Rate (%)', yaxis: 'y2', line: {color: '#e74c3c'}})
+    ])}, Object.assign({
                 title: 'Requests per Second Over Time',
                 xaxis: {title: 'Time'},
                 yaxis: {
                     title: 'Requests/Second',
                     rangemode: 'tozero'
-                }
-            };
+                },
+                yaxis2: {title: 'Error Rate (%)', overlaying: 'y', side: 'right', rangemode: 'tozero'},
+                showlegend: true
+            }, ${JSON.stringify(insightMarks(data.insights, 'rpsChart'))}));
 
-            Plotly.newPlot('rpsChart', [rpsTrace], rpsLayout);
+            // Bytes per second from summed data_received/data_sent points
+            Plotly.newPlot('dataTransferChart', ${JSON.stringify([
+        bucketTrace(p => p.dataReceived / timeseriesData.bucketSeconds, {name: 'Received (bytes/s)', line: {color: '#1f77b4'}}),
+        bucketTrace(p => p.dataSent / timeseriesData.bucketSeconds, {name: 'Sent (bytes/s)', line: {color: '#8c564b'}})
+    ])}, {
+                xaxis: {title: 'Time'},
+                yaxis: {title: 'Bytes/Second', rangemode: 'tozero'},
+                showlegend: true
+            });
 
             // Add responsiveness to charts
             window.addEventListener('resize', function() {
@@ -573,13 +2372,14 @@ function generateHTML(data) {
             // Status Codes Chart
             const statusCodes = ${JSON.stringify(Object.keys(data.timeseriesData.statusCodes))};
             const statusCounts = ${JSON.stringify(Object.values(data.timeseriesData.statusCodes))};
+            const statusClassColors = ${JSON.stringify(STATUS_CLASS_COLORS)};
             
             const statusCodesTrace = {
                 x: statusCodes,
                 y: statusCounts,
                 type: 'bar',
                 marker: {
-                    color: statusCodes.map(code => code === '200' ? '#2ecc71' : '#e74c3c')
+                    color: statusCodes.map(code => statusClassColors[code === '0' ? 'network error' : code[0] + 'xx'] || '#7f7f7f')
                 },
                 text: statusCounts.map(String),
                 textposition: 'auto',
@@ -623,23 +2423,234 @@ function generateHTML(data) {
                     });
                 });
             });
-        </script>
+
+            // Shade the stages on every chart over time (those with a 'Time' x axis)
+            const stageShapes = ${JSON.stringify(stageShapes(data.stages))};
+            if (stageShapes.length > 0) {
+                document.querySelectorAll('.js-plotly-plot').forEach(chart => {
+                    const axisTitle = chart.layout.xaxis && chart.layout.xaxis.title;
+                    if ((axisTitle && axisTitle.text || axisTitle) !== 'Time') return;
+                    Plotly.relayout(chart, {shapes: (chart.layout.shapes || []).concat(stageShapes)});
+                });
+            }
+        </script>` : ''}
     </div>
 </body>
 </html>`;
 }
 
+// --live: aggregates the k6 JSON output while k6 is still appending to it and pushes a snapshot to
+// the dashboard every --refresh. Returns on SIGINT/SIGTERM; main then writes the final report
+// from a full pass over the file, so it is the same report a run without --live produces.
+async function followLive(args, thresholds) {
+    const input = args.inputs[0];
+    if (fs.existsSync(input) && detectInputFormat(input) !== 'json') {
+        throw new UsageError(`--live follows k6 JSON output (k6 run --out json=...), ${input} is not`);
+    }
+
+    const aggregator = createAggregator([{path: input, format: 'json', offsetMs: 0}], {
+        bucketSeconds: args.bucketSeconds,
+        metrics: args.metrics,
+        tags: args.tags,
+        thresholds
+    });
+    aggregator.useInput(0);
+    const server = await startLiveServer({
+        port: args.port,
+        title: args.title,
+        refreshMs: args.refreshMs,
+        offline: args.offline
+    });
+    const tail = tailLines(input, aggregator.processLine, {
+        onTruncate: () => console.warn(`${input} was truncated; the live view keeps the earlier data, the final report will not`),
+        onError: error => console.warn(`Cannot follow ${input}: ${error.message}; retrying`)
+    });
+    console.log(`Live dashboard: ${server.url} (following ${input}, press Ctrl+C once k6 has finished)`);
+
+    const publish = async done => server.publish(buildLiveSnapshot(await aggregator.finish(), {done}));
+    const timer = setInterval(() => {
+        publish(false).catch(error => console.error('Live update failed:', error));
+    }, args.refreshMs);
+
+    await new Promise(resolve => {
+        process.once('SIGINT', resolve);
+        process.once('SIGTERM', resolve);
+    });
+    clearInterval(timer);
+    tail.stop();
+    await publish(true);
+    await server.close();
+}
+
+// Start differences beyond this between merged inputs are more likely clock drift than staggering
+const UNALIGNED_SKEW_WARNING_MS = 60000;
+
 // Main execution
-try {
-    console.log('Processing k6 output...');
-    const data = processK6Output('k6-output.json');
+async function main(argv) {
+    const args = parseCliArgs(argv);
+    if (args.help) {
+        console.log(HELP);
+        return EXIT_CODES.OK;
+    }
+
+    // Read up front so the live dashboard evaluates them too
+    let thresholds = null;
+    if (args.thresholds) {
+        try {
+            thresholds = readThresholds(args.thresholds);
+        } catch (e) {
+            throw new InputError(`Cannot read thresholds from ${args.thresholds}: ${e.message}`);
+        }
+    }
+
+    if (args.live) {
+        if (args.inputs.length !== 1) {
+            throw new UsageError('--live follows exactly one k6 output file');
+        }
+        await followLive(args, thresholds);
+    }
+
+    [
+        ...args.inputs,
+        ...(args.baseline ? [args.baseline] : []),
+        ...(args.serverLog ? [args.serverLog] : []),
+        ...(args.stages ? [args.stages] : [])
+    ].forEach(input => {
+        try {
+            fs.accessSync(input, fs.constants.R_OK);
+        } catch (e) {
+            throw new InputError(`Cannot read input file: ${input}`);
+        }
+    });
+
+    let stagePlan = null;
+    if (args.stages) {
+        try {
+            stagePlan = readStagePlan(args.stages, {scenario: args.scenario});
+        } catch (e) {
+            throw new InputError(`Cannot read stages from ${args.stages}: ${e.message}`);
+        }
+    }
+
+    const processOptions = {
+        alignClocks: args.alignClocks,
+        bucketSeconds: args.bucketSeconds,
+        skipStart: args.skipStart,
+        skipEnd: args.skipEnd,
+        metrics: args.metrics,
+        tags: args.tags,
+        stages: stagePlan,
+        thresholds
+    };
+
+    console.log(`Processing k6 output (${args.inputs.join(', ')})...`);
+    const data = await processK6Output(args.inputs, Object.assign({serverLog: args.serverLog}, processOptions));
+    if (data.input.timeseries && data.testStart === null) {
+        throw new InputError(`No k6 data points found in ${args.inputs.join(', ')}`);
+    }
+    const skew = Math.max(0, ...data.instances.map(i => i.startSkewMs));
+    if (!args.alignClocks && skew > UNALIGNED_SKEW_WARNING_MS) {
+        console.warn(`Inputs start up to ${formatDuration(skew)} apart; pass --align-clocks if the load generators started together`);
+    }
+
+    let baseline;
+    let comparison;
+    if (args.baseline) {
+        console.log(`Processing baseline ${args.baseline}...`);
+        baseline = await processK6Output(args.baseline, processOptions);
+        if (baseline.input.timeseries && baseline.testStart === null) {
+            throw new InputError(`No k6 data points found in ${args.baseline}`);
+        }
+        comparison = compareRuns(data, baseline, {
+            tolerance: args.tolerance,
+            errorRateTolerance: args.errorRateTolerance
+        });
+    }
 
     console.log('Generating HTML report...');
-    const html = generateHTML(data);
+    const html = generateHTML(data, {
+        title: args.title,
+        offline: args.offline,
+        maxPoints: args.maxPoints,
+        baseline,
+        comparison
+    });
+
+    fs.writeFileSync(args.output, html);
+    console.log(`Report generated successfully: ${args.output}`);
 
-    fs.writeFileSync('load-test-report.html', html);
-    console.log('Report generated successfully: load-test-report.html');
-} catch (error) {
-    console.error('Error generating report:', error);
-    process.exit(1);
+    const summary = buildSummary(data, {
+        title: args.title,
+        scenario: args.scenario,
+        commit: currentCommit(),
+        inputs: args.inputs,
+        baseline: args.baseline,
+        comparison
+    });
+
+    if (args.json) {
+        fs.writeFileSync(args.json, JSON.stringify(summary, null, 2) + '\n');
+        console.log(`JSON summary written: ${args.json}`);
+    }
+
+    if (args.history) {
+        const run = recordRun(args.history, {summary, html});
+        const tolerance = args.tolerance !== undefined ? args.tolerance : DEFAULT_TOLERANCE;
+        const runs = detectDrift(loadRuns(args.history), {window: DEFAULT_DRIFT_WINDOW, tolerance});
+        const dashboard = path.join(args.history, 'index.html');
+        fs.writeFileSync(dashboard, generateDashboard(runs, {
+            offline: args.offline,
+            window: DEFAULT_DRIFT_WINDOW,
+            tolerance
+        }));
+        console.log(`Run ${run.id} added to history (${runs.length} runs): ${dashboard}`);
+
+        const latest = runs.find(r => r.id === run.id);
+        Object.keys(latest ? latest.drift : {})
+            .filter(metric => latest.drift[metric].worse)
+            .forEach(metric => {
+                console.warn(`Drift: ${TREND_METRICS[metric].label} is outside the range of recent ${args.scenario} runs`);
+            });
+    }
+
+    if (args.junit) {
+        fs.writeFileSync(args.junit, buildJUnit(data, {title: args.title}));
+        console.log(`JUnit report written: ${args.junit}`);
+    }
+
+    const failedThresholds = data.thresholds.filter(t => !t.ok);
+    if (failedThresholds.length > 0) {
+        console.error(`Thresholds failed: ${failedThresholds.map(t => `${t.key} ${t.source}`).join(', ')}`);
+    }
+    if (comparison && !comparison.passed) {
+        console.error(`Regressions beyond tolerance: ${comparison.regressions.join(', ')}`);
+    }
+    if (failedThresholds.length > 0) return EXIT_CODES.THRESHOLDS;
+    if (comparison && !comparison.passed) return EXIT_CODES.REGRESSION;
+    return EXIT_CODES.OK;
 }
+
+if (require.main === module) {
+    main(process.argv.slice(2))
+        .then(code => {
+            process.exitCode = code;
+        })
+        .catch(error => {
+            if (error instanceof UsageError) {
+                console.error(`Error: ${error.message}\n`);
+                console.error(HELP);
+                process.exitCode = EXIT_CODES.USAGE;
+            } else if (error instanceof InputError) {
+                console.error(`Error: ${error.message}`);
+                process.exitCode = EXIT_CODES.INPUT;
+            } else {
+                console.error('Error generating report:', error);
+                process.exitCode = EXIT_CODES.ERROR;
+            }
+        });
+}
+
+module.exports = {
+    processK6Output,
+    generateHTML
+};
@@ -1,15 +1,53 @@
 @echo off
-echo Starting load test...
+setlocal
+
+REM run-test.bat [test-script] [report-generator options...]
+REM   run-test.bat
+REM   run-test.bat test.js --title "Nightly" --skip-start 30s --skip-end 30s
+REM   set "SCENARIO=stress" && run-test.bat
+REM   set "HISTORY_DIR=load-history" && run-test.bat
+set "SCRIPT=%~1"
+if "%SCRIPT%"=="" set "SCRIPT=test.js"
+if not defined K6_OUTPUT set "K6_OUTPUT=k6-output.json"
+if not defined K6_OPTIONS set "K6_OPTIONS=k6-options.json"
+if not defined REPORT set "REPORT=load-test-report.html"
+if not defined SCENARIO set "SCENARIO=load"
+if not defined SERVER_LOG set "SERVER_LOG=server-log.ndjson"
+
+set "REPORT_ARGS="
+shift
+:collect_args
+if "%~1"=="" goto run
+set REPORT_ARGS=%REPORT_ARGS% %1
+shift
+goto collect_args
+
+:run
+echo Starting load test (%SCRIPT%, scenario: %SCENARIO%)...
 
 REM Run k6 test and output JSON
-k6 run --out json=k6-output.json test.js
+k6 run --out json=%K6_OUTPUT% %SCRIPT%
 
 echo Generating HTML report...
-node report-generator.js
+REM Overlay the mock server's request log when present
+if exist "%SERVER_LOG%" set REPORT_ARGS=--server-log "%SERVER_LOG%" %REPORT_ARGS%
+REM Keep every run and a trend dashboard (HISTORY_DIR\index.html) when set
+if defined HISTORY_DIR set REPORT_ARGS=--history "%HISTORY_DIR%" --scenario "%SCENARIO%" %REPORT_ARGS%
+REM Follow the script's stages and evaluate its thresholds, from its resolved options
+k6 inspect %SCRIPT% > %K6_OPTIONS% 2> nul
+if not errorlevel 1 set REPORT_ARGS=--stages "%K6_OPTIONS%" --thresholds "%K6_OPTIONS%" %REPORT_ARGS%
+node report-generator.js %K6_OUTPUT% --output %REPORT% --title "Load Test Report (%SCENARIO%)" %REPORT_ARGS%
+set STATUS=%ERRORLEVEL%
+REM 4: regressions against --baseline, 5: failed thresholds; the report is there to look at
+if %STATUS% neq 0 if %STATUS% neq 4 if %STATUS% neq 5 (
+    echo Report generation failed ^(exit code %STATUS%^)
+    exit /b %STATUS%
+)
 
 echo Test complete! Opening report...
-start "" "load-test-report.html"
+start "" "%REPORT%"
 
 echo.
 echo Press any key to exit...
 pause > nul
+exit /b %STATUS%
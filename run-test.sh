@@ -1,16 +1,71 @@
 #!/bin/bash
 
-# run-test.sh
-echo "Starting load test..."
-k6 run --out json=k6-output.json test.js
+# run-test.sh [test-script] [report-generator options...]
+#   ./run-test.sh
+#   ./run-test.sh test.js --title "Nightly" --skip-start 30s --skip-end 30s
+#   ./run-test.sh test.js --baseline baseline.json --tolerance 5
+#   SCENARIO=stress ./run-test.sh
+#   HISTORY_DIR=load-history ./run-test.sh
+#   LIVE=1 ./run-test.sh
+SCRIPT="${1:-test.js}"
+shift
+K6_OUTPUT="${K6_OUTPUT:-k6-output.json}"
+# The script's resolved options (k6 inspect), so the report can follow its stages
+K6_OPTIONS="${K6_OPTIONS:-k6-options.json}"
+REPORT="${REPORT:-load-test-report.html}"
+export SCENARIO="${SCENARIO:-load}"
+# The mock server's request log; overlaid on the report when present
+SERVER_LOG="${SERVER_LOG:-server-log.ndjson}"
+SERVER_LOG_ARGS=()
+if [ -f "$SERVER_LOG" ]; then
+    SERVER_LOG_ARGS=(--server-log "$SERVER_LOG")
+fi
+# Keep every run and a trend dashboard (HISTORY_DIR/index.html) when set
+HISTORY_ARGS=()
+if [ -n "$HISTORY_DIR" ]; then
+    HISTORY_ARGS=(--history "$HISTORY_DIR" --scenario "$SCENARIO")
+fi
+
+STAGES_ARGS=()
+if k6 inspect "$SCRIPT" > "$K6_OPTIONS" 2>/dev/null; then
+    STAGES_ARGS=(--stages "$K6_OPTIONS" --thresholds "$K6_OPTIONS")
+else
+    rm -f "$K6_OPTIONS"
+fi
+
+REPORT_ARGS=(--output "$REPORT" --title "Load Test Report ($SCENARIO)" "${SERVER_LOG_ARGS[@]}" "${HISTORY_ARGS[@]}" "${STAGES_ARGS[@]}" "$@")
+
+# Follow the run on a live dashboard when set; the report is written once k6 has finished
+if [ -n "$LIVE" ]; then
+    rm -f "$K6_OUTPUT"
+    node report-generator.js "$K6_OUTPUT" --live "${REPORT_ARGS[@]}" &
+    LIVE_PID=$!
+fi
+
+echo "Starting load test ($SCRIPT, scenario: $SCENARIO)..."
+k6 run --out json="$K6_OUTPUT" "$SCRIPT"
 
 echo "Generating HTML report..."
-node report-generator.js
+if [ -n "$LIVE" ]; then
+    # Background jobs ignore SIGINT in scripts, so end live mode with SIGTERM
+    kill -TERM "$LIVE_PID"
+    wait "$LIVE_PID"
+else
+    node report-generator.js "$K6_OUTPUT" "${REPORT_ARGS[@]}"
+fi
+STATUS=$?
+# 4: regressions against --baseline, 5: failed thresholds; the report is there to look at
+if [ $STATUS -ne 0 ] && [ $STATUS -ne 4 ] && [ $STATUS -ne 5 ]; then
+    echo "Report generation failed (exit code $STATUS)"
+    exit $STATUS
+fi
 
 echo "Test complete! Opening report..."
 # For Linux
-xdg-open load-test-report.html 2>/dev/null || \
+xdg-open "$REPORT" 2>/dev/null || \
 # For macOS
-open load-test-report.html 2>/dev/null || \
+open "$REPORT" 2>/dev/null || \
 # For Windows
-start load-test-report.html 2>/dev/null
+start "$REPORT" 2>/dev/null
+
+exit $STATUS
@@ -1,40 +1,172 @@
+const fs = require('fs')
 const jsonServer = require('json-server')
+const {createFaultInjector, loadFaultConfig, DEFAULT_RULES} = require('./mock/faults')
+const {createAuthenticator, loadAuthConfig, DEFAULT_AUTH_CONFIG} = require('./mock/auth')
+const {createRateLimiter, loadLimitsConfig, DEFAULT_LIMITS_CONFIG} = require('./mock/rate-limit')
+const {createDataStore, loadStoreConfig, DEFAULT_STORE_CONFIG} = require('./mock/data-store')
+const {attachWebSockets} = require('./mock/websocket')
+const {createEventStream} = require('./mock/sse')
+const {createGrpcServer} = require('./mock/grpc')
+const {createServerMetrics} = require('./mock/metrics')
+
+// Data is an in-memory (or temp file) copy of db.json plus generated records, so write traffic
+// never touches the committed file. Settings come from STORE_CONFIG (default store.json)
+const storeConfig = process.env.STORE_CONFIG || 'store.json'
+const store = createDataStore(fs.existsSync(storeConfig) ? loadStoreConfig(storeConfig) : DEFAULT_STORE_CONFIG)
+
 const server = jsonServer.create()
-const router = jsonServer.router('db.json')
+const router = jsonServer.router(store.routerSource())
+store.attach(router)
 const middlewares = jsonServer.defaults()
 
-// Authentication middleware
-server.use((req, res, next) => {
-    const authHeader = req.headers.authorization
-    const validToken = 'Bearer your-secret-token-123'  // Change this to your desired token
+// Request counts, processing times and event-loop lag on GET /metrics, plus an NDJSON log
+// for report-generator.js --server-log. SERVER_LOG= (empty) turns the log off
+const serverLog = process.env.SERVER_LOG !== undefined ? process.env.SERVER_LOG || null : 'server-log.ndjson'
+const serverMetrics = createServerMetrics({logPath: serverLog})
+server.use(serverMetrics.middleware)
+server.get('/metrics', serverMetrics.handler)
 
-    if (req.path === '/health') {
-        return next()
+// Fault rules come from FAULTS_CONFIG (default faults.json), see mock/faults.js
+const faultConfig = process.env.FAULTS_CONFIG || 'faults.json'
+const loadRules = () => fs.existsSync(faultConfig) ? loadFaultConfig(faultConfig) : DEFAULT_RULES
+const faults = createFaultInjector(loadRules())
+
+// Tokens, API keys, JWT settings and OAuth2 clients come from AUTH_CONFIG (default auth.json)
+const authConfig = process.env.AUTH_CONFIG || 'auth.json'
+const auth = createAuthenticator(fs.existsSync(authConfig) ? loadAuthConfig(authConfig) : DEFAULT_AUTH_CONFIG)
+
+// Rate limiters and the concurrency cap come from LIMITS_CONFIG (default limits.json)
+const limitsConfig = process.env.LIMITS_CONFIG || 'limits.json'
+const loadLimits = () => fs.existsSync(limitsConfig) ? loadLimitsConfig(limitsConfig) : DEFAULT_LIMITS_CONFIG
+const limits = createRateLimiter(loadLimits())
+
+// Admin endpoints for changing fault rules mid-test (no auth, no faults)
+server.get('/__admin/faults', (req, res) => {
+    res.json({rules: faults.getRules()})
+})
+
+server.put('/__admin/faults', jsonServer.bodyParser, (req, res) => {
+    try {
+        faults.setRules(Array.isArray(req.body) ? req.body : req.body.rules)
+        res.json({rules: faults.getRules()})
+    } catch (e) {
+        res.status(400).json({error: e.message})
     }
+})
 
-    if (!authHeader || authHeader !== validToken) {
-        return res.status(401).json({error: 'Unauthorized'})
+server.post('/__admin/faults', jsonServer.bodyParser, (req, res) => {
+    try {
+        faults.addRule(req.body)
+        res.status(201).json({rules: faults.getRules()})
+    } catch (e) {
+        res.status(400).json({error: e.message})
     }
+})
 
-    // Add random delay between 100-500ms to simulate network latency
-    setTimeout(next, Math.random() * 400 + 100)
+server.delete('/__admin/faults', (req, res) => {
+    try {
+        faults.reset(loadRules())
+        res.json({rules: faults.getRules()})
+    } catch (e) {
+        res.status(500).json({error: e.message})
+    }
 })
 
+server.get('/__admin/limits', (req, res) => {
+    res.json(Object.assign({}, limits.getConfig(), limits.stats()))
+})
+
+server.put('/__admin/limits', jsonServer.bodyParser, (req, res) => {
+    try {
+        limits.setConfig(req.body)
+        res.json(limits.getConfig())
+    } catch (e) {
+        res.status(400).json({error: e.message})
+    }
+})
+
+server.delete('/__admin/limits', (req, res) => {
+    try {
+        limits.setConfig(loadLimits())
+        res.json(limits.getConfig())
+    } catch (e) {
+        res.status(500).json({error: e.message})
+    }
+})
+
+// Snapshot, reset and reseed the data between runs
+server.get('/__admin/data', (req, res) => {
+    res.json(store.describe())
+})
+
+server.post('/__admin/data/snapshots', jsonServer.bodyParser, (req, res) => {
+    try {
+        res.status(201).json(store.snapshot(req.body.name))
+    } catch (e) {
+        res.status(400).json({error: e.message})
+    }
+})
+
+server.delete('/__admin/data/snapshots/:name', (req, res) => {
+    if (!store.deleteSnapshot(req.params.name)) {
+        return res.status(404).json({error: `No snapshot named "${req.params.name}"`})
+    }
+    res.status(204).end()
+})
+
+server.post('/__admin/data/reset', jsonServer.bodyParser, (req, res) => {
+    try {
+        res.json({counts: store.reset(req.body.snapshot)})
+    } catch (e) {
+        res.status(404).json({error: e.message})
+    }
+})
+
+server.post('/__admin/data/reseed', jsonServer.bodyParser, (req, res) => {
+    try {
+        res.json({counts: store.reseed(req.body)})
+    } catch (e) {
+        res.status(400).json({error: e.message})
+    }
+})
+
+// Cap concurrent requests; excess requests queue or get 503
+server.use(limits.concurrencyLimit)
+
+// OAuth2 token endpoint (client_credentials and refresh_token grants)
+server.post('/oauth/token', jsonServer.bodyParser, auth.tokenEndpoint)
+
+// Authentication middleware: static tokens, API keys and JWTs, see mock/auth.js
+server.use((req, res, next) => {
+    if (req.path === '/health') {
+        return next()
+    }
+    auth.middleware(req, res, next)
+})
+
+// Per-token and per-route rate limits (429 with Retry-After)
+server.use(limits.rateLimit)
+
+// Inject latency, errors, resets and slow or truncated bodies per the fault rules
+server.use(faults.middleware)
+
 // Add custom routes for testing different scenarios
 server.get('/health', (req, res) => {
     res.json({status: 'OK'})
 })
 
 server.get('/slow-endpoint', (req, res) => {
-    setTimeout(() => {
-        res.json({data: 'This is a slow response'})
-    }, 2000)
+    res.json({data: 'This is a slow response'})
 })
 
+// Always fails; fault rules still apply on top (latency, other statuses, resets)
 server.get('/error-endpoint', (req, res) => {
     res.status(500).json({error: 'Internal Server Error'})
 })
 
+// Server-sent events; SSE_RATE sets the default events per second, see mock/sse.js
+server.get('/events', createEventStream({rate: Number(process.env.SSE_RATE) || 1}))
+
 // Use default middlewares (cors, static, etc)
 server.use(middlewares)
 
@@ -42,7 +174,27 @@ server.use(middlewares)
 server.use(router)
 
 const port = 3000
-server.listen(port, () => {
+const grpcPort = Number(process.env.GRPC_PORT || 50051)
+
+// gRPC ProductService over the same products as the REST API, see proto/shop.proto
+const grpcServer = createGrpcServer({auth, products: () => router.db.get('products').value()})
+grpcServer.listen(grpcPort)
+    .then(bound => console.log(`gRPC ProductService is running on localhost:${bound} (proto/shop.proto)`))
+    .catch(e => console.error(`gRPC server failed to start on port ${grpcPort}: ${e.message}`))
+
+const httpServer = server.listen(port, () => {
     console.log(`Mock server is running on http://localhost:${port}`)
-    console.log(`Use Bearer Token: your-secret-token-123`)
+    console.log(`Use Bearer Token: your-secret-token-123, or get a JWT from POST /oauth/token`)
+    console.log(`WebSockets: ws://localhost:${port}/ws/echo and /ws/broadcast, SSE: /events?rate=10&count=100`)
+    const data = store.describe()
+    console.log(`Metrics: http://localhost:${port}/metrics${serverLog ? `, request log: ${serverLog}` : ''}`)
+    console.log(`Data: ${data.store} copy of ${data.source}${data.file ? ` at ${data.file}` : ''}, ` +
+        Object.entries(data.counts).map(([collection, count]) => `${count} ${collection}`).join(', ') +
+        ' (admin: /__admin/data)')
+    console.log(`Auth config: ${fs.existsSync(authConfig) ? authConfig : 'built-in defaults'}`)
+    console.log(`Rate limits: ${fs.existsSync(limitsConfig) ? limitsConfig : 'none'} (admin: /__admin/limits)`)
+    console.log(`Fault rules: ${fs.existsSync(faultConfig) ? faultConfig : 'built-in defaults'} (admin: /__admin/faults)`)
 })
+
+// WebSocket echo and broadcast endpoints share the HTTP port, see mock/websocket.js
+attachWebSockets(httpServer, {auth})
@@ -0,0 +1,67 @@
+import http from 'k6/http';
+import {check, sleep} from 'k6';
+import {Counter, Trend} from 'k6/metrics';
+import {createAuth} from './helpers/auth.js';
+import {BASE_URL, mergeThresholds, url} from './helpers/config.js';
+import {scenarioOptions} from './helpers/scenarios.js';
+
+// Server-sent event streams from the mock server's /events endpoint.
+// k6 has no streaming SSE client, so each iteration reads a bounded stream (SSE_COUNT events at
+// SSE_RATE per second) and checks the events once the response completes.
+
+const RATE = Number(__ENV.SSE_RATE || 10);
+const COUNT = Number(__ENV.SSE_COUNT || 50);
+const SIZE = Number(__ENV.SSE_SIZE || 0);
+
+const eventsReceived = new Counter('sse_events');
+const eventsMissing = new Counter('sse_events_missing');
+const streamDuration = new Trend('sse_stream_duration', true);
+const firstEvent = new Trend('sse_first_event', true);
+
+const auth = createAuth(BASE_URL);
+
+const baseOptions = scenarioOptions();
+export const options = Object.assign({}, baseOptions, {
+    thresholds: mergeThresholds(baseOptions.thresholds, {
+        sse_events_missing: ['count==0'],
+    }),
+});
+
+function parseEvents(body) {
+    return body.split('\n\n')
+        .filter(block => block.trim() !== '')
+        .map(block => {
+            const event = {};
+            block.split('\n').forEach(line => {
+                const separator = line.indexOf(': ');
+                if (separator > 0) event[line.slice(0, separator)] = line.slice(separator + 2);
+            });
+            return event;
+        });
+}
+
+export default function () {
+    const started = Date.now();
+    const res = http.get(url(`/events?rate=${RATE}&count=${COUNT}&size=${SIZE}`), {
+        headers: Object.assign({'Accept': 'text/event-stream'}, auth.headers()),
+        tags: {name: 'GET /events'},
+        timeout: `${Math.ceil(COUNT / RATE) + 30}s`,
+    });
+    auth.handleResponse(res);
+
+    const events = res.status === 200 ? parseEvents(res.body) : [];
+    check(res, {
+        'sse status 200': r => r.status === 200,
+        'sse content type': r => (r.headers['Content-Type'] || '').indexOf('text/event-stream') === 0,
+        'sse all events received': () => events.length === COUNT,
+    });
+
+    eventsReceived.add(events.length);
+    eventsMissing.add(Math.max(0, COUNT - events.length));
+    streamDuration.add(Date.now() - started);
+    if (events.length > 0) {
+        firstEvent.add(JSON.parse(events[0].data).sentAt - started);
+    }
+
+    sleep(1);
+}
@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {processK6Output} = require('../report-generator');
+
+// Three seconds of http_reqs points from startMs; `spaced` writes `"time": "..."` like a pretty-printer would
+function k6Output(startMs, spaced) {
+    return [0, 1, 2].map(i => {
+        const json = JSON.stringify({
+            type: 'Point',
+            metric: 'http_reqs',
+            data: {time: new Date(startMs + i * 1000).toISOString(), value: 1, tags: {}}
+        });
+        return spaced ? json.replace(/":/g, '": ') : json;
+    }).join('\n') + '\n';
+}
+
+test('--align-clocks aligns inputs whatever their JSON spacing', async t => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'align-'));
+    t.after(() => fs.rmSync(dir, {recursive: true, force: true}));
+    const compact = path.join(dir, 'gen1.json');
+    const spaced = path.join(dir, 'gen2.json');
+    fs.writeFileSync(compact, k6Output(Date.UTC(2026, 0, 1), false));
+    fs.writeFileSync(spaced, k6Output(Date.UTC(2026, 0, 1, 1), true));
+
+    const data = await processK6Output([compact, spaced], {alignClocks: true});
+    assert.strictEqual(data.testDuration, 2000);
+    assert.deepStrictEqual(data.instances.map(instance => instance.offsetMs), [0, -3600000]);
+});
@@ -0,0 +1,138 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const jsonServer = require('json-server')
+const {createAuthenticator, signJwt, verifyJwt, DEFAULT_AUTH_CONFIG} = require('../mock/auth')
+
+const JWT = DEFAULT_AUTH_CONFIG.jwt
+const CONFIG = Object.assign({}, DEFAULT_AUTH_CONFIG, {
+    clients: Object.assign({}, DEFAULT_AUTH_CONFIG.clients, {
+        'other-client': {secret: 'other-client-secret', roles: ['read']}
+    })
+})
+
+function claims(overrides = {}) {
+    const now = Math.floor(Date.now() / 1000)
+    return Object.assign({iss: JWT.issuer, sub: 'tester', roles: ['read'], iat: now, exp: now + 60}, overrides)
+}
+
+// Serves the token endpoint and, behind the auth middleware, a route that always answers 200
+async function startServer(t) {
+    const auth = createAuthenticator(CONFIG)
+    const server = jsonServer.create()
+    server.post('/oauth/token', jsonServer.bodyParser, auth.tokenEndpoint)
+    server.use(auth.middleware)
+    server.use((req, res) => res.json({ok: true}))
+    const listener = await new Promise(resolve => {
+        const l = server.listen(0, '127.0.0.1', () => resolve(l))
+    })
+    t.after(() => listener.close())
+    return `http://127.0.0.1:${listener.address().port}`
+}
+
+function requestToken(baseUrl, body) {
+    return fetch(`${baseUrl}/oauth/token`, {
+        method: 'POST',
+        headers: {'Content-Type': 'application/json'},
+        body: JSON.stringify(body)
+    })
+}
+
+test('verifyJwt accepts a token signed with the secret', () => {
+    const payload = verifyJwt(signJwt(claims(), JWT.secret), JWT)
+    assert.strictEqual(payload.sub, 'tester')
+    assert.deepStrictEqual(payload.roles, ['read'])
+})
+
+test('verifyJwt rejects a bad signature, a wrong issuer and an expired token', () => {
+    const rejects = (token, message) => assert.throws(() => verifyJwt(token, JWT), error => {
+        assert.strictEqual(error.status, 401)
+        assert.strictEqual(error.code, 'invalid_token')
+        assert.strictEqual(error.message, message)
+        return true
+    })
+
+    rejects(signJwt(claims(), 'some-other-secret'), 'Invalid token signature')
+    // Same header and signature, payload swapped for one with more roles
+    const [header, , signature] = signJwt(claims(), JWT.secret).split('.')
+    const forged = Buffer.from(JSON.stringify(claims({roles: ['read', 'write']}))).toString('base64url')
+    rejects(`${header}.${forged}.${signature}`, 'Invalid token signature')
+    rejects(signJwt(claims({iss: 'someone-else'}), JWT.secret), 'Unexpected token issuer')
+    rejects(signJwt(claims({exp: Math.floor(Date.now() / 1000) - 1}), JWT.secret), 'Token expired')
+})
+
+test('a read-only JWT may read but gets 403 on a write method', async t => {
+    const baseUrl = await startServer(t)
+    const headers = {Authorization: `Bearer ${signJwt(claims(), JWT.secret)}`}
+
+    assert.strictEqual((await fetch(`${baseUrl}/products`, {headers})).status, 200)
+    const res = await fetch(`${baseUrl}/products`, {method: 'POST', headers})
+    assert.strictEqual(res.status, 403)
+    assert.strictEqual((await res.json()).code, 'insufficient_scope')
+})
+
+test('an expired JWT gets 401 with a WWW-Authenticate challenge', async t => {
+    const baseUrl = await startServer(t)
+    const token = signJwt(claims({exp: Math.floor(Date.now() / 1000) - 1}), JWT.secret)
+
+    const res = await fetch(`${baseUrl}/products`, {headers: {Authorization: `Bearer ${token}`}})
+    assert.strictEqual(res.status, 401)
+    assert.match(res.headers.get('www-authenticate'), /error="invalid_token", error_description="Token expired"/)
+})
+
+test('the token endpoint issues JWTs carrying the client roles', async t => {
+    const baseUrl = await startServer(t)
+    const res = await requestToken(baseUrl, {grant_type: 'client_credentials', client_id: 'k6-client', client_secret: 'k6-client-secret'})
+    assert.strictEqual(res.status, 200)
+    assert.strictEqual(res.headers.get('cache-control'), 'no-store')
+    const body = await res.json()
+    assert.strictEqual(body.expires_in, JWT.ttlSeconds)
+    assert.deepStrictEqual(verifyJwt(body.access_token, JWT).roles, ['read', 'write'])
+
+    const wrongSecret = await requestToken(baseUrl, {grant_type: 'client_credentials', client_id: 'k6-client', client_secret: 'nope'})
+    assert.strictEqual(wrongSecret.status, 401)
+})
+
+test('a refresh token only works once, and only for the client it was issued to', async t => {
+    const baseUrl = await startServer(t)
+    const issued = await (await requestToken(baseUrl, {
+        grant_type: 'password',
+        client_id: 'k6-client',
+        client_secret: 'k6-client-secret',
+        username: 'john@example.com',
+        password: 'john-password'
+    })).json()
+
+    const otherClient = await requestToken(baseUrl, {
+        grant_type: 'refresh_token',
+        client_id: 'other-client',
+        client_secret: 'other-client-secret',
+        refresh_token: issued.refresh_token
+    })
+    assert.strictEqual(otherClient.status, 400)
+    assert.strictEqual((await otherClient.json()).error, 'invalid_grant')
+
+    // The rejected attempt used the token up
+    const sameClient = await requestToken(baseUrl, {
+        grant_type: 'refresh_token',
+        client_id: 'k6-client',
+        client_secret: 'k6-client-secret',
+        refresh_token: issued.refresh_token
+    })
+    assert.strictEqual(sameClient.status, 400)
+})
+
+test('a refresh keeps the subject and rotates the refresh token', async t => {
+    const baseUrl = await startServer(t)
+    const client = {client_id: 'k6-client', client_secret: 'k6-client-secret'}
+    const issued = await (await requestToken(baseUrl, Object.assign({
+        grant_type: 'password',
+        username: 'jane@example.com',
+        password: 'jane-password'
+    }, client))).json()
+
+    const refreshed = await requestToken(baseUrl, Object.assign({grant_type: 'refresh_token', refresh_token: issued.refresh_token}, client))
+    assert.strictEqual(refreshed.status, 200)
+    const body = await refreshed.json()
+    assert.strictEqual(verifyJwt(body.access_token, JWT).sub, 'jane@example.com')
+    assert.notStrictEqual(body.refresh_token, issued.refresh_token)
+})
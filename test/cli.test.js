@@ -0,0 +1,12 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {parseCliArgs, UsageError} = require('../lib/cli');
+
+test('--max-points takes an integer of at least 3', () => {
+    assert.strictEqual(parseCliArgs([]).maxPoints, undefined);
+    assert.strictEqual(parseCliArgs(['--max-points', '3']).maxPoints, 3);
+    assert.strictEqual(parseCliArgs(['--max-points', '2000']).maxPoints, 2000);
+    ['0', '2', '-5', '2.5', 'abc', ''].forEach(value => {
+        assert.throws(() => parseCliArgs(['--max-points', value]), UsageError, `--max-points ${value}`);
+    });
+});
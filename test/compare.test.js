@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {compareRuns} = require('../lib/compare');
+
+function run({duration = 100, sending = 0.05, endpointP95 = 100} = {}) {
+    const timeStats = value => ({avg: value, med: value, p90: value, p95: value, p99: value});
+    return {
+        testDuration: 60000,
+        requests: {total: 600, failureRate: 0},
+        metrics: {
+            http_reqs: {unit: 'count', stats: {sum: 600}},
+            http_req_duration: {unit: 'time', stats: timeStats(duration)},
+            http_req_sending: {unit: 'time', stats: timeStats(sending)}
+        },
+        endpoints: [{key: 'GET /products', errorRate: 0, stats: {count: 600, med: endpointP95, p95: endpointP95, p99: endpointP95}}]
+    };
+}
+
+test('sub-request timings are informational only', () => {
+    const comparison = compareRuns(run({sending: 0.5}), run(), {tolerance: 10});
+    assert.strictEqual(comparison.passed, true);
+    assert.strictEqual(comparison.metrics.find(m => m.name === 'http_req_sending').informational, true);
+});
+
+test('latency changes below the absolute floor are not regressions', () => {
+    assert.strictEqual(compareRuns(run({duration: 0.6}), run({duration: 0.2}), {tolerance: 10}).passed, true);
+    assert.strictEqual(compareRuns(run({duration: 0.5}), run({duration: 0}), {tolerance: 10}).passed, true);
+    assert.strictEqual(compareRuns(run({endpointP95: 0.9}), run({endpointP95: 0.1}), {tolerance: 10}).passed, true);
+});
+
+test('request latency beyond tolerance and floor is a regression', () => {
+    const comparison = compareRuns(run({duration: 150, endpointP95: 150}), run(), {tolerance: 10});
+    assert.strictEqual(comparison.passed, false);
+    assert.ok(comparison.regressions.includes('http_req_duration p95'));
+    assert.ok(comparison.regressions.includes('GET /products p95'));
+    assert.strictEqual(compareRuns(run({duration: 5}), run({duration: 0}), {tolerance: 10}).passed, false);
+});
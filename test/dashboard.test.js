@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {generateDashboard} = require('../lib/dashboard');
+const {scriptJson} = require('../lib/html');
+
+const SCENARIO = '</script><script>alert(1)</script>';
+
+function run(overrides = {}) {
+    return Object.assign({
+        id: '2024-11-11T19-40-00Z',
+        start: '2024-11-11T19:40:00.000Z',
+        scenario: SCENARIO,
+        commit: 'abc1234',
+        report: 'runs/2024-11-11T19-40-00Z/report.html',
+        thresholdsPassed: true,
+        values: {p95: 120, errorRate: 0.01, throughput: 50},
+        drift: {}
+    }, overrides);
+}
+
+test('scriptJson escapes "<" and still parses to the same value', () => {
+    const value = {name: SCENARIO, text: ['<!--', 'a < b']};
+    const json = scriptJson(value);
+    assert.strictEqual(json.includes('<'), false);
+    assert.deepStrictEqual(JSON.parse(json), value);
+});
+
+test('a scenario name cannot close the dashboard chart script', () => {
+    const html = generateDashboard([run()]);
+    const scripts = html.match(/<script>[\s\S]*?<\/script>/g);
+    assert.strictEqual(scripts.length, 1);
+    assert.ok(scripts[0].includes('Plotly.newPlot'));
+    assert.ok(scripts[0].includes('"name":"\\u003c/script>\\u003cscript>alert(1)\\u003c/script>"'));
+    assert.strictEqual(html.includes(SCENARIO), false);
+});
@@ -0,0 +1,25 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const {createDataStore} = require('../mock/data-store')
+
+// Stands in for json-server's router: just the lowdb calls the store makes
+function fakeRouter(initial) {
+    let state = initial
+    return {db: {getState: () => state, setState: next => { state = next }, write: () => {}}}
+}
+
+test('reseed keeps the configured counts of collections it is not given', t => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'data-store-'))
+    t.after(() => fs.rmSync(dir, {recursive: true, force: true}))
+    const source = path.join(dir, 'db.json')
+    fs.writeFileSync(source, JSON.stringify({users: [], products: [], orders: []}))
+
+    const store = createDataStore({source, seed: {users: 5, products: 3}})
+    store.attach(fakeRouter(store.routerSource()))
+
+    assert.deepStrictEqual(store.reseed({seed: {orders: 4}}), {users: 5, products: 3, orders: 4})
+    assert.deepStrictEqual(store.describe().seed, {users: 5, products: 3, orders: 4})
+})
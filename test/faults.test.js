@@ -0,0 +1,17 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const {createFaultInjector} = require('../mock/faults')
+
+test('fault rules with unusable error statuses are rejected when they load', () => {
+    [[], ['503'], [503.5], [99], [600], 503].forEach(statuses => {
+        assert.throws(() => createFaultInjector([{route: '*', error: {rate: 100, statuses}}]), /error\.statuses/)
+    })
+    const faults = createFaultInjector([])
+    assert.throws(() => faults.addRule({route: '/orders', error: {statuses: []}}), /error\.statuses/)
+    assert.deepStrictEqual(faults.getRules(), [])
+})
+
+test('fault rules with valid error statuses load', () => {
+    const faults = createFaultInjector([{route: '*', error: {rate: 5, statuses: [500, 503]}}, {route: '/health', error: null}])
+    assert.strictEqual(faults.getRules().length, 2)
+})
@@ -0,0 +1,58 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const grpc = require('@grpc/grpc-js')
+const protoLoader = require('@grpc/proto-loader')
+const {PROTO_PATH, createGrpcServer} = require('../mock/grpc')
+const {createAuthenticator, DEFAULT_AUTH_CONFIG} = require('../mock/auth')
+
+// Calls without credentials must fail fast with UNAUTHENTICATED, not hang until the deadline
+
+const DEADLINE_MS = 5000
+
+function loadClient(port) {
+    const definition = protoLoader.loadSync(PROTO_PATH, {keepCase: false, longs: Number, defaults: true})
+    const {ProductService} = grpc.loadPackageDefinition(definition).shop
+    return new ProductService(`127.0.0.1:${port}`, grpc.credentials.createInsecure())
+}
+
+function statusOf(call) {
+    return new Promise(resolve => {
+        call.on('error', error => resolve(error.code))
+        call.on('data', () => {})
+        call.on('end', () => resolve(grpc.status.OK))
+    })
+}
+
+test('gRPC calls without credentials are rejected with UNAUTHENTICATED', async t => {
+    const server = createGrpcServer({
+        auth: createAuthenticator(DEFAULT_AUTH_CONFIG),
+        products: () => [{id: 1, name: 'Widget', price: 9.99}]
+    })
+    const port = await server.listen(0)
+    const client = loadClient(port)
+    t.after(async () => {
+        client.close()
+        await server.shutdown()
+    })
+    const deadline = () => ({deadline: Date.now() + DEADLINE_MS})
+
+    await t.test('GetProduct', async () => {
+        const code = await new Promise(resolve => {
+            client.getProduct({id: 1}, new grpc.Metadata(), deadline(), error => resolve(error ? error.code : grpc.status.OK))
+        })
+        assert.strictEqual(code, grpc.status.UNAUTHENTICATED)
+    })
+
+    await t.test('ListProducts', async () => {
+        const code = await statusOf(client.listProducts({limit: 1}, new grpc.Metadata(), deadline()))
+        assert.strictEqual(code, grpc.status.UNAUTHENTICATED)
+    })
+
+    await t.test('Echo', async () => {
+        const call = client.echo(new grpc.Metadata(), deadline())
+        const code = statusOf(call)
+        call.write({text: 'hello', sentAt: Date.now()})
+        call.end()
+        assert.strictEqual(await code, grpc.status.UNAUTHENTICATED)
+    })
+})
@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const {detectInputFormat, readCsvEntries} = require('../lib/input-formats');
+const {processK6Output} = require('../report-generator');
+
+// k6-output.csv: 10 requests a second apart taking 10..100 ms; a 404 k6 expected, a 500 it did not
+// and a 503 without expected_response, which falls back to the status
+const CSV = path.join(__dirname, 'fixtures', 'k6-output.csv');
+// summary-export.json: 1000 requests, 1% failed, with thresholds, checks and custom metrics
+const SUMMARY = path.join(__dirname, 'fixtures', 'summary-export.json');
+
+function assertClose(actual, expected, relativeError = 0.01) {
+    assert.ok(Math.abs(actual - expected) <= expected * relativeError, `${actual} is not within ${relativeError * 100}% of ${expected}`);
+}
+
+test('input formats are detected from the first line', () => {
+    assert.strictEqual(detectInputFormat(CSV), 'csv');
+    assert.strictEqual(detectInputFormat(SUMMARY), 'summary');
+});
+
+test('CSV rows become Metric and Point entries with their columns as tags', async () => {
+    const entries = [];
+    await readCsvEntries(CSV, entry => entries.push(entry));
+
+    assert.deepStrictEqual(entries[0], {type: 'Metric', metric: 'vus', data: {name: 'vus', type: 'gauge', contains: 'default'}});
+    const quoted = entries.find(entry => entry.type === 'Point' && entry.data.tags.endpoint === 'list');
+    assert.strictEqual(quoted.metric, 'http_reqs');
+    assert.strictEqual(quoted.data.time, '2024-11-11T19:40:01.000Z');
+    assert.strictEqual(quoted.data.tags.url, 'http://localhost:3000/products?ids=1,2');
+    assert.strictEqual(quoted.data.tags.status, '200');
+    assert.strictEqual(quoted.data.tags.expected_response, 'true');
+    assert.strictEqual('extra_tags' in quoted.data.tags, false);
+});
+
+test('a CSV run reports requests, failures and percentiles', async () => {
+    const data = await processK6Output([CSV]);
+
+    assert.deepStrictEqual(data.input.formats, ['csv']);
+    assert.strictEqual(data.testDuration, 9000);
+    assert.strictEqual(data.requests.total, 10);
+    assert.strictEqual(data.requests.failed, 2);
+    assert.strictEqual(data.requests.failureRate, 0.2);
+    assert.strictEqual(data.requests.source, 'tags');
+    const stats = data.metrics.http_req_duration.stats;
+    assert.strictEqual(stats.count, 10);
+    assert.strictEqual(stats.avg, 55);
+    assertClose(stats.med, 60);
+    assertClose(stats.p95, 100);
+    assert.ok(data.timeseriesData.buckets.length > 0);
+});
+
+test('a summary export reports its aggregates and verdicts, without charts', async () => {
+    const data = await processK6Output([SUMMARY]);
+
+    assert.deepStrictEqual(data.input, {formats: ['summary'], timeseries: false});
+    assert.deepStrictEqual(data.requests, {
+        total: 1000,
+        failed: 10,
+        successful: 990,
+        failureRate: 0.01,
+        throttled: 0,
+        source: 'http_req_failed'
+    });
+    const stats = data.metrics.http_req_duration.stats;
+    assert.strictEqual(stats.med, 100.2);
+    assert.strictEqual(stats.p95, 310.7);
+    assert.strictEqual(stats.count, null);
+    assertClose(data.testDuration, 1000 / 16.66 * 1000, 1e-9);
+
+    assert.deepStrictEqual(data.timeseriesData.buckets, []);
+    assert.deepStrictEqual(data.thresholds.map(t => [t.key, t.source, t.ok, t.actual]), [
+        ['http_req_duration', 'p(95)<500', true, 310.7],
+        ['http_req_duration', 'p(99)<800', false, undefined],
+        ['http_req_failed', 'rate<0.05', true, 0.01]
+    ]);
+    assert.deepStrictEqual(data.checks, [{name: 'status is 200', group: '::browse', passes: 990, fails: 10}]);
+    assert.deepStrictEqual(data.customMetrics.map(m => m.name), ['cart_value', 'orders_created']);
+});
@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {detectInsights} = require('../lib/insights');
+
+const BUCKET_SECONDS = 5;
+const BUCKETS = 30;
+
+// A run of BUCKETS buckets, flat unless overridden: each option maps a bucket index to its value
+function run({p95 = () => 100, requests = () => 50, failed = () => 0, vus = () => 10, blocked = () => 1, stages = null} = {}) {
+    const buckets = [];
+    const latencyComponents = [];
+    for (let i = 0; i < BUCKETS; i++) {
+        const timestamp = i * BUCKET_SECONDS;
+        buckets.push({
+            timestamp,
+            count: requests(i),
+            requests: requests(i),
+            failed: failed(i),
+            errorRate: failed(i) / requests(i),
+            rps: requests(i) / BUCKET_SECONDS,
+            p95: p95(i)
+        });
+        latencyComponents.push({timestamp, averages: {http_req_blocked: blocked(i), http_req_waiting: 100}});
+    }
+    return {
+        timeseriesData: {
+            buckets,
+            bucketSeconds: BUCKET_SECONDS,
+            timestamps: buckets.map(bucket => bucket.timestamp),
+            vus: buckets.map((bucket, i) => vus(i)),
+            latencyComponents
+        },
+        stages
+    };
+}
+
+function types(insights) {
+    return insights.map(insight => insight.type);
+}
+
+test('a flat run yields no insights', () => {
+    assert.deepStrictEqual(detectInsights(run()), []);
+});
+
+test('a single slow bucket is a latency spike', () => {
+    const insights = detectInsights(run({p95: i => i === 15 ? 400 : 100}));
+    assert.deepStrictEqual(types(insights), ['latency-spike']);
+    assert.strictEqual(insights[0].from, 75);
+    assert.strictEqual(insights[0].to, 80);
+    assert.deepStrictEqual(insights[0].values, {peak: 400, typical: 100});
+});
+
+test('an error burst needs enough failed requests', () => {
+    // 4 of 10 failed: a high rate, but below MIN_BURST_FAILURES
+    assert.deepStrictEqual(detectInsights(run({requests: () => 10, failed: i => i === 10 ? 4 : 0})), []);
+
+    const insights = detectInsights(run({requests: () => 10, failed: i => i === 10 ? 6 : 0}));
+    assert.deepStrictEqual(types(insights), ['error-burst']);
+    assert.strictEqual(insights[0].values.failed, 6);
+});
+
+test('throughput that stops growing with the VUs is a saturation knee', () => {
+    // 5 buckets each at 10..60 VUs; requests grow with the VUs up to 40 and stay flat after
+    const vus = i => (Math.floor(i / 5) + 1) * 10;
+    const insights = detectInsights(run({vus, requests: i => Math.min(vus(i), 40) * 5}));
+    assert.deepStrictEqual(types(insights), ['saturation']);
+    assert.strictEqual(insights[0].values.vus, 40);
+    assert.strictEqual(insights[0].values.maxVus, 60);
+    assert.strictEqual(insights[0].from, 75);
+});
+
+test('p95 rising throughout a steady stage is latency drift', () => {
+    const stages = {unit: 'VUs', list: [{index: 1, kind: 'steady', from: 0, to: 150, target: 10}]};
+    const insights = detectInsights(run({p95: i => 100 + i * 5, stages}));
+    assert.deepStrictEqual(types(insights), ['latency-drift']);
+    assert.strictEqual(insights[0].values.stage, 1);
+});
+
+test('a stretch of high blocked time is connection blocking, a single bucket is not', () => {
+    assert.deepStrictEqual(detectInsights(run({blocked: i => i === 12 ? 50 : 1})), []);
+
+    const insights = detectInsights(run({blocked: i => i >= 12 && i < 16 ? 50 : 1}));
+    assert.deepStrictEqual(types(insights), ['connection-blocking']);
+    assert.strictEqual(insights[0].from, 60);
+    assert.strictEqual(insights[0].to, 80);
+});
@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {InstanceStats, sumGauges} = require('../lib/instances');
+
+test('VU samples are kept in bounded time buckets however long the run', () => {
+    const instance = new InstanceStats('gen1', {bucketSeconds: 1});
+    // One sample per second for a day
+    for (let second = 0; second < 86400; second++) {
+        instance.add('vus', second < 43200 ? 10 : 20, second);
+    }
+    const points = instance.gauges.vus.points();
+    assert.ok(points.length <= 1000, `${points.length} buckets`);
+    assert.strictEqual(instance.toJSON().maxVus, 20);
+});
+
+test('sumGauges adds the inputs bucket by bucket, carrying values over gaps', () => {
+    const a = new InstanceStats('gen1', {bucketSeconds: 5});
+    const b = new InstanceStats('gen2', {bucketSeconds: 5});
+    [[0, 10], [2, 20], [5, 30], [10, 30]].forEach(([time, vus]) => a.add('vus', vus, time));
+    [[0, 5], [10, 7]].forEach(([time, vus]) => b.add('vus', vus, time));
+
+    assert.deepStrictEqual(sumGauges([a.gauges.vus, b.gauges.vus]), {
+        timestamps: [0, 5, 10],
+        values: [20, 35, 37]
+    });
+});
+
+test('sumGauges lines up inputs whose buckets were coarsened differently', () => {
+    const a = new InstanceStats('gen1', {bucketSeconds: 1});
+    const b = new InstanceStats('gen2', {bucketSeconds: 1});
+    a.gauges.vus.maxBuckets = 4;
+    for (let second = 0; second < 8; second++) a.add('vus', 10, second);
+    b.add('vus', 5, 0);
+    b.add('vus', 5, 4);
+
+    const {timestamps, values} = sumGauges([a.gauges.vus, b.gauges.vus]);
+    assert.deepStrictEqual(timestamps, [0, 2, 4, 6]);
+    assert.deepStrictEqual(values, [15, 15, 15, 15]);
+});
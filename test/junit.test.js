@@ -0,0 +1,26 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {buildJUnit} = require('../lib/junit');
+
+function classnames(xml) {
+    return Array.from(xml.matchAll(/<testcase classname="([^"]*)" name="([^"]*)"/g), match => [match[1], match[2]]);
+}
+
+test('check classnames follow the group path without its leading "::"', () => {
+    const xml = buildJUnit({
+        testDuration: 1000,
+        thresholds: [],
+        checks: [
+            {name: 'status is 200', group: '', passes: 5, fails: 0},
+            {name: 'has items', group: '::browse', passes: 5, fails: 0},
+            {name: 'order placed', group: '::checkout::pay', passes: 4, fails: 1}
+        ]
+    }, {title: 'shop'});
+
+    assert.deepStrictEqual(classnames(xml), [
+        ['shop.checks', 'status is 200'],
+        ['shop.checks.browse', 'has items'],
+        ['shop.checks.checkout.pay', 'order placed']
+    ]);
+    assert.match(xml, /<failure message="1 of 5 checks failed" type="CheckFailed">/);
+});
@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {QuantileSketch, DEFAULT_RELATIVE_ACCURACY} = require('../lib/quantile-sketch');
+
+const QUANTILES = [0.01, 0.1, 0.25, 0.5, 0.75, 0.9, 0.95, 0.99, 0.999];
+
+// Deterministic pseudo-random values (mulberry32), so failures reproduce
+function random(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Latency-like values: log-normal around 100 ms with a long tail
+function latencies(count, seed) {
+    const next = random(seed);
+    return Array.from({length: count}, () => {
+        const normal = Math.sqrt(-2 * Math.log(1 - next())) * Math.cos(2 * Math.PI * next());
+        return 100 * Math.exp(normal);
+    });
+}
+
+// The nearest-rank definition the sketch follows
+function exactQuantile(sorted, q) {
+    return sorted[Math.min(Math.floor(q * sorted.length), sorted.length - 1)];
+}
+
+function assertWithinBound(sketch, values) {
+    const sorted = values.slice().sort((a, b) => a - b);
+    QUANTILES.forEach(q => {
+        const exact = exactQuantile(sorted, q);
+        const error = Math.abs(sketch.quantile(q) - exact) / exact;
+        assert.ok(error <= DEFAULT_RELATIVE_ACCURACY, `p${q * 100}: ${sketch.quantile(q)} vs ${exact} (${(error * 100).toFixed(3)}%)`);
+    });
+}
+
+test('quantiles stay within the relative accuracy of the exact percentiles', () => {
+    const values = latencies(50000, 1);
+    const sketch = new QuantileSketch();
+    values.forEach(value => sketch.add(value));
+    assertWithinBound(sketch, values);
+    assert.strictEqual(sketch.count, values.length);
+    assert.strictEqual(sketch.min, Math.min(...values));
+    assert.strictEqual(sketch.max, Math.max(...values));
+});
+
+test('merged sketches keep the bound over the combined values', () => {
+    const first = latencies(20000, 2);
+    const second = latencies(30000, 3).map(value => value * 3);
+    const a = new QuantileSketch();
+    const b = new QuantileSketch();
+    first.forEach(value => a.add(value));
+    second.forEach(value => b.add(value));
+    assertWithinBound(a.merge(b), first.concat(second));
+});
+
+test('sketches with different accuracy cannot be merged', () => {
+    assert.throws(() => new QuantileSketch(0.01).merge(new QuantileSketch(0.02)), /relative accuracy/);
+});
@@ -0,0 +1,42 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const jsonServer = require('json-server')
+const {createRateLimiter} = require('../mock/rate-limit')
+
+// Serves `limiters` in front of a route that always answers 200; resolves to the base URL
+async function startServer(t, limiters) {
+    const server = jsonServer.create()
+    server.use(createRateLimiter({limiters}).rateLimit)
+    server.use((req, res) => res.json({ok: true}))
+    const listener = await new Promise(resolve => {
+        const l = server.listen(0, '127.0.0.1', () => resolve(l))
+    })
+    t.after(() => listener.close())
+    return `http://127.0.0.1:${listener.address().port}`
+}
+
+async function statuses(baseUrl, paths) {
+    const result = []
+    for (const path of paths) {
+        result.push((await fetch(baseUrl + path)).status)
+    }
+    return result
+}
+
+test('route-keyed limits are shared by all paths of a route', async t => {
+    const baseUrl = await startServer(t, [
+        {route: '/products*', key: 'route', algorithm: 'sliding-window', limit: 2, windowSeconds: 60}
+    ])
+    assert.deepStrictEqual(await statuses(baseUrl, ['/products/1', '/products/2', '/products/3', '/products']),
+        [200, 200, 429, 200])
+})
+
+test('a request rejected by one limiter is not charged to the others', async t => {
+    const baseUrl = await startServer(t, [
+        {route: '*', key: 'global', algorithm: 'token-bucket', capacity: 3, refillPerSecond: 0.001},
+        {route: '/orders*', key: 'route', algorithm: 'sliding-window', limit: 1, windowSeconds: 60}
+    ])
+    // The rejected /orders requests leave the global bucket with two tokens for /products
+    assert.deepStrictEqual(await statuses(baseUrl, ['/orders', '/orders', '/orders', '/products', '/products', '/products']),
+        [200, 429, 429, 200, 200, 429])
+})
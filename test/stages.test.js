@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {inferStages, planStages, vusPerBucket} = require('../lib/stages');
+
+const BUCKET_SECONDS = 5;
+
+function buckets(count) {
+    return Array.from({length: count}, (_, i) => ({timestamp: i * BUCKET_SECONDS}));
+}
+
+test('inferStages finds ramp-up, steady and ramp-down in the VUs', () => {
+    const vus = [2, 4, 6, 8, 10, 20, 20, 20, 20, 20, 20, 20, 20, 15, 10, 5, 0];
+    const stages = inferStages(buckets(vus.length), vus, BUCKET_SECONDS);
+    assert.deepStrictEqual(stages.map(stage => [stage.kind, stage.from, stage.to, stage.startLevel, stage.target]), [
+        ['ramp-up', 0, 25, 2, 10],
+        ['steady', 25, 65, 20, 20],
+        ['ramp-down', 65, 85, 15, 0]
+    ]);
+});
+
+test('inferStages treats small VU changes as steady, but not short plateaus', () => {
+    // 50 +-2 VUs is within the 5% tolerance; the 3 buckets at 10 are too short to be a stage
+    const steady = inferStages(buckets(8), [50, 51, 49, 52, 50, 48, 50, 51], BUCKET_SECONDS);
+    assert.deepStrictEqual(steady.map(stage => stage.kind), ['steady']);
+
+    const short = inferStages(buckets(6), [2, 6, 10, 10, 10, 12], BUCKET_SECONDS);
+    assert.deepStrictEqual(short.map(stage => stage.kind), ['ramp-up']);
+});
+
+test('planStages lays the planned stages out from the run start', () => {
+    const plan = {scenario: 'load', unit: 'VUs', startOffsetMs: 10000, start: 0, stages: [
+        {durationMs: 30000, target: 20},
+        {durationMs: 0, target: 50},
+        {durationMs: 60000, target: 50},
+        {durationMs: 30000, target: 0}
+    ]};
+    assert.deepStrictEqual(planStages(plan, 1000).map(stage => [stage.kind, stage.from, stage.to]), [
+        ['ramp-up', 1010, 1040],
+        ['ramp-up', 1040, 1100],
+        ['ramp-down', 1100, 1130]
+    ]);
+});
+
+test('vusPerBucket averages the samples in a bucket and carries the last one over gaps', () => {
+    const result = vusPerBucket([0, 2, 4, 16], [10, 20, 30, 40], buckets(4), BUCKET_SECONDS);
+    assert.deepStrictEqual(result, [20, 30, 30, 40]);
+});
@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {tailLines} = require('../lib/tail');
+
+function tempDir(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tail-'));
+    t.after(() => fs.rmSync(dir, {recursive: true, force: true}));
+    return dir;
+}
+
+test('tailLines reads lines appended after it started, and the unterminated rest on stop', async t => {
+    const file = path.join(tempDir(t), 'k6-output.json');
+    const lines = [];
+    const tail = tailLines(file, line => lines.push(line), {pollMs: 10});
+    fs.writeFileSync(file, 'one\ntw');
+    await new Promise(resolve => setTimeout(resolve, 50));
+    fs.appendFileSync(file, 'o\nthree');
+    tail.stop();
+    assert.deepStrictEqual(lines, ['one', 'two', 'three']);
+});
+
+test('tailLines reports errors while polling instead of throwing them from the timer', async t => {
+    const target = path.join(tempDir(t), 'k6-output.json');
+    const errors = [];
+    const tail = tailLines(target, () => {}, {pollMs: 10, onError: error => errors.push(error.code)});
+    fs.mkdirSync(target); // reading a directory fails with EISDIR
+    await new Promise(resolve => setTimeout(resolve, 50));
+    tail.stop();
+    assert.ok(errors.length > 0);
+    assert.strictEqual(errors[0], 'EISDIR');
+});
+
+test('tailLines throws errors from its first read', t => {
+    const dir = tempDir(t);
+    assert.throws(() => tailLines(dir, () => {}), {code: 'EISDIR'});
+});
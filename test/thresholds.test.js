@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {spawnSync} = require('child_process');
+const {EXIT_CODES} = require('../lib/cli');
+
+const GENERATOR = path.join(__dirname, '..', 'report-generator.js');
+
+// A k6 JSON output whose Metric line declares no thresholds, as k6 does for sub-metric ones
+function k6Output(durations) {
+    const lines = [{type: 'Metric', metric: 'http_req_duration', data: {name: 'http_req_duration', type: 'trend', contains: 'time', thresholds: []}}];
+    durations.forEach(([value, staticAsset], i) => lines.push({
+        type: 'Point',
+        metric: 'http_req_duration',
+        data: {time: new Date(Date.UTC(2026, 0, 1, 0, 0, i)).toISOString(), value, tags: {staticAsset}}
+    }));
+    return lines.map(line => JSON.stringify(line)).join('\n') + '\n';
+}
+
+function generate(dir, thresholds) {
+    const options = path.join(dir, 'k6-options.json');
+    fs.writeFileSync(options, JSON.stringify({options: {thresholds}}));
+    return spawnSync(process.execPath, [
+        GENERATOR, path.join(dir, 'k6-output.json'), '--thresholds', options, '--output', path.join(dir, 'report.html')
+    ], {encoding: 'utf8'});
+}
+
+test('--thresholds evaluates sub-metric thresholds and fails the run on them', t => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'thresholds-'));
+    t.after(() => fs.rmSync(dir, {recursive: true, force: true}));
+    fs.writeFileSync(path.join(dir, 'k6-output.json'), k6Output([[300, 'no'], [250, 'yes'], [40, 'yes']]));
+
+    const failing = generate(dir, {'http_req_duration{staticAsset:yes}': ['p(95)<100']});
+    assert.strictEqual(failing.status, EXIT_CODES.THRESHOLDS, failing.stderr);
+    assert.match(failing.stderr, /http_req_duration\{staticAsset:yes\} p\(95\)<100/);
+
+    const passing = generate(dir, {'http_req_duration{staticAsset:yes}': ['p(95)<500']});
+    assert.strictEqual(passing.status, EXIT_CODES.OK, passing.stderr);
+});
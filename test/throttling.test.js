@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {processK6Output} = require('../report-generator');
+
+// One second of requests: a 200, a 429, a 503 from the concurrency cap and an injected 503 fault
+function k6Output(withCounter) {
+    const time = new Date(Date.UTC(2026, 0, 1)).toISOString();
+    const point = (metric, tags) => JSON.stringify({type: 'Point', metric, data: {time, value: 1, tags}});
+    return [
+        point('http_reqs', {status: '200'}),
+        point('http_reqs', {status: '429'}),
+        point('http_reqs', {status: '503'}),
+        point('http_reqs', {status: '503'}),
+        ...(withCounter ? [point('throttled_requests', {status: '429'}), point('throttled_requests', {status: '503'})] : [])
+    ].join('\n') + '\n';
+}
+
+async function throttling(t, withCounter) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'throttling-'));
+    t.after(() => fs.rmSync(dir, {recursive: true, force: true}));
+    const file = path.join(dir, 'k6-output.json');
+    fs.writeFileSync(file, k6Output(withCounter));
+    const data = await processK6Output([file]);
+    return {throttled: data.requests.throttled, chart: data.timeseriesData.throttling[0]};
+}
+
+test('throttled requests are the 429s when the script does not count them', async t => {
+    const {throttled, chart} = await throttling(t, false);
+    assert.strictEqual(throttled, 1);
+    assert.deepStrictEqual(chart.counts, {'429 Too Many Requests': 1, '503 Service Unavailable': 0});
+    assert.strictEqual(chart.requests, 4);
+});
+
+test('the throttled_requests counter decides which 503s are throttling', async t => {
+    const {throttled, chart} = await throttling(t, true);
+    assert.strictEqual(throttled, 2);
+    assert.deepStrictEqual(chart.counts, {'429 Too Many Requests': 1, '503 Service Unavailable': 1});
+    assert.strictEqual(chart.requests, 4);
+});
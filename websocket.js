@@ -0,0 +1,65 @@
+import ws from 'k6/ws';
+import {check} from 'k6';
+import {Counter, Trend} from 'k6/metrics';
+import {createAuth} from './helpers/auth.js';
+import {BASE_URL, WS_URL, mergeThresholds} from './helpers/config.js';
+import {scenarioOptions} from './helpers/scenarios.js';
+
+// WebSocket sessions against the mock server's /ws/echo or /ws/broadcast endpoint.
+// WS_ENDPOINT=echo|broadcast, WS_SESSION_SECONDS (default 10), WS_INTERVAL_MS (default 500)
+
+const ENDPOINT = __ENV.WS_ENDPOINT || 'echo';
+const SESSION_SECONDS = Number(__ENV.WS_SESSION_SECONDS || 10);
+const INTERVAL_MS = Number(__ENV.WS_INTERVAL_MS || 500);
+
+const roundTrip = new Trend('ws_message_round_trip', true);
+const unexpectedMessages = new Counter('ws_unexpected_messages');
+
+const auth = createAuth(BASE_URL);
+
+const baseOptions = scenarioOptions();
+export const options = Object.assign({}, baseOptions, {
+    thresholds: mergeThresholds(baseOptions.thresholds, {
+        ws_connecting: ['p(95)<500'],
+        ws_message_round_trip: ['p(95)<200'],
+    }),
+});
+
+export default function () {
+    const sent = new Map();
+    let seq = 0;
+
+    const res = ws.connect(`${WS_URL}/ws/${ENDPOINT}`, {headers: auth.headers(), tags: {endpoint: ENDPOINT}}, socket => {
+        socket.on('open', () => {
+            socket.setInterval(() => {
+                seq++;
+                sent.set(`${__VU}:${seq}`, Date.now());
+                socket.send(JSON.stringify({id: `${__VU}:${seq}`, sentAt: Date.now()}));
+            }, INTERVAL_MS);
+            socket.setTimeout(() => socket.close(), SESSION_SECONDS * 1000);
+        });
+
+        // On /ws/broadcast other VUs' messages arrive too; only our own count as round trips
+        socket.on('message', data => {
+            let message;
+            try {
+                message = JSON.parse(data);
+            } catch (e) {
+                unexpectedMessages.add(1);
+                return;
+            }
+            if (sent.has(message.id)) {
+                roundTrip.add(Date.now() - sent.get(message.id), {endpoint: ENDPOINT});
+                sent.delete(message.id);
+            }
+        });
+
+        socket.on('error', () => {
+            unexpectedMessages.add(1);
+        });
+    });
+
+    check(res, {
+        'ws handshake 101': r => r && r.status === 101,
+    });
+}